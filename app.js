@@ -17,7 +17,17 @@ const categoryRoutes = require('./routes/categoryRoutes');
 const purchaseRoutes = require('./routes/purchaseRoutes');
 const inwardRoutes = require('./routes/inwardRoutes');
 const productBatchRoutes = require('./routes/productBatchRoutes');
+const hsnRoutes = require('./routes/hsnRoutes');
+const purchaseReturnRoutes = require('./routes/purchaseReturnRoutes');
+const replenishmentRoutes = require('./routes/replenishmentRoutes');
+const stockAdjustmentRoutes = require('./routes/stockAdjustmentRoutes');
+const stockTakeRoutes = require('./routes/stockTakeRoutes');
+const locationRoutes = require('./routes/locationRoutes');
+const stockTransferRoutes = require('./routes/stockTransferRoutes');
+const unitRoutes = require('./routes/unitRoutes');
 const { scheduleNotificationCleanup } = require('./utils/notificationCleanup');
+const { scheduleExpiryAlerts } = require('./utils/expiryAlerts');
+const { backfillLocationStock } = require('./utils/locationStock');
 
 // Middlewares
 const cors = require('cors');
@@ -117,6 +127,14 @@ app.use('/api/notifications', notificationRoutes);
 app.use('/api/purchases', purchaseRoutes);
 app.use('/api/inwards', inwardRoutes);
 app.use('/api/product-batches', productBatchRoutes);
+app.use('/api/hsn-codes', hsnRoutes);
+app.use('/api/purchase-returns', purchaseReturnRoutes);
+app.use('/api/replenishment', replenishmentRoutes);
+app.use('/api/stock-adjustments', stockAdjustmentRoutes);
+app.use('/api/stock-takes', stockTakeRoutes);
+app.use('/api/locations', locationRoutes);
+app.use('/api/stock-transfers', stockTransferRoutes);
+app.use('/api/units', unitRoutes);
 
 // Test route
 app.get('/api/test', (req, res) => {
@@ -163,6 +181,15 @@ const startServer = async () => {
       console.log(`✅ Server is running @ http://localhost:${availablePort}`);
       console.log(`📁 Upload endpoint: http://localhost:${availablePort}/api/upload/image`);
       scheduleNotificationCleanup();
+      scheduleExpiryAlerts();
+      // Stock from before locations existed cannot be sold until it has a location
+      backfillLocationStock()
+        .then(({ batchStock, bills }) => {
+          if (batchStock || bills) {
+            console.log(`📦 Placed ${batchStock} legacy batches at the receiving location; set the sales location on ${bills} bills`);
+          }
+        })
+        .catch((error) => console.error('❌ Location stock backfill failed:', error));
     });
   } catch (error) {
     console.error('❌ Failed to start server:', error);
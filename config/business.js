@@ -0,0 +1,12 @@
+// Details of the business issuing invoices, read from the environment.
+// BUSINESS_STATE / BUSINESS_GSTIN decide whether a sale is intra- or inter-state.
+const business = {
+  name: process.env.BUSINESS_NAME || '',
+  gstNumber: (process.env.BUSINESS_GSTIN || '').trim().toUpperCase(),
+  state: process.env.BUSINESS_STATE || '',
+  address: process.env.BUSINESS_ADDRESS || '',
+  phone: process.env.BUSINESS_PHONE || '',
+  email: process.env.BUSINESS_EMAIL || ''
+};
+
+module.exports = business;
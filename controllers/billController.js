@@ -2,9 +2,26 @@
 const mongoose = require('mongoose');
 const Bill = require('../models/Bill');
 const Customer = require('../models/Customer');
+const Payment = require('../models/Payment');
+const CreditNote = require('../models/CreditNote');
 const Product = require('../models/Product');
 const ProductBatch = require('../models/ProductBatch');
+const Location = require('../models/Location');
 const { handleStockNotifications } = require('../utils/stockNotifications');
+const { withTransaction } = require('../utils/withTransaction');
+const { stockEntry, recordStockMovements } = require('../utils/stockLedger');
+const { resolveLocation, adjustBatchStock, getLocationBatchQuantities } = require('../utils/locationStock');
+const { resolveConversion, toBaseQuantity, roundQuantity } = require('../utils/uom');
+const { resolveSellingPrice, resolveMrp } = require('../utils/pricing');
+const { applyGst, determineSupplyType, resolveGstRate, splitTax } = require('../utils/gst');
+const {
+  isBatchExpired,
+  unexpiredBatchFilter,
+  resolveAllocationStrategy,
+  sortBatchesForAllocation
+} = require('../utils/batchExpiry');
+const { renderInvoicePdf, INVOICE_LAYOUTS } = require('../utils/invoicePdf');
+const business = require('../config/business');
 
 const VALID_PAYMENT_METHODS = ['cash', 'card', 'upi', 'bank_transfer', 'credit'];
 const VALID_PAYMENT_STATUSES = ['pending', 'paid', 'partial'];
@@ -25,13 +42,37 @@ const normalizePaymentMethod = (method) => {
 const normalizePaymentStatus = (status) =>
   VALID_PAYMENT_STATUSES.includes(status) ? status : 'pending';
 
-const calculateFinancials = ({ items, discountPercent, taxPercent, paidAmount, paymentStatus }) => {
+// Methods a recorded payment can use; 'credit' on a bill means nothing was paid
+const LEDGER_PAYMENT_METHODS = ['cash', 'card', 'upi', 'bank_transfer', 'cheque'];
+
+// A bill is settled by payments and by credit notes adjusted against it
+const paymentStatusFor = (paidAmount, totalAmount, creditedAmount = 0) => {
+  const settled = roundToTwo(paidAmount + creditedAmount);
+  if (settled <= 0) {
+    return 'pending';
+  }
+  return settled >= totalAmount ? 'paid' : 'partial';
+};
+
+const billDueAmount = (totalAmount, paidAmount, creditedAmount = 0) =>
+  roundToTwo(Math.max(totalAmount - paidAmount - creditedAmount, 0));
+
+// Tax is worked out per line (see utils/gst); `taxPercent` only applies to
+// lines whose product has no GST rate configured
+const calculateFinancials = ({ items, discountPercent, taxPercent, paidAmount, paymentStatus, supplyType = 'intra' }) => {
   const subtotal = roundToTwo(items.reduce((sum, item) => sum + roundToTwo(item.total || 0), 0));
   const normalizedDiscountPercent = clamp(Number(discountPercent) || 0, 0, 100);
   const discountAmount = roundToTwo((subtotal * normalizedDiscountPercent) / 100);
   const taxableBase = roundToTwo(Math.max(subtotal - discountAmount, 0));
   const normalizedTaxPercent = clamp(Number(taxPercent) || 0, 0, 100);
-  const taxAmount = roundToTwo((taxableBase * normalizedTaxPercent) / 100);
+  const gst = applyGst({
+    items,
+    subtotal,
+    discountAmount,
+    supplyType,
+    fallbackRate: normalizedTaxPercent
+  });
+  const taxAmount = gst.taxAmount;
   const totalAmount = roundToTwo(taxableBase + taxAmount);
 
   let normalizedPaymentStatus = normalizePaymentStatus(paymentStatus);
@@ -51,11 +92,16 @@ const calculateFinancials = ({ items, discountPercent, taxPercent, paidAmount, p
   }
 
   return {
+    items: gst.items,
     subtotal,
     discountPercent: normalizedDiscountPercent,
     discountAmount,
     taxPercent: normalizedTaxPercent,
     taxAmount,
+    cgstAmount: gst.cgstAmount,
+    sgstAmount: gst.sgstAmount,
+    igstAmount: gst.igstAmount,
+    taxSummary: gst.taxSummary,
     totalAmount,
     paidAmount: normalizedPaidAmount,
     dueAmount,
@@ -71,12 +117,368 @@ const parseOptionalDate = (value, fallback = null) => {
   return Number.isNaN(parsed.getTime()) ? fallback : parsed;
 };
 
-const httpError = (status, message) => {
+const httpError = (status, message, details) => {
   const error = new Error(message);
   error.statusCode = status;
+  if (details) {
+    error.details = details;
+  }
   return error;
 };
 
+// Checks that adding `additionalDue` keeps the customer within their credit
+// limit (0 = no limit). Going over needs `creditOverride` from a superadmin;
+// the returned record is stored on the bill. Returns null when no override
+// was needed.
+const checkCreditLimit = ({ customer, additionalDue, payload, user }) => {
+  if (!(additionalDue > 0) || !(customer.creditLimit > 0)) {
+    return null;
+  }
+
+  const outstandingBalance = roundToTwo(customer.outstandingBalance);
+  const projectedBalance = roundToTwo(outstandingBalance + additionalDue);
+  if (projectedBalance <= customer.creditLimit) {
+    return null;
+  }
+
+  const details = {
+    creditLimit: customer.creditLimit,
+    outstandingBalance,
+    additionalDue: roundToTwo(additionalDue),
+    projectedBalance
+  };
+
+  if (!payload.creditOverride) {
+    throw httpError(
+      400,
+      `Credit limit exceeded: balance would be ${projectedBalance} against a limit of ${customer.creditLimit}.`,
+      details
+    );
+  }
+
+  if (user.role !== 'superadmin') {
+    throw httpError(403, 'Only a superadmin can override a customer\'s credit limit.', details);
+  }
+
+  return {
+    approvedBy: user._id,
+    approvedAt: new Date(),
+    reason: payload.creditOverrideReason || payload.creditOverride.reason || '',
+    creditLimit: customer.creditLimit,
+    outstandingBalance,
+    projectedBalance
+  };
+};
+
+// Error for a single bill line; `details` tells the client which item failed
+const itemError = (index, reqItem, reason, product = null) =>
+  httpError(400, `Item ${index + 1}: ${reason}`, {
+    item: index + 1,
+    productId: product?._id || reqItem?.productId || null,
+    productName: product?.name || reqItem?.name || null,
+    batchNumber: reqItem?.batchNumber || null,
+    reason
+  });
+
+// Bill line for `quantity` base units taken from `batch`: priced at the
+// selling price, with the batch's purchase cost kept alongside for margins.
+// Lines sold in another unit are priced per that unit (a pack's own price
+// when it has one) and keep the per-base-unit figures alongside.
+const buildBillLine = (product, batch, quantity, gstRate, conversion = null) => {
+  const price = roundToTwo(resolveSellingPrice(product, batch));
+  const mrp = resolveMrp(product, batch);
+  const line = {
+    productId: product._id,
+    batchNumber: batch.batchNumber,
+    name: product.name,
+    hsnNumber: product.hsnNumber || '',
+    gstRate,
+    quantity,
+    price,
+    unitCost: roundToTwo(batch.unitCost),
+    ...(mrp !== null ? { mrp: roundToTwo(mrp) } : {}),
+    total: roundToTwo(price * quantity)
+  };
+
+  if (!conversion || (conversion.factor === 1 && !conversion.pack)) {
+    return line;
+  }
+
+  const { factor, pack } = conversion;
+  const unitQuantity = roundQuantity(quantity / factor);
+  const unitPrice = roundToTwo(pack && pack.price !== undefined && pack.price !== null
+    ? pack.price
+    : resolveSellingPrice(product, batch) * factor);
+  return {
+    ...line,
+    price: Math.round((unitPrice / factor) * 10000) / 10000,
+    unitCost: Math.round((Number(batch.unitCost) || 0) * 10000) / 10000,
+    unit: conversion.unit,
+    unitQuantity,
+    unitPrice,
+    conversionFactor: factor,
+    total: roundToTwo(unitPrice * unitQuantity)
+  };
+};
+
+// Takes `requestedQty` base units of `product` from its stock at `location`,
+// either from an explicit batch or across its unexpired batches there in FIFO
+// or FEFO order (see resolveAllocationStrategy), `step` units at a time.
+// Expired batches are never sold. `fail(reason)` builds the error to throw.
+// Returns [{ batch, take }]; stock movements are added to `movements`.
+const takeBatchStock = async (product, requestedQty, fail, session, { location, movements, batchNumber, step = 1 }) => {
+  if (product.quantity < requestedQty) {
+    throw fail(`Only ${product.quantity} units available for '${product.name}'.`);
+  }
+
+  const taken = [];
+  const heldHere = await getLocationBatchQuantities(product, location, session);
+  let remaining = requestedQty;
+
+  if (batchNumber) {
+    const batch = await ProductBatch.findOne({ product: product._id, batchNumber }).session(session);
+    if (!batch) {
+      throw fail(`Batch '${batchNumber}' not found for '${product.name}'.`);
+    }
+    if (isBatchExpired(batch)) {
+      throw fail(`Batch '${batchNumber}' of '${product.name}' expired on ${batch.expiryDate.toISOString().slice(0, 10)}.`);
+    }
+    const available = heldHere.get(String(batch._id)) || 0;
+    if (available < remaining) {
+      throw fail(`Only ${available} units available in batch '${batchNumber}' for '${product.name}' at ${location.code}.`);
+    }
+    taken.push({ batch, take: remaining });
+    remaining = 0;
+  } else {
+    const strategy = await resolveAllocationStrategy(product, session);
+    const available = await ProductBatch.find({
+      _id: { $in: [...heldHere.keys()] },
+      quantity: { $gt: 0 },
+      ...unexpiredBatchFilter()
+    }).session(session);
+    const batches = sortBatchesForAllocation(available, strategy);
+    for (const batch of batches) {
+      if (remaining <= 0) break;
+      const available = Math.min(batch.quantity, heldHere.get(String(batch._id)) || 0);
+      const take = Math.min(remaining, Math.floor(available / step) * step);
+      if (take <= 0) continue;
+      taken.push({ batch, take });
+      remaining -= take;
+    }
+    if (remaining > 0) {
+      const unexpired = requestedQty - remaining;
+      throw fail(`Insufficient unexpired batch stock for '${product.name}' at ${location.code}. Needed ${requestedQty}, ${unexpired} available.`);
+    }
+  }
+
+  try {
+    for (const { batch, take } of taken) {
+      batch.quantity -= take;
+      product.quantity -= take;
+      movements.push(stockEntry(product, -take, batch, undefined, location));
+      await batch.save({ validateModifiedOnly: true });
+      await adjustBatchStock({ batch, product, location, quantity: -take, session });
+    }
+    await product.save({ validateModifiedOnly: true });
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      throw fail(Object.values(err.errors).map((e) => e.message).join(', '));
+    }
+    throw err;
+  }
+
+  return taken;
+};
+
+// One line for `quantity` kits, priced at the kit's own price and costed at
+// the component batches they were made up from
+const buildKitLine = (kit, quantity, gstRate, components) => {
+  const price = roundToTwo(resolveSellingPrice(kit, null));
+  const mrp = resolveMrp(kit, null);
+  const cost = components.reduce((sum, component) => sum + component.quantity * component.unitCost, 0);
+  return {
+    productId: kit._id,
+    name: kit.name,
+    hsnNumber: kit.hsnNumber || '',
+    gstRate,
+    quantity,
+    price,
+    unitCost: roundToTwo(cost / quantity),
+    ...(mrp !== null ? { mrp: roundToTwo(mrp) } : {}),
+    total: roundToTwo(price * quantity),
+    components
+  };
+};
+
+// Deducts stock held at `location` for one requested line (see takeBatchStock).
+// `reqItem.unit` may name a pack or larger unit; the quantity is converted to
+// base units and whole packs are taken from a single batch each. A kit is
+// sold as one line whose components are each taken from their own batches.
+// Returns the bill lines it produced and the products whose stock changed;
+// stock movements are added to `movements`.
+const allocateBillItem = async (reqItem, index, session, { location, movements = [] }) => {
+  if (!reqItem?.productId) {
+    throw itemError(index, reqItem, 'Product ID is required.');
+  }
+
+  const unitQty = Number(reqItem.quantity) || 0;
+  if (unitQty <= 0) {
+    throw itemError(index, reqItem, 'Quantity must be greater than 0.');
+  }
+
+  const product = await Product.findById(reqItem.productId).session(session);
+  if (!product) {
+    throw itemError(index, reqItem, 'Invalid product selected.');
+  }
+  const fail = (reason) => itemError(index, reqItem, reason, product);
+
+  if (product.productType === 'parent') {
+    throw fail(`'${product.name}' groups variants; bill one of its variants.`);
+  }
+
+  const gstRate = await resolveGstRate(product, session);
+
+  if (product.productType === 'kit') {
+    if (!Number.isInteger(unitQty)) {
+      throw fail('Kits are sold in whole units.');
+    }
+
+    const components = [];
+    const products = [];
+    for (const component of product.components) {
+      const part = await Product.findById(component.product).session(session);
+      if (!part) {
+        throw fail(`A component of '${product.name}' no longer exists.`);
+      }
+      const taken = await takeBatchStock(part, roundQuantity(component.quantity * unitQty), fail, session, { location, movements });
+      taken.forEach(({ batch, take }) => components.push({
+        productId: part._id,
+        name: part.name,
+        batchNumber: batch.batchNumber,
+        quantity: take,
+        unitCost: Number(batch.unitCost) || 0
+      }));
+      products.push(part);
+    }
+
+    return { lines: [buildKitLine(product, unitQty, gstRate, components)], products };
+  }
+
+  let conversion;
+  try {
+    conversion = await resolveConversion(product, reqItem.unit, session);
+  } catch (err) {
+    throw fail(err.message);
+  }
+  const requestedQty = toBaseQuantity(unitQty, conversion.factor);
+
+  const taken = await takeBatchStock(product, requestedQty, fail, session, {
+    location,
+    movements,
+    batchNumber: reqItem.batchNumber,
+    // Packs are not split: each batch gives whole packs
+    step: conversion.pack ? conversion.factor : 1
+  });
+
+  return {
+    lines: taken.map(({ batch, take }) => buildBillLine(product, batch, take, gstRate, conversion)),
+    products: [product]
+  };
+};
+
+// Location a bill's stock was taken from; bills raised before locations
+// existed were sold from the default sales location
+const billLocation = async (bill, session) =>
+  bill.location || (await Location.getDefault('sales', session))._id;
+
+// Puts `quantity` of a bill line (or a kit component) back into the batch (and
+// location) it came from. Damaged goods are quarantined on the batch and do not
+// count towards saleable stock, so only resaleable returns produce a stock movement.
+// `type` overrides the movement type the caller records the movements under.
+const returnBatchStock = async (item, quantity, session, { location, quarantine = false, movements = [], note, type } = {}) => {
+  const product = quarantine
+    ? await Product.findById(item.productId).select('_id').session(session)
+    : await Product.findByIdAndUpdate(item.productId, { $inc: { quantity } }, { new: true, session });
+  if (!product) {
+    throw httpError(400, `Product '${item.name}' no longer exists; its stock cannot be restored.`);
+  }
+
+  let batch = null;
+  if (item.batchNumber) {
+    // Recreate the batch if it has since been removed so the quantity is not lost
+    batch = await ProductBatch.findOneAndUpdate(
+      { product: item.productId, batchNumber: item.batchNumber },
+      {
+        $inc: quarantine ? { quarantinedQuantity: quantity } : { quantity },
+        $setOnInsert: { unitCost: roundToTwo(item.unitCost ?? item.price) }
+      },
+      { new: true, upsert: true, session }
+    );
+    if (!quarantine) {
+      await adjustBatchStock({ batch, product, location, quantity, session });
+    }
+  }
+
+  if (!quarantine) {
+    movements.push({ ...stockEntry(product, quantity, batch, note, location), type });
+  }
+};
+
+// Puts `quantity` of a bill line back into stock. A kit line gives back each
+// component in the proportion one kit holds, batch by batch, and records what
+// came back on the component so it is not given back twice.
+// Returns the ids of the products whose stock changed.
+const returnLineStock = async (item, quantity, session, options = {}) => {
+  if (!item.components || item.components.length === 0) {
+    await returnBatchStock(item, quantity, session, options);
+    return [String(item.productId)];
+  }
+
+  const productIds = [...new Set(item.components.map((component) => String(component.productId)))];
+  for (const productId of productIds) {
+    const entries = item.components.filter((component) => String(component.productId) === productId);
+    const perKit = entries.reduce((sum, entry) => sum + entry.quantity, 0) / item.quantity;
+    let remaining = roundQuantity(perKit * quantity);
+
+    for (const entry of entries) {
+      if (remaining <= 0) break;
+      const give = Math.min(remaining, roundQuantity(entry.quantity - (entry.returnedQuantity || 0)));
+      if (give <= 0) continue;
+      await returnBatchStock(entry, give, session, options);
+      entry.returnedQuantity = roundQuantity((entry.returnedQuantity || 0) + give);
+      remaining = roundQuantity(remaining - give);
+    }
+  }
+  return productIds;
+};
+
+// Puts each bill line's quantity back into the batch it was taken from.
+// Quantities already taken back on a credit note are not released again.
+// The stock comes back as 'cancellation' movements even when they are recorded
+// alongside the sales of an edit. Returns the ids of the products whose stock changed.
+const releaseBillItems = async (items, session, { location, movements = [], note } = {}) => {
+  const productIds = new Set();
+
+  for (const item of items) {
+    const quantity = (Number(item.quantity) || 0) - (Number(item.returnedQuantity) || 0);
+    if (quantity <= 0) continue;
+
+    const returned = await returnLineStock(item, quantity, session, { location, movements, note, type: 'cancellation' });
+    returned.forEach((productId) => productIds.add(productId));
+  }
+
+  return productIds;
+};
+
+// Cancelled bills stay in the collection for audit but are left out of
+// listings and reports unless explicitly requested
+const activeBillFilter = (includeCancelled) =>
+  String(includeCancelled) === 'true' ? {} : { status: { $ne: 'cancelled' } };
+
+// Aggregation expressions for the part of an unwound line taken back on credit notes
+const RETURNED_QUANTITY = { $ifNull: ['$items.returnedQuantity', 0] };
+const RETURNED_VALUE = { $multiply: [RETURNED_QUANTITY, '$items.price'] };
+
 const notifyProducts = async (productIds) => {
   if (!productIds || productIds.size === 0) {
     return;
@@ -94,9 +496,15 @@ const notifyProducts = async (productIds) => {
 
 exports.getAllBills = async (req, res) => {
   try {
-    const { page = 1, limit = 10, startDate, endDate, paymentStatus } = req.query;
-    
-    const filter = {};
+    const { page = 1, limit = 10, startDate, endDate, paymentStatus, status, location } = req.query;
+
+    // status=cancelled lists only cancelled bills, status=all lists everything
+    let filter = {};
+    if (status === 'cancelled') {
+      filter.status = 'cancelled';
+    } else if (status !== 'all') {
+      filter = activeBillFilter(false);
+    }
     if (startDate && endDate) {
       filter.billDate = {
         $gte: new Date(startDate),
@@ -106,9 +514,13 @@ exports.getAllBills = async (req, res) => {
     if (paymentStatus) {
       filter.paymentStatus = paymentStatus;
     }
+    if (location && mongoose.Types.ObjectId.isValid(location)) {
+      filter.location = location;
+    }
     
     const bills = await Bill.find(filter)
       .populate('customerId', 'name email phone')
+      .populate('location', 'name code')
       .limit(limit * 1)
       .skip((page - 1) * limit)
       .sort({ createdAt: -1 });
@@ -129,7 +541,9 @@ exports.getAllBills = async (req, res) => {
 
 exports.getBillById = async (req, res) => {
   try {
-    const bill = await Bill.findById(req.params.id).populate('customerId');
+    const bill = await Bill.findById(req.params.id)
+      .populate('customerId')
+      .populate('location', 'name code');
     if (!bill) {
       return res.status(404).json({ message: 'Bill not found' });
     }
@@ -149,130 +563,122 @@ exports.createBill = async (req, res) => {
       throw httpError(400, 'Customer ID is required.');
     }
 
-    const customer = await Customer.findById(payload.customerId);
-    if (!customer) {
-      throw httpError(400, 'Invalid customer ID.');
-    }
-
     if (!Array.isArray(payload.items) || payload.items.length === 0) {
       throw httpError(400, 'Bill must contain at least one item.');
     }
 
-    const items = [];
-    const updatedProducts = new Map();
-
-    for (let index = 0; index < payload.items.length; index += 1) {
-      const reqItem = payload.items[index];
-      if (!reqItem?.productId) {
-        throw httpError(400, `Item ${index + 1}: Product ID is required.`);
+    // Stock deductions, the bill number and the customer balance are written
+    // together: any failure rolls every item back.
+    const { bill, updatedProducts } = await withTransaction(async (session) => {
+      const customer = await Customer.findById(payload.customerId).session(session);
+      if (!customer) {
+        throw httpError(400, 'Invalid customer ID.');
       }
-
-      const requestedQty = Number(reqItem.quantity) || 0;
-      if (requestedQty <= 0) {
-        throw httpError(400, `Item ${index + 1}: Quantity must be greater than 0.`);
+      if (customer.status === 'inactive') {
+        throw httpError(400, 'Cannot bill an inactive customer.');
       }
 
-      const product = await Product.findById(reqItem.productId);
-      if (!product) {
-        throw httpError(400, `Item ${index + 1}: Invalid product selected.`);
-      }
+      // Stock comes from the counter's location unless the bill names one
+      const location = await resolveLocation(payload.location || req.user.location, 'sales', session);
+
+      const items = [];
+      const movements = [];
+      const updatedProducts = new Map();
 
-      if (product.quantity < requestedQty) {
-        throw httpError(400, `Item ${index + 1}: Only ${product.quantity} units available for '${product.name}'.`);
+      for (let index = 0; index < payload.items.length; index += 1) {
+        const { lines, products } = await allocateBillItem(payload.items[index], index, session, { location, movements });
+        items.push(...lines);
+        products.forEach((product) => updatedProducts.set(String(product._id), product));
       }
 
-      let remaining = requestedQty;
-      const batchesToSave = [];
+      const { supplyType, placeOfSupply } = determineSupplyType(business, customer);
+      const financials = calculateFinancials({
+        items,
+        discountPercent: payload.discountPercent,
+        taxPercent: payload.taxPercent,
+        paidAmount: payload.paidAmount,
+        paymentStatus: payload.paymentStatus,
+        supplyType
+      });
 
-      if (reqItem.batchNumber) {
-        const batch = await ProductBatch.findOne({ product: product._id, batchNumber: reqItem.batchNumber });
-        if (!batch) {
-          throw httpError(400, `Item ${index + 1}: Batch '${reqItem.batchNumber}' not found for '${product.name}'.`);
+      // A credit bill can take part payment at the counter, but the caller
+      // has to say how it was received
+      const paymentMethod = normalizePaymentMethod(payload.paymentMethod);
+      let upfrontPaymentMethod = paymentMethod;
+      if (paymentMethod === 'credit' && financials.paidAmount > 0) {
+        upfrontPaymentMethod = payload.upfrontPaymentMethod === 'bank' ? 'bank_transfer' : payload.upfrontPaymentMethod;
+        if (!LEDGER_PAYMENT_METHODS.includes(upfrontPaymentMethod)) {
+          throw httpError(
+            400,
+            `upfrontPaymentMethod is required for the amount paid on a credit bill and must be one of: ${LEDGER_PAYMENT_METHODS.join(', ')}`
+          );
         }
-        if (batch.quantity < remaining) {
-          throw httpError(400, `Item ${index + 1}: Only ${batch.quantity} units available in batch '${reqItem.batchNumber}' for '${product.name}'.`);
-        }
-        const price = roundToTwo(batch.unitCost);
-        const total = roundToTwo(price * remaining);
-        items.push({
-          productId: product._id,
-          batchNumber: reqItem.batchNumber,
-          name: product.name,
-          quantity: remaining,
-          price,
-          total
-        });
-        batch.quantity -= remaining;
-        batchesToSave.push(batch);
-        product.quantity -= remaining;
-        remaining = 0;
-      } else {
-        const batches = await ProductBatch.find({ product: product._id, quantity: { $gt: 0 } })
-          .sort({ receivedDate: 1, manufacturingDate: 1, createdAt: 1 });
-        for (const batch of batches) {
-          if (remaining <= 0) break;
-          const take = Math.min(remaining, batch.quantity);
-          if (take <= 0) continue;
-          const price = roundToTwo(batch.unitCost);
-          const total = roundToTwo(price * take);
-          items.push({
-            productId: product._id,
-            batchNumber: batch.batchNumber,
-            name: product.name,
-            quantity: take,
-            price,
-            total
-          });
-          batch.quantity -= take;
-          batchesToSave.push(batch);
-          product.quantity -= take;
-          remaining -= take;
-        }
-        if (remaining > 0) {
-          throw httpError(400, `Item ${index + 1}: Insufficient batch stock for '${product.name}'. Needed ${requestedQty}.`);
-        }
-      }
-
-      await Promise.all(batchesToSave.map(b => b.save({ validateModifiedOnly: true })));
-      await product.save({ validateModifiedOnly: true });
-      updatedProducts.set(String(product._id), product);
-    }
-
-    const financials = calculateFinancials({
-      items,
-      discountPercent: payload.discountPercent,
-      taxPercent: payload.taxPercent,
-      paidAmount: payload.paidAmount,
-      paymentStatus: payload.paymentStatus
-    });
+      }
 
-    const bill = new Bill({
-      customerId: customer._id,
-      customerName: customer.name,
-      customerEmail: customer.email,
-      customerPhone: customer.phone || '',
-      items,
-      ...financials,
-      taxAmount: financials.taxAmount,
-      discount: financials.discountAmount,
-      paymentMethod: normalizePaymentMethod(payload.paymentMethod),
-      paymentStatus: financials.paymentStatus,
-      billDate: parseOptionalDate(payload.billDate, new Date()),
-      dueDate: parseOptionalDate(payload.dueDate, null),
-      notes: payload.notes || '',
-      createdBy: payload.createdBy
-    });
+      const creditOverride = checkCreditLimit({
+        customer,
+        additionalDue: financials.dueAmount,
+        payload,
+        user: req.user
+      });
 
-    await bill.save();
+      const bill = new Bill({
+        customerId: customer._id,
+        customerName: customer.name,
+        customerEmail: customer.email,
+        customerPhone: customer.phone || '',
+        ...financials,
+        supplyType,
+        placeOfSupply,
+        taxAmount: financials.taxAmount,
+        discount: financials.discountAmount,
+        paymentMethod,
+        paymentStatus: financials.paymentStatus,
+        billDate: parseOptionalDate(payload.billDate, new Date()),
+        dueDate: parseOptionalDate(payload.dueDate, null),
+        notes: payload.notes || '',
+        location: location._id,
+        creditOverride: creditOverride || undefined,
+        createdBy: payload.createdBy
+      });
 
-    if (bill.paymentMethod === 'credit' || bill.paymentStatus !== 'paid') {
-      await Customer.findByIdAndUpdate(
-        bill.customerId,
-        { $inc: { outstandingBalance: bill.dueAmount } },
-        { new: true, runValidators: true }
-      );
-    }
+      await bill.save({ session });
+
+      await recordStockMovements(movements, {
+        type: 'sale',
+        sourceType: 'Bill',
+        sourceId: bill._id,
+        reference: bill.billNumber,
+        user: req.user._id,
+        session
+      });
+
+      // Whatever is paid at the counter is the bill's first ledger entry
+      if (bill.paidAmount > 0) {
+        await Payment.create([{
+          bill: bill._id,
+          customer: customer._id,
+          amount: bill.paidAmount,
+          method: upfrontPaymentMethod,
+          paymentDate: bill.billDate,
+          notes: 'Paid at billing',
+          receivedBy: payload.createdBy
+        }], { session });
+      }
+
+      if (bill.paymentMethod === 'credit' || bill.paymentStatus !== 'paid') {
+        await Customer.findByIdAndUpdate(
+          bill.customerId,
+          { $inc: { outstandingBalance: bill.dueAmount } },
+          { new: true, runValidators: true, session }
+        );
+      }
 
+      return { bill, updatedProducts };
+    });
+
+    // The transaction's session has ended; detach it before further queries
+    bill.$session(null);
     await notifyProducts(new Set([...updatedProducts.keys()]));
     await bill.populate('customerId', 'name email phone');
 
@@ -312,102 +718,105 @@ exports.createBill = async (req, res) => {
 
 exports.updateBill = async (req, res) => {
   try {
-    const existingBill = await Bill.findById(req.params.id);
-    if (!existingBill) {
-      return res.status(404).json({ message: 'Bill not found' });
-    }
-
     const payload = { ...req.body };
 
-    const customer = await Customer.findById(existingBill.customerId);
-    if (!customer) {
-      throw httpError(400, 'Associated customer no longer exists.');
-    }
-
-    const originalItems = existingBill.items.map((item) => ({
-      productId: item.productId,
-      quantity: item.quantity
-    }));
-
     if (!Array.isArray(payload.items) || payload.items.length === 0) {
       throw httpError(400, 'Bill must contain at least one item.');
     }
 
-    const adjustmentMap = new Map();
-
-    const applyAdjustment = (productId, delta) => {
-      const key = String(productId);
-      adjustmentMap.set(key, (adjustmentMap.get(key) || 0) + delta);
-    };
-
-    originalItems.forEach(({ productId, quantity }) => applyAdjustment(productId, quantity));
-
-    const items = [];
+    // The original lines go back to their batches before the edited lines are
+    // allocated, so an edit can reuse the stock it previously held.
+    const { bill, productIds } = await withTransaction(async (session) => {
+      const existingBill = await Bill.findById(req.params.id).session(session);
+      if (!existingBill) {
+        throw httpError(404, 'Bill not found');
+      }
 
-    for (let index = 0; index < payload.items.length; index += 1) {
-      const item = payload.items[index];
-      if (!item?.productId) {
-        throw httpError(400, `Item ${index + 1}: Product ID is required.`);
+      if (existingBill.status === 'cancelled') {
+        throw httpError(400, 'Cancelled bills cannot be edited.');
       }
 
-      const quantity = Number(item.quantity) || 0;
-      if (quantity <= 0) {
-        throw httpError(400, `Item ${index + 1}: Quantity must be greater than 0.`);
+      if (existingBill.items.some((item) => item.returnedQuantity > 0)) {
+        throw httpError(400, 'Bills with returns cannot be edited.');
       }
 
-      const price = roundToTwo(Number(item.price) || 0);
-      if (price < 0) {
-        throw httpError(400, `Item ${index + 1}: Price cannot be negative.`);
+      const customer = await Customer.findById(existingBill.customerId).session(session);
+      if (!customer) {
+        throw httpError(400, 'Associated customer no longer exists.');
       }
 
-      const total = roundToTwo(price * quantity);
-      applyAdjustment(item.productId, -quantity);
+      // An edit sells from the same location as the original bill
+      const location = await resolveLocation(await billLocation(existingBill, session), 'sales', session);
 
-      items.push({
-        productId: item.productId,
-        name: item.name,
-        quantity,
-        price,
-        total
+      const movements = [];
+      const productIds = await releaseBillItems(existingBill.items, session, {
+        location,
+        movements,
+        note: 'Bill edited: original lines restored'
       });
-    }
 
-    const updatedProducts = new Map();
-    for (const [productId, delta] of adjustmentMap.entries()) {
-      if (delta === 0) {
-        continue;
+      const items = [];
+      for (let index = 0; index < payload.items.length; index += 1) {
+        const { lines, products } = await allocateBillItem(payload.items[index], index, session, { location, movements });
+        items.push(...lines);
+        products.forEach((product) => productIds.add(String(product._id)));
       }
-      const product = await Product.findById(productId);
-      if (!product) {
-        throw httpError(400, 'One or more referenced products no longer exist.');
+
+      // paidAmount is the sum of the bill's Payment records, so it only changes
+      // through POST /:id/payments; an edit changes what the bill is worth,
+      // not what has been paid. Clients echoing the current values are accepted.
+      if (payload.paidAmount !== undefined && roundToTwo(payload.paidAmount) !== roundToTwo(existingBill.paidAmount)) {
+        throw httpError(400, 'The paid amount cannot be changed by editing the bill. Record a payment instead.');
       }
-      const newQuantity = product.quantity + delta;
-      if (newQuantity < 0) {
-        throw httpError(400, `Insufficient stock for product '${product.name}'. Available: ${product.quantity}`);
+      if (payload.paymentStatus !== undefined && payload.paymentStatus !== existingBill.paymentStatus) {
+        throw httpError(400, 'The payment status cannot be changed by editing the bill. Record a payment instead.');
       }
-      product.quantity = newQuantity;
-      await product.save({ validateModifiedOnly: true });
-      updatedProducts.set(productId, product);
-    }
 
-    const financials = calculateFinancials({
-      items,
-      discountPercent: payload.discountPercent ?? existingBill.discountPercent,
-      taxPercent: payload.taxPercent ?? existingBill.taxPercent,
-      paidAmount: payload.paidAmount ?? existingBill.paidAmount,
-      paymentStatus: payload.paymentStatus ?? existingBill.paymentStatus
-    });
+      const { supplyType, placeOfSupply } = determineSupplyType(business, customer);
+      const financials = calculateFinancials({
+        items,
+        discountPercent: payload.discountPercent ?? existingBill.discountPercent,
+        taxPercent: payload.taxPercent ?? existingBill.taxPercent,
+        paidAmount: existingBill.paidAmount,
+        paymentStatus: 'partial',
+        supplyType
+      });
+
+      if (financials.totalAmount < existingBill.paidAmount) {
+        throw httpError(
+          400,
+          `Bill total ${financials.totalAmount} cannot be less than the ${existingBill.paidAmount} already paid.`
+        );
+      }
+      financials.dueAmount = billDueAmount(financials.totalAmount, financials.paidAmount, existingBill.creditedAmount);
+      financials.paymentStatus = paymentStatusFor(financials.paidAmount, financials.totalAmount, existingBill.creditedAmount);
 
-    const outstandingDelta = roundToTwo(existingBill.dueAmount * -1);
-    const newOutstanding = financials.dueAmount;
+      const outstandingDelta = roundToTwo(financials.dueAmount - existingBill.dueAmount);
 
-    const updatedBill = await Bill.findByIdAndUpdate(
-      existingBill._id,
-      {
-        items,
+      if (outstandingDelta > 0 && customer.status === 'inactive') {
+        throw httpError(400, 'Cannot increase the amount due from an inactive customer.');
+      }
+      const creditOverride = checkCreditLimit({
+        customer,
+        additionalDue: outstandingDelta,
+        payload,
+        user: req.user
+      });
+      if (creditOverride) {
+        existingBill.creditOverride = creditOverride;
+      }
+
+      existingBill.set({
+        items: financials.items,
         subtotal: financials.subtotal,
         taxPercent: financials.taxPercent,
         taxAmount: financials.taxAmount,
+        supplyType,
+        placeOfSupply,
+        cgstAmount: financials.cgstAmount,
+        sgstAmount: financials.sgstAmount,
+        igstAmount: financials.igstAmount,
+        taxSummary: financials.taxSummary,
         discountPercent: financials.discountPercent,
         discount: financials.discountAmount,
         totalAmount: financials.totalAmount,
@@ -417,27 +826,46 @@ exports.updateBill = async (req, res) => {
         paymentMethod: normalizePaymentMethod(payload.paymentMethod ?? existingBill.paymentMethod),
         billDate: parseOptionalDate(payload.billDate, existingBill.billDate),
         dueDate: parseOptionalDate(payload.dueDate, existingBill.dueDate),
-        notes: payload.notes ?? existingBill.notes
-      },
-      { new: true, runValidators: true }
-    ).populate('customerId', 'name email phone');
+        notes: payload.notes ?? existingBill.notes,
+        location: location._id
+      });
+      await existingBill.save({ session });
+
+      await recordStockMovements(movements, {
+        type: 'sale',
+        sourceType: 'Bill',
+        sourceId: existingBill._id,
+        reference: existingBill.billNumber,
+        user: req.user._id,
+        session
+      });
 
-    await Customer.findByIdAndUpdate(
-      customer._id,
-      { $inc: { outstandingBalance: outstandingDelta + newOutstanding } },
-      { new: true, runValidators: true }
-    );
+      if (outstandingDelta !== 0) {
+        await Customer.findByIdAndUpdate(
+          customer._id,
+          { $inc: { outstandingBalance: outstandingDelta } },
+          { new: true, runValidators: true, session }
+        );
+      }
 
-    await notifyProducts(new Set([...updatedProducts.keys()]));
+      return { bill: existingBill, productIds };
+    });
+
+    bill.$session(null);
+    await notifyProducts(productIds);
+    await bill.populate('customerId', 'name email phone');
 
     res.status(200).json({
       message: 'Bill updated successfully',
-      bill: updatedBill
+      bill
     });
   } catch (err) {
     console.error("Error in updateBill:", err);
     if (err.statusCode) {
-      return res.status(err.statusCode).json({ message: err.message });
+      return res.status(err.statusCode).json({
+        message: err.message,
+        error: err.details || undefined
+      });
     }
     if (err.name === 'ValidationError') {
       const messages = Object.values(err.errors).map((e) => e.message);
@@ -450,26 +878,450 @@ exports.updateBill = async (req, res) => {
   }
 };
 
+// Bills are never hard-deleted: removing one would leave its stock deducted
+// and its due on the customer's balance. Cancel it instead.
 exports.deleteBill = async (req, res) => {
   try {
-    const bill = await Bill.findByIdAndDelete(req.params.id);
-    
+    const bill = await Bill.findById(req.params.id);
+
     if (!bill) {
       return res.status(404).json({ message: 'Bill not found' });
     }
-    
-    res.status(200).json({ message: 'Bill deleted successfully' });
+
+    res.status(400).json({
+      message: 'Bills cannot be deleted. Cancel the bill instead to restore its stock and dues.',
+      cancelUrl: `/api/bills/${bill._id}/cancel`
+    });
   } catch (err) {
     console.error("Error in deleteBill:", err); // Log for debugging
     res.status(500).json({ message: 'Server error', error: err.message });
   }
 };
 
+// @desc    Cancel a bill, returning its stock to the original batches and
+//          refunding what was paid on it (`refundMethod` is required then)
+// @route   POST /api/bills/:id/cancel
+// @access  Private/SuperAdmin
+exports.cancelBill = async (req, res) => {
+  try {
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    if (!reason) {
+      throw httpError(400, 'A cancellation reason is required.');
+    }
+    const refundMethod = req.body.refundMethod === 'bank' ? 'bank_transfer' : req.body.refundMethod;
+
+    const { bill, productIds } = await withTransaction(async (session) => {
+      const bill = await Bill.findById(req.params.id).session(session);
+      if (!bill) {
+        throw httpError(404, 'Bill not found');
+      }
+      if (bill.status === 'cancelled') {
+        throw httpError(400, 'Bill is already cancelled.');
+      }
+      // Money taken on the bill and not yet refunded on a return goes back
+      // to the customer with the cancellation
+      const held = roundToTwo(bill.paidAmount - bill.refundedAmount);
+      if (held > 0) {
+        if (!LEDGER_PAYMENT_METHODS.includes(refundMethod)) {
+          throw httpError(
+            400,
+            `${held} has been paid on this bill and will be refunded. Refund method must be one of: ${LEDGER_PAYMENT_METHODS.join(', ')}`
+          );
+        }
+        bill.cancellationRefund = { amount: held, method: refundMethod };
+        bill.refundedAmount = roundToTwo(bill.refundedAmount + held);
+      }
+
+      const movements = [];
+      const productIds = await releaseBillItems(bill.items, session, {
+        location: await billLocation(bill, session),
+        movements,
+        note: `Bill cancelled: ${reason}`
+      });
+      await recordStockMovements(movements, {
+        type: 'cancellation',
+        sourceType: 'Bill',
+        sourceId: bill._id,
+        reference: bill.billNumber,
+        user: req.user._id,
+        session
+      });
+
+      if (bill.dueAmount > 0) {
+        await Customer.findByIdAndUpdate(
+          bill.customerId,
+          { $inc: { outstandingBalance: -bill.dueAmount } },
+          { new: true, session }
+        );
+      }
+
+      bill.status = 'cancelled';
+      bill.cancellationReason = reason;
+      bill.cancelledBy = req.user._id;
+      bill.cancelledAt = new Date();
+      await bill.save({ session });
+
+      return { bill, productIds };
+    });
+
+    bill.$session(null);
+    await notifyProducts(productIds);
+    await bill.populate('customerId', 'name email phone');
+
+    res.status(200).json({
+      message: 'Bill cancelled successfully',
+      bill
+    });
+  } catch (err) {
+    console.error("Error in cancelBill:", err);
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ message: err.message });
+    }
+    if (err.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid data format', error: err.message });
+    }
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// @desc    Record a payment against a bill
+// @route   POST /api/bills/:id/payments
+// @access  Private
+exports.recordBillPayment = async (req, res) => {
+  try {
+    const amount = roundToTwo(req.body.amount);
+    if (!(amount > 0)) {
+      throw httpError(400, 'Payment amount must be greater than zero.');
+    }
+
+    const method = req.body.method === 'bank' ? 'bank_transfer' : req.body.method;
+    if (!LEDGER_PAYMENT_METHODS.includes(method)) {
+      throw httpError(400, `Payment method must be one of: ${LEDGER_PAYMENT_METHODS.join(', ')}`);
+    }
+
+    const paymentDate = parseOptionalDate(req.body.paymentDate, new Date());
+
+    const { bill, payment } = await withTransaction(async (session) => {
+      const bill = await Bill.findById(req.params.id).session(session);
+      if (!bill) {
+        throw httpError(404, 'Bill not found');
+      }
+      if (bill.status === 'cancelled') {
+        throw httpError(400, 'Payments cannot be recorded against a cancelled bill.');
+      }
+      if (amount > bill.dueAmount) {
+        throw httpError(400, `Payment of ${amount} exceeds the amount due (${bill.dueAmount}).`);
+      }
+
+      const [payment] = await Payment.create([{
+        bill: bill._id,
+        customer: bill.customerId,
+        amount,
+        method,
+        reference: req.body.reference || '',
+        paymentDate,
+        notes: req.body.notes || '',
+        receivedBy: req.user._id
+      }], { session });
+
+      bill.paidAmount = roundToTwo(bill.paidAmount + amount);
+      bill.dueAmount = billDueAmount(bill.totalAmount, bill.paidAmount, bill.creditedAmount);
+      bill.paymentStatus = paymentStatusFor(bill.paidAmount, bill.totalAmount, bill.creditedAmount);
+      await bill.save({ session });
+
+      await Customer.findByIdAndUpdate(
+        bill.customerId,
+        { $inc: { outstandingBalance: -amount } },
+        { new: true, session }
+      );
+
+      return { bill, payment };
+    });
+
+    bill.$session(null);
+
+    res.status(201).json({
+      message: 'Payment recorded successfully',
+      payment,
+      bill: {
+        _id: bill._id,
+        billNumber: bill.billNumber,
+        totalAmount: bill.totalAmount,
+        paidAmount: bill.paidAmount,
+        dueAmount: bill.dueAmount,
+        paymentStatus: bill.paymentStatus
+      }
+    });
+  } catch (err) {
+    console.error("Error in recordBillPayment:", err);
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ message: err.message });
+    }
+    if (err.name === 'ValidationError') {
+      const messages = Object.values(err.errors).map((e) => e.message);
+      return res.status(400).json({ message: 'Validation Error', errors: messages });
+    }
+    if (err.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid data format', error: err.message });
+    }
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// @desc    List the payments recorded against a bill
+// @route   GET /api/bills/:id/payments
+// @access  Private
+exports.getBillPayments = async (req, res) => {
+  try {
+    const bill = await Bill.findById(req.params.id)
+      .select('billNumber totalAmount paidAmount dueAmount paymentStatus');
+    if (!bill) {
+      return res.status(404).json({ message: 'Bill not found' });
+    }
+
+    const payments = await Payment.find({ bill: bill._id })
+      .populate('receivedBy', 'username email')
+      .sort({ paymentDate: 1, createdAt: 1 });
+
+    res.status(200).json({ bill, payments });
+  } catch (err) {
+    console.error("Error in getBillPayments:", err);
+    if (err.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid bill ID' });
+    }
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+const RETURN_CONDITIONS = ['resaleable', 'damaged'];
+const RETURN_SETTLEMENTS = ['refund', 'adjust'];
+
+// Reverses the returned share of a bill line's value and tax. Lines saved
+// before per-line GST are worked out from the bill's discount and tax rate.
+const creditForLine = (bill, item, quantity) => {
+  const ratio = quantity / item.quantity;
+
+  if (item.taxableValue !== undefined && item.taxableValue !== null) {
+    const cgstAmount = roundToTwo(item.cgstAmount * ratio);
+    const sgstAmount = roundToTwo(item.sgstAmount * ratio);
+    const igstAmount = roundToTwo(item.igstAmount * ratio);
+    return {
+      gstRate: item.gstRate,
+      taxableValue: roundToTwo(item.taxableValue * ratio),
+      cgstAmount,
+      sgstAmount,
+      igstAmount,
+      taxAmount: roundToTwo(cgstAmount + sgstAmount + igstAmount)
+    };
+  }
+
+  const taxableValue = roundToTwo(item.total * ratio * (1 - (bill.discountPercent || 0) / 100));
+  return {
+    gstRate: bill.taxPercent || 0,
+    taxableValue,
+    ...splitTax(taxableValue, bill.taxPercent || 0, bill.supplyType)
+  };
+};
+
+// @desc    Take goods back against a bill and issue a credit note
+// @route   POST /api/bills/:id/returns
+// @access  Private
+exports.createBillReturn = async (req, res) => {
+  try {
+    const { items: requestedItems, settlement, reason, notes } = req.body;
+    const refundMethod = req.body.refundMethod === 'bank' ? 'bank_transfer' : req.body.refundMethod;
+
+    if (!Array.isArray(requestedItems) || requestedItems.length === 0) {
+      throw httpError(400, 'At least one item must be returned.');
+    }
+    if (!RETURN_SETTLEMENTS.includes(settlement)) {
+      throw httpError(400, `Settlement must be one of: ${RETURN_SETTLEMENTS.join(', ')}`);
+    }
+    if (settlement === 'refund' && !LEDGER_PAYMENT_METHODS.includes(refundMethod)) {
+      throw httpError(400, `Refund method must be one of: ${LEDGER_PAYMENT_METHODS.join(', ')}`);
+    }
+
+    const { creditNote, productIds } = await withTransaction(async (session) => {
+      const bill = await Bill.findById(req.params.id).session(session);
+      if (!bill) {
+        throw httpError(404, 'Bill not found');
+      }
+      if (bill.status === 'cancelled') {
+        throw httpError(400, 'Goods cannot be returned against a cancelled bill.');
+      }
+
+      const lines = [];
+      const movements = [];
+      const productIds = new Set();
+      const location = await billLocation(bill, session);
+
+      for (let index = 0; index < requestedItems.length; index += 1) {
+        const reqItem = requestedItems[index] || {};
+        const item = reqItem.itemId ? bill.items.id(reqItem.itemId) : null;
+        if (!item) {
+          throw httpError(400, `Return item ${index + 1}: bill line not found.`, { item: index + 1, itemId: reqItem.itemId });
+        }
+
+        // Lines sold in a pack may be returned in packs (`unitQuantity`)
+        const quantity = reqItem.unitQuantity !== undefined && reqItem.quantity === undefined
+          ? toBaseQuantity(reqItem.unitQuantity, item.conversionFactor)
+          : Number(reqItem.quantity);
+        const returnable = item.quantity - (item.returnedQuantity || 0);
+        if (!Number.isInteger(quantity) || quantity <= 0) {
+          throw httpError(400, `Return item ${index + 1}: quantity must be a positive whole number.`);
+        }
+        if (quantity > returnable) {
+          throw httpError(
+            400,
+            `Return item ${index + 1}: only ${returnable} of '${item.name}' can still be returned.`,
+            { item: index + 1, itemId: item._id, returnable }
+          );
+        }
+
+        const condition = reqItem.condition || 'resaleable';
+        if (!RETURN_CONDITIONS.includes(condition)) {
+          throw httpError(400, `Return item ${index + 1}: condition must be one of: ${RETURN_CONDITIONS.join(', ')}`);
+        }
+
+        const credit = creditForLine(bill, item, quantity);
+        lines.push({
+          billItemId: item._id,
+          productId: item.productId,
+          batchNumber: item.batchNumber,
+          name: item.name,
+          hsnNumber: item.hsnNumber,
+          quantity,
+          price: item.price,
+          unitCost: item.unitCost,
+          condition,
+          ...credit,
+          total: roundToTwo(credit.taxableValue + credit.taxAmount)
+        });
+
+        item.returnedQuantity = (item.returnedQuantity || 0) + quantity;
+        const returned = await returnLineStock(item, quantity, session, { location, quarantine: condition === 'damaged', movements });
+        returned.forEach((productId) => productIds.add(productId));
+      }
+
+      const sum = (field) => roundToTwo(lines.reduce((total, line) => total + line[field], 0));
+      // Rounding on partial returns must not credit more than the bill was worth
+      const totalAmount = Math.min(sum('total'), roundToTwo(bill.totalAmount - bill.returnedAmount));
+
+      if (settlement === 'refund') {
+        const refundable = roundToTwo(bill.paidAmount - bill.refundedAmount);
+        if (totalAmount > refundable) {
+          throw httpError(
+            400,
+            `Only ${refundable} has been paid on this bill and can be refunded; settle the return against the balance instead.`
+          );
+        }
+        bill.refundedAmount = roundToTwo(bill.refundedAmount + totalAmount);
+      } else {
+        // The whole credit comes off the customer's balance; anything beyond
+        // this bill's due stays on account against their other bills
+        bill.creditedAmount = roundToTwo(bill.creditedAmount + Math.min(totalAmount, bill.dueAmount));
+        bill.dueAmount = billDueAmount(bill.totalAmount, bill.paidAmount, bill.creditedAmount);
+        bill.paymentStatus = paymentStatusFor(bill.paidAmount, bill.totalAmount, bill.creditedAmount);
+        await Customer.findByIdAndUpdate(
+          bill.customerId,
+          { $inc: { outstandingBalance: -totalAmount } },
+          { new: true, session }
+        );
+      }
+
+      bill.returnedAmount = roundToTwo(bill.returnedAmount + totalAmount);
+      await bill.save({ session });
+
+      const creditNote = new CreditNote({
+        bill: bill._id,
+        billNumber: bill.billNumber,
+        customer: bill.customerId,
+        customerName: bill.customerName,
+        items: lines,
+        supplyType: bill.supplyType,
+        taxableValue: sum('taxableValue'),
+        cgstAmount: sum('cgstAmount'),
+        sgstAmount: sum('sgstAmount'),
+        igstAmount: sum('igstAmount'),
+        taxAmount: sum('taxAmount'),
+        totalAmount,
+        settlement,
+        refundMethod: settlement === 'refund' ? refundMethod : undefined,
+        reason: reason || '',
+        notes: notes || '',
+        creditNoteDate: parseOptionalDate(req.body.creditNoteDate, new Date()),
+        createdBy: req.user._id
+      });
+      await creditNote.save({ session });
+
+      await recordStockMovements(movements, {
+        type: 'return',
+        sourceType: 'CreditNote',
+        sourceId: creditNote._id,
+        reference: creditNote.creditNoteNumber,
+        user: req.user._id,
+        session
+      });
+
+      return { creditNote, productIds };
+    });
+
+    creditNote.$session(null);
+    await notifyProducts(productIds);
+
+    res.status(201).json({
+      message: 'Return recorded successfully',
+      creditNote
+    });
+  } catch (err) {
+    console.error("Error in createBillReturn:", err);
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({
+        message: err.message,
+        error: err.details || undefined
+      });
+    }
+    if (err.name === 'ValidationError') {
+      const messages = Object.values(err.errors).map((e) => e.message);
+      return res.status(400).json({ message: 'Validation Error', errors: messages });
+    }
+    if (err.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid data format', error: err.message });
+    }
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// @desc    List the credit notes issued against a bill
+// @route   GET /api/bills/:id/returns
+// @access  Private
+exports.getBillReturns = async (req, res) => {
+  try {
+    const bill = await Bill.findById(req.params.id).select('billNumber totalAmount returnedAmount refundedAmount');
+    if (!bill) {
+      return res.status(404).json({ message: 'Bill not found' });
+    }
+
+    const creditNotes = await CreditNote.find({ bill: bill._id })
+      .populate('createdBy', 'username email')
+      .sort({ creditNoteDate: 1, createdAt: 1 });
+
+    res.status(200).json({ bill, creditNotes });
+  } catch (err) {
+    console.error("Error in getBillReturns:", err);
+    if (err.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid bill ID' });
+    }
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
 exports.getBillsStats = async (req, res) => {
   try {
     const today = new Date();
     const startOfDay = new Date(today.setHours(0, 0, 0, 0));
     const startOfMonth = new Date(today.getFullYear(), today.getMonth(), 1);
+    const active = activeBillFilter(false);
     
     const [
       totalBills,
@@ -478,12 +1330,12 @@ exports.getBillsStats = async (req, res) => {
       pendingPayments,
       totalRevenue
     ] = await Promise.all([
-      Bill.countDocuments(),
-      Bill.countDocuments({ billDate: { $gte: startOfDay } }),
-      Bill.countDocuments({ billDate: { $gte: startOfMonth } }),
-      Bill.countDocuments({ paymentStatus: 'pending' }),
+      Bill.countDocuments(active),
+      Bill.countDocuments({ ...active, billDate: { $gte: startOfDay } }),
+      Bill.countDocuments({ ...active, billDate: { $gte: startOfMonth } }),
+      Bill.countDocuments({ ...active, paymentStatus: 'pending' }),
       Bill.aggregate([
-        { $match: { paymentStatus: 'paid' } },
+        { $match: { ...active, paymentStatus: 'paid' } },
         { $group: { _id: null, total: { $sum: '$totalAmount' } } }
       ])
     ]);
@@ -503,37 +1355,43 @@ exports.getBillsStats = async (req, res) => {
 
 exports.generateInvoice = async (req, res) => {
   try {
+    const layout = String(req.query.layout || 'a4').toLowerCase();
+    if (!INVOICE_LAYOUTS.includes(layout)) {
+      return res.status(400).json({
+        message: `Invalid layout. Use one of: ${INVOICE_LAYOUTS.join(', ')}`
+      });
+    }
+
     const bill = await Bill.findById(req.params.id).populate('customerId');
     if (!bill) {
       return res.status(404).json({ message: 'Bill not found' });
     }
-    
-    // Simple invoice generation (you can use libraries like pdfkit for PDF generation)
-    const invoice = {
-      billNumber: bill.billNumber,
-      billDate: bill.billDate,
-      customer: bill.customerId,
-      items: bill.items,
-      subtotal: bill.subtotal,
-      taxAmount: bill.taxAmount,
-      discount: bill.discount,
-      totalAmount: bill.totalAmount,
-      paymentStatus: bill.paymentStatus
-    };
-    
-    res.status(200).json(invoice);
+
+    const doc = renderInvoicePdf(bill, { layout, business });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader(
+      'Content-Disposition',
+      `${req.query.download === 'true' ? 'attachment' : 'inline'}; filename="invoice-${bill.billNumber}.pdf"`
+    );
+
+    doc.pipe(res);
+    doc.end();
   } catch (err) {
     console.error("Error in generateInvoice:", err); // Log for debugging
+    if (res.headersSent) {
+      return res.end();
+    }
     res.status(500).json({ message: 'Server error', error: err.message });
   }
 };
 
 exports.getSellingReport = async (req, res) => {
   try {
-    const { startDate, endDate, productId, categoryId, sortBy = 'revenue', sortOrder = 'desc' } = req.query;
+    const { startDate, endDate, productId, categoryId, sortBy = 'revenue', sortOrder = 'desc', includeCancelled } = req.query;
 
     // Build match conditions for bills
-    let matchConditions = {};
+    let matchConditions = activeBillFilter(includeCancelled);
 
     // Date range filter
     if (startDate && endDate) {
@@ -592,6 +1450,8 @@ exports.getSellingReport = async (req, res) => {
           category: { $first: '$product.category' },
           totalQuantity: { $sum: '$items.quantity' },
           totalRevenue: { $sum: '$items.total' },
+          returnedQuantity: { $sum: RETURNED_QUANTITY },
+          returnedRevenue: { $sum: RETURNED_VALUE },
           averagePrice: { $avg: '$items.price' },
           billsCount: { $addToSet: '$_id' },
           minPrice: { $min: '$items.price' },
@@ -624,6 +1484,10 @@ exports.getSellingReport = async (req, res) => {
           category: { $arrayElemAt: ['$categoryInfo.name', 0] },
           totalQuantity: 1,
           totalRevenue: { $round: ['$totalRevenue', 2] },
+          returnedQuantity: 1,
+          returnedRevenue: { $round: ['$returnedRevenue', 2] },
+          netQuantity: { $subtract: ['$totalQuantity', '$returnedQuantity'] },
+          netRevenue: { $round: [{ $subtract: ['$totalRevenue', '$returnedRevenue'] }, 2] },
           averagePrice: { $round: ['$averagePrice', 2] },
           billsCount: 1,
           minPrice: { $round: ['$minPrice', 2] },
@@ -648,6 +1512,7 @@ exports.getSellingReport = async (req, res) => {
           _id: null,
           totalBills: { $addToSet: '$_id' },
           totalRevenue: { $sum: '$totalAmount' },
+          totalReturns: { $sum: { $ifNull: ['$returnedAmount', 0] } },
           totalItems: { $sum: { $size: '$items' } }
         }
       },
@@ -656,12 +1521,14 @@ exports.getSellingReport = async (req, res) => {
           _id: 0,
           totalBills: { $size: '$totalBills' },
           totalRevenue: { $round: ['$totalRevenue', 2] },
+          totalReturns: { $round: ['$totalReturns', 2] },
+          netRevenue: { $round: [{ $subtract: ['$totalRevenue', '$totalReturns'] }, 2] },
           totalItems: 1
         }
       }
     ]);
 
-    const stats = summaryStats[0] || { totalBills: 0, totalRevenue: 0, totalItems: 0 };
+    const stats = summaryStats[0] || { totalBills: 0, totalRevenue: 0, totalReturns: 0, netRevenue: 0, totalItems: 0 };
 
     res.status(200).json({
       products: sellingData,
@@ -683,7 +1550,7 @@ exports.getSellingReport = async (req, res) => {
 exports.getProductSellingDetails = async (req, res) => {
   try {
     const { productId } = req.params;
-    const { startDate, endDate, limit = 50 } = req.query;
+    const { startDate, endDate, limit = 50, includeCancelled } = req.query;
 
     if (!productId || !mongoose.Types.ObjectId.isValid(productId)) {
       return res.status(400).json({ message: 'Valid product ID is required' });
@@ -691,6 +1558,7 @@ exports.getProductSellingDetails = async (req, res) => {
 
     // Build match conditions
     let matchConditions = {
+      ...activeBillFilter(includeCancelled),
       'items.productId': productId
     };
 
@@ -729,6 +1597,7 @@ exports.getProductSellingDetails = async (req, res) => {
           billDate: 1,
           customerName: { $ifNull: ['$customer.name', '$customerName'] },
           quantity: '$items.quantity',
+          returnedQuantity: RETURNED_QUANTITY,
           price: '$items.price',
           total: '$items.total',
           paymentStatus: 1,
@@ -751,6 +1620,8 @@ exports.getProductSellingDetails = async (req, res) => {
           _id: null,
           totalQuantity: { $sum: '$items.quantity' },
           totalRevenue: { $sum: '$items.total' },
+          returnedQuantity: { $sum: RETURNED_QUANTITY },
+          returnedRevenue: { $sum: RETURNED_VALUE },
           averagePrice: { $avg: '$items.price' },
           billsCount: { $addToSet: '$_id' },
           minPrice: { $min: '$items.price' },
@@ -764,6 +1635,10 @@ exports.getProductSellingDetails = async (req, res) => {
           _id: 0,
           totalQuantity: 1,
           totalRevenue: { $round: ['$totalRevenue', 2] },
+          returnedQuantity: 1,
+          returnedRevenue: { $round: ['$returnedRevenue', 2] },
+          netQuantity: { $subtract: ['$totalQuantity', '$returnedQuantity'] },
+          netRevenue: { $round: [{ $subtract: ['$totalRevenue', '$returnedRevenue'] }, 2] },
           averagePrice: { $round: ['$averagePrice', 2] },
           billsCount: { $size: '$billsCount' },
           minPrice: { $round: ['$minPrice', 2] },
@@ -781,6 +1656,7 @@ exports.getProductSellingDetails = async (req, res) => {
     const trendPipeline = [
       {
         $match: {
+          ...activeBillFilter(includeCancelled),
           'items.productId': new mongoose.Types.ObjectId(productId),
           billDate: { $gte: thirtyDaysAgo }
         }
@@ -792,8 +1668,8 @@ exports.getProductSellingDetails = async (req, res) => {
           _id: {
             $dateToString: { format: '%Y-%m-%d', date: '$billDate' }
           },
-          quantity: { $sum: '$items.quantity' },
-          revenue: { $sum: '$items.total' },
+          quantity: { $sum: { $subtract: ['$items.quantity', RETURNED_QUANTITY] } },
+          revenue: { $sum: { $subtract: ['$items.total', RETURNED_VALUE] } },
           billsCount: { $addToSet: '$_id' }
         }
       },
@@ -823,6 +1699,10 @@ exports.getProductSellingDetails = async (req, res) => {
       metrics: metrics[0] || {
         totalQuantity: 0,
         totalRevenue: 0,
+        returnedQuantity: 0,
+        returnedRevenue: 0,
+        netQuantity: 0,
+        netRevenue: 0,
         averagePrice: 0,
         billsCount: 0,
         minPrice: 0,
@@ -845,10 +1725,10 @@ exports.getProductSellingDetails = async (req, res) => {
 // @access  Private/Admin
 exports.getMonthlySellingReport = async (req, res) => {
   try {
-    const { startDate, endDate, productId, limit = 12 } = req.query;
+    const { startDate, endDate, productId, limit = 12, includeCancelled } = req.query;
 
     // Build match conditions
-    let matchConditions = {};
+    let matchConditions = activeBillFilter(includeCancelled);
 
     // Date range filter
     if (startDate && endDate) {
@@ -885,6 +1765,8 @@ exports.getMonthlySellingReport = async (req, res) => {
           productName: { $first: '$items.name' },
           totalQuantity: { $sum: '$items.quantity' },
           totalRevenue: { $sum: '$items.total' },
+          returnedQuantity: { $sum: RETURNED_QUANTITY },
+          returnedRevenue: { $sum: RETURNED_VALUE },
           billsCount: { $addToSet: '$_id' },
           averagePrice: { $avg: '$items.price' }
         }
@@ -936,6 +1818,10 @@ exports.getMonthlySellingReport = async (req, res) => {
           category: { $arrayElemAt: ['$category.name', 0] },
           totalQuantity: 1,
           totalRevenue: { $round: ['$totalRevenue', 2] },
+          returnedQuantity: 1,
+          returnedRevenue: { $round: ['$returnedRevenue', 2] },
+          netQuantity: { $subtract: ['$totalQuantity', '$returnedQuantity'] },
+          netRevenue: { $round: [{ $subtract: ['$totalRevenue', '$returnedRevenue'] }, 2] },
           billsCount: 1,
           averagePrice: { $round: ['$averagePrice', 2] }
         }
@@ -960,6 +1846,8 @@ exports.getMonthlySellingReport = async (req, res) => {
           _id: null,
           totalRevenue: { $sum: '$items.total' },
           totalQuantity: { $sum: '$items.quantity' },
+          returnedRevenue: { $sum: RETURNED_VALUE },
+          returnedQuantity: { $sum: RETURNED_QUANTITY },
           totalBills: { $addToSet: '$_id' },
           monthsCount: {
             $addToSet: {
@@ -974,6 +1862,10 @@ exports.getMonthlySellingReport = async (req, res) => {
           _id: 0,
           totalRevenue: { $round: ['$totalRevenue', 2] },
           totalQuantity: 1,
+          returnedRevenue: { $round: ['$returnedRevenue', 2] },
+          returnedQuantity: 1,
+          netRevenue: { $round: [{ $subtract: ['$totalRevenue', '$returnedRevenue'] }, 2] },
+          netQuantity: { $subtract: ['$totalQuantity', '$returnedQuantity'] },
           totalBills: { $size: '$totalBills' },
           monthsCount: { $size: '$monthsCount' }
         }
@@ -981,7 +1873,16 @@ exports.getMonthlySellingReport = async (req, res) => {
     ];
 
     const summaryData = await Bill.aggregate(summaryPipeline);
-    const summary = summaryData[0] || { totalRevenue: 0, totalQuantity: 0, totalBills: 0, monthsCount: 0 };
+    const summary = summaryData[0] || {
+      totalRevenue: 0,
+      totalQuantity: 0,
+      returnedRevenue: 0,
+      returnedQuantity: 0,
+      netRevenue: 0,
+      netQuantity: 0,
+      totalBills: 0,
+      monthsCount: 0
+    };
 
     res.status(200).json({
       monthlyData,
@@ -998,3 +1899,219 @@ exports.getMonthlySellingReport = async (req, res) => {
     res.status(500).json({ message: 'Server error', error: err.message });
   }
 };
+
+const PROFIT_GROUPINGS = ['product', 'category', 'customer', 'salesperson', 'period'];
+const PERIOD_FORMATS = {
+  day: '%Y-%m-%d',
+  month: '%Y-%m',
+  year: '%Y'
+};
+
+// @desc    Get revenue, cost of goods sold and gross margin from batch costs
+// @route   GET /api/bills/profit-report?groupBy=product|category|customer|salesperson|period
+// @access  Private/Admin
+exports.getProfitReport = async (req, res) => {
+  try {
+    const {
+      startDate,
+      endDate,
+      groupBy = 'product',
+      period = 'month',
+      includeCancelled
+    } = req.query;
+
+    if (!PROFIT_GROUPINGS.includes(groupBy)) {
+      return res.status(400).json({ message: `groupBy must be one of: ${PROFIT_GROUPINGS.join(', ')}` });
+    }
+    if (groupBy === 'period' && !PERIOD_FORMATS[period]) {
+      return res.status(400).json({ message: `period must be one of: ${Object.keys(PERIOD_FORMATS).join(', ')}` });
+    }
+
+    // Same date filter as the selling report
+    const matchConditions = activeBillFilter(includeCancelled);
+    if (startDate && endDate) {
+      matchConditions.billDate = {
+        $gte: new Date(startDate),
+        $lte: new Date(endDate)
+      };
+    }
+
+    const groupKeys = {
+      product: '$items.productId',
+      category: '$product.category',
+      customer: '$customerId',
+      salesperson: '$createdBy',
+      period: { $dateToString: { format: PERIOD_FORMATS[period], date: '$billDate' } }
+    };
+
+    const pipeline = [
+      { $match: matchConditions },
+      { $unwind: '$items' },
+
+      // Lines saved before unit cost was recorded fall back to their batch's cost
+      {
+        $lookup: {
+          from: 'product_batches',
+          let: { productId: '$items.productId', batchNumber: '$items.batchNumber' },
+          pipeline: [
+            {
+              $match: {
+                $expr: {
+                  $and: [
+                    { $eq: ['$product', '$$productId'] },
+                    { $eq: ['$batchNumber', '$$batchNumber'] }
+                  ]
+                }
+              }
+            },
+            { $project: { _id: 0, unitCost: 1 } }
+          ],
+          as: 'batchInfo'
+        }
+      },
+
+      // Returned quantities are taken out of both revenue and cost
+      {
+        $addFields: {
+          netQuantity: { $subtract: ['$items.quantity', RETURNED_QUANTITY] }
+        }
+      },
+
+      // Revenue is the line's taxable value (net of its share of the bill
+      // discount, before tax); older lines without one are apportioned here
+      {
+        $addFields: {
+          lineRevenue: {
+            $multiply: [
+              {
+                $ifNull: [
+                  '$items.taxableValue',
+                  {
+                    $multiply: [
+                      '$items.total',
+                      {
+                        $cond: [
+                          { $gt: ['$subtotal', 0] },
+                          { $divide: [{ $subtract: ['$subtotal', { $ifNull: ['$discount', 0] }] }, '$subtotal'] },
+                          1
+                        ]
+                      }
+                    ]
+                  }
+                ]
+              },
+              {
+                $cond: [
+                  { $gt: ['$items.quantity', 0] },
+                  { $divide: ['$netQuantity', '$items.quantity'] },
+                  0
+                ]
+              }
+            ]
+          },
+          lineCogs: {
+            $multiply: [
+              '$netQuantity',
+              { $ifNull: ['$items.unitCost', { $ifNull: [{ $arrayElemAt: ['$batchInfo.unitCost', 0] }, 0] }] }
+            ]
+          }
+        }
+      },
+
+      ...(groupBy === 'category'
+        ? [
+          {
+            $lookup: {
+              from: 'products',
+              localField: 'items.productId',
+              foreignField: '_id',
+              as: 'product'
+            }
+          },
+          { $unwind: { path: '$product', preserveNullAndEmptyArrays: true } }
+        ]
+        : []),
+
+      {
+        $group: {
+          _id: groupKeys[groupBy],
+          label: { $first: groupBy === 'customer' ? '$customerName' : '$items.name' },
+          quantity: { $sum: '$netQuantity' },
+          revenue: { $sum: '$lineRevenue' },
+          cogs: { $sum: '$lineCogs' },
+          bills: { $addToSet: '$_id' }
+        }
+      }
+    ];
+
+    // Resolve display names for groupings whose key is a reference
+    if (groupBy === 'category') {
+      pipeline.push(
+        { $lookup: { from: 'categories', localField: '_id', foreignField: '_id', as: 'categoryInfo' } },
+        { $addFields: { label: { $ifNull: [{ $arrayElemAt: ['$categoryInfo.name', 0] }, 'Uncategorized'] } } }
+      );
+    } else if (groupBy === 'salesperson') {
+      pipeline.push(
+        { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'userInfo' } },
+        { $addFields: { label: { $ifNull: [{ $arrayElemAt: ['$userInfo.username', 0] }, 'Unknown'] } } }
+      );
+    } else if (groupBy === 'period') {
+      pipeline.push({ $addFields: { label: '$_id' } });
+    }
+
+    pipeline.push(
+      {
+        $project: {
+          _id: 1,
+          label: 1,
+          quantity: 1,
+          billsCount: { $size: '$bills' },
+          revenue: { $round: ['$revenue', 2] },
+          cogs: { $round: ['$cogs', 2] },
+          grossMargin: { $round: [{ $subtract: ['$revenue', '$cogs'] }, 2] },
+          marginPercent: {
+            $cond: [
+              { $gt: ['$revenue', 0] },
+              { $round: [{ $multiply: [{ $divide: [{ $subtract: ['$revenue', '$cogs'] }, '$revenue'] }, 100] }, 2] },
+              0
+            ]
+          }
+        }
+      },
+      { $sort: groupBy === 'period' ? { _id: 1 } : { grossMargin: -1 } }
+    );
+
+    const groups = await Bill.aggregate(pipeline);
+
+    const totals = groups.reduce(
+      (acc, group) => ({
+        revenue: acc.revenue + group.revenue,
+        cogs: acc.cogs + group.cogs
+      }),
+      { revenue: 0, cogs: 0 }
+    );
+    const revenue = roundToTwo(totals.revenue);
+    const cogs = roundToTwo(totals.cogs);
+    const grossMargin = roundToTwo(revenue - cogs);
+
+    res.status(200).json({
+      groupBy,
+      groups,
+      summary: {
+        revenue,
+        cogs,
+        grossMargin,
+        marginPercent: revenue > 0 ? roundToTwo((grossMargin / revenue) * 100) : 0
+      },
+      filters: {
+        startDate,
+        endDate,
+        groupBy,
+        period: groupBy === 'period' ? period : undefined
+      }
+    });
+  } catch (err) {
+    console.error("Error in getProfitReport:", err);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
@@ -28,7 +28,7 @@ const getCategories = async (req, res) => {
 // @access  Private/Admin
 const createCategory = async (req, res) => {
   try {
-    const { name, description, status = 'active' } = req.body;
+    const { name, description, status = 'active', gstRate, allocationStrategy } = req.body;
 
     // Check if category already exists
     const existingCategory = await Category.findOne({
@@ -45,6 +45,8 @@ const createCategory = async (req, res) => {
       name,
       description,
       status,
+      gstRate: gstRate === undefined || gstRate === null || gstRate === '' ? undefined : gstRate,
+      allocationStrategy: allocationStrategy || undefined,
       createdBy: req.user._id
     });
 
@@ -70,7 +72,7 @@ const createCategory = async (req, res) => {
 // @access  Private/Admin
 const updateCategory = async (req, res) => {
   try {
-    const { name, description, status } = req.body;
+    const { name, description, status, gstRate, allocationStrategy } = req.body;
 
     const category = await Category.findById(req.params.id);
     if (!category) {
@@ -95,6 +97,10 @@ const updateCategory = async (req, res) => {
     if (name) category.name = name;
     if (description !== undefined) category.description = description;
     if (status) category.status = status;
+    if (gstRate !== undefined) {
+      category.gstRate = gstRate === null || gstRate === '' ? undefined : gstRate;
+    }
+    if (allocationStrategy) category.allocationStrategy = allocationStrategy;
 
     const updatedCategory = await category.save();
     res.status(200).json(updatedCategory);
@@ -1,5 +1,8 @@
 // controllers/customerController.js
 const Customer = require('../models/Customer');
+const Payment = require('../models/Payment');
+const Bill = require('../models/Bill');
+const CreditNote = require('../models/CreditNote');
 
 exports.getAllCustomers = async (req, res) => {
   try {
@@ -147,4 +150,361 @@ exports.getCustomersStats = async (req, res) => {
   } catch (err) {
     res.status(500).json({ message: "Server error", error: err.message });
   }
+};
+
+// GET /api/customers/:id/payments - Payment history across all of a customer's bills
+exports.getCustomerPayments = async (req, res) => {
+  try {
+    const { startDate, endDate, page = 1, limit = 50 } = req.query;
+
+    const customer = await Customer.findById(req.params.id).select('name outstandingBalance');
+    if (!customer) {
+      return res.status(404).json({ message: 'Customer not found' });
+    }
+
+    const filter = { customer: customer._id };
+    if (startDate || endDate) {
+      filter.paymentDate = {};
+      if (startDate) filter.paymentDate.$gte = new Date(startDate);
+      if (endDate) filter.paymentDate.$lte = new Date(endDate);
+    }
+
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+    const pageSize = Math.max(parseInt(limit, 10) || 50, 1);
+
+    const [payments, totals] = await Promise.all([
+      Payment.find(filter)
+        .populate('bill', 'billNumber billDate totalAmount dueAmount paymentStatus')
+        .populate('receivedBy', 'username email')
+        .sort({ paymentDate: -1, createdAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize),
+      Payment.aggregate([
+        { $match: filter },
+        { $group: { _id: null, count: { $sum: 1 }, totalPaid: { $sum: '$amount' } } }
+      ])
+    ]);
+
+    const { count = 0, totalPaid = 0 } = totals[0] || {};
+
+    res.status(200).json({
+      customer,
+      payments,
+      totalPaid,
+      totalPages: Math.ceil(count / pageSize),
+      currentPage: pageNumber,
+      total: count
+    });
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid customer ID' });
+    }
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+const roundToTwo = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const parseDateParam = (value, endOfDay = false) => {
+  if (!value) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return undefined;
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(String(value))) {
+    date.setHours(23, 59, 59, 999);
+  }
+  return date;
+};
+
+// Order of entries falling on the same instant: the bill is raised before it is paid or cancelled
+const ENTRY_ORDER = { bill: 0, payment: 1, credit_note: 2, cancellation: 3, refund: 4 };
+
+// GET /api/customers/:id/statement?from&to - Account statement with running balance
+exports.getCustomerStatement = async (req, res) => {
+  try {
+    const from = parseDateParam(req.query.from);
+    const to = parseDateParam(req.query.to, true);
+    if (from === undefined || to === undefined) {
+      return res.status(400).json({ message: 'Invalid from/to date' });
+    }
+    if (from && to && from > to) {
+      return res.status(400).json({ message: '"from" must be on or before "to"' });
+    }
+
+    const customer = await Customer.findById(req.params.id)
+      .select('name email phone gstNumber creditLimit outstandingBalance');
+    if (!customer) {
+      return res.status(404).json({ message: 'Customer not found' });
+    }
+
+    const [bills, payments, creditNotes] = await Promise.all([
+      Bill.find({ customerId: customer._id })
+        .select('billNumber billDate totalAmount paidAmount dueAmount status cancelledAt cancellationRefund')
+        .lean(),
+      Payment.find({ customer: customer._id })
+        .select('bill amount method reference paymentDate')
+        .lean(),
+      CreditNote.find({ customer: customer._id })
+        .select('creditNoteNumber bill billNumber totalAmount settlement refundMethod creditNoteDate')
+        .lean()
+    ]);
+
+    const paidByBill = new Map();
+    payments.forEach((payment) => {
+      const key = String(payment.bill);
+      paidByBill.set(key, roundToTwo((paidByBill.get(key) || 0) + payment.amount));
+    });
+    const billNumbers = new Map(bills.map((bill) => [String(bill._id), bill.billNumber]));
+
+    const entries = [];
+    bills.forEach((bill) => {
+      entries.push({
+        date: bill.billDate,
+        type: 'bill',
+        reference: bill.billNumber,
+        billId: bill._id,
+        description: `Bill ${bill.billNumber}`,
+        debit: roundToTwo(bill.totalAmount),
+        credit: 0
+      });
+
+      // Bills raised before the payment ledger existed carry their payment only in paidAmount
+      const unrecorded = roundToTwo(bill.paidAmount - (paidByBill.get(String(bill._id)) || 0));
+      if (unrecorded > 0) {
+        entries.push({
+          date: bill.billDate,
+          type: 'payment',
+          reference: bill.billNumber,
+          billId: bill._id,
+          description: `Payment at billing for ${bill.billNumber}`,
+          debit: 0,
+          credit: unrecorded
+        });
+      }
+
+      // Cancelling a bill writes off whatever was still due on it
+      // and credits back what was paid, which is then refunded
+      const refunded = bill.status === 'cancelled' ? roundToTwo(bill.cancellationRefund?.amount || 0) : 0;
+      if (bill.status === 'cancelled' && (bill.dueAmount > 0 || refunded > 0)) {
+        entries.push({
+          date: bill.cancelledAt || bill.billDate,
+          type: 'cancellation',
+          reference: bill.billNumber,
+          billId: bill._id,
+          description: `Bill ${bill.billNumber} cancelled`,
+          debit: 0,
+          credit: roundToTwo(bill.dueAmount + refunded)
+        });
+      }
+      if (refunded > 0) {
+        entries.push({
+          date: bill.cancelledAt || bill.billDate,
+          type: 'refund',
+          reference: bill.billNumber,
+          billId: bill._id,
+          description: `Refund (${bill.cancellationRefund.method}) for cancelled bill ${bill.billNumber}`,
+          debit: refunded,
+          credit: 0
+        });
+      }
+    });
+
+    payments.forEach((payment) => {
+      const billNumber = billNumbers.get(String(payment.bill)) || '';
+      entries.push({
+        date: payment.paymentDate,
+        type: 'payment',
+        reference: payment.reference || billNumber,
+        billId: payment.bill,
+        paymentId: payment._id,
+        description: `Payment (${payment.method})${billNumber ? ` for ${billNumber}` : ''}`,
+        debit: 0,
+        credit: roundToTwo(payment.amount)
+      });
+    });
+
+    // A refunded credit note is paid straight back out, so it nets to zero
+    creditNotes.forEach((note) => {
+      entries.push({
+        date: note.creditNoteDate,
+        type: 'credit_note',
+        reference: note.creditNoteNumber,
+        billId: note.bill,
+        creditNoteId: note._id,
+        description: `Credit note ${note.creditNoteNumber} against ${note.billNumber}`,
+        debit: 0,
+        credit: roundToTwo(note.totalAmount)
+      });
+      if (note.settlement === 'refund') {
+        entries.push({
+          date: note.creditNoteDate,
+          type: 'refund',
+          reference: note.creditNoteNumber,
+          billId: note.bill,
+          creditNoteId: note._id,
+          description: `Refund (${note.refundMethod}) for ${note.creditNoteNumber}`,
+          debit: roundToTwo(note.totalAmount),
+          credit: 0
+        });
+      }
+    });
+
+    entries.sort((a, b) =>
+      new Date(a.date) - new Date(b.date) || ENTRY_ORDER[a.type] - ENTRY_ORDER[b.type]
+    );
+
+    let openingBalance = 0;
+    let balance = 0;
+    let totalDebit = 0;
+    let totalCredit = 0;
+    const transactions = [];
+
+    entries.forEach((entry) => {
+      const date = new Date(entry.date);
+      if (to && date > to) return;
+
+      if (from && date < from) {
+        openingBalance = roundToTwo(openingBalance + entry.debit - entry.credit);
+        balance = openingBalance;
+        return;
+      }
+
+      balance = roundToTwo(balance + entry.debit - entry.credit);
+      totalDebit = roundToTwo(totalDebit + entry.debit);
+      totalCredit = roundToTwo(totalCredit + entry.credit);
+      transactions.push({ ...entry, balance });
+    });
+
+    res.status(200).json({
+      customer,
+      from,
+      to,
+      openingBalance,
+      transactions,
+      totalDebit,
+      totalCredit,
+      closingBalance: balance
+    });
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid customer ID' });
+    }
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+const AGEING_BUCKETS = ['0-30', '31-60', '61-90', '90+'];
+
+// $lookup of the documents in `collection` that point at the bill and are
+// dated after asOf, each reduced to its `amount`
+const laterAgainstBill = (collection, dateField, amountField, asOf, extraMatch = {}) => ({
+  from: collection,
+  let: { billId: '$_id' },
+  pipeline: [
+    { $match: { $expr: { $eq: ['$bill', '$$billId'] }, [dateField]: { $gt: asOf }, ...extraMatch } },
+    { $project: { amount: `$${amountField}` } }
+  ]
+});
+
+// GET /api/customers/ageing?asOf - Outstanding dues bucketed by days past due date.
+// Dues are rebuilt as they stood on asOf: payments and adjusted credit notes
+// dated later are added back, and bills cancelled later still count.
+exports.getCustomersAgeing = async (req, res) => {
+  try {
+    const parsedAsOf = parseDateParam(req.query.asOf, true);
+    if (parsedAsOf === undefined) {
+      return res.status(400).json({ message: 'Invalid asOf date' });
+    }
+    const asOf = parsedAsOf || new Date();
+
+    const daysOverdue = {
+      $max: [
+        0,
+        {
+          $floor: {
+            $divide: [{ $subtract: [asOf, { $ifNull: ['$dueDate', '$billDate'] }] }, 1000 * 60 * 60 * 24]
+          }
+        }
+      ]
+    };
+
+    const bucketSum = (min, max) => ({
+      $sum: {
+        $cond: [
+          max === null
+            ? { $gt: ['$daysOverdue', min] }
+            : { $and: [{ $gte: ['$daysOverdue', min] }, { $lte: ['$daysOverdue', max] }] },
+          '$dueAmount',
+          0
+        ]
+      }
+    });
+
+    const rows = await Bill.aggregate([
+      {
+        $match: {
+          billDate: { $lte: asOf },
+          $or: [{ status: { $ne: 'cancelled' } }, { cancelledAt: { $gt: asOf } }]
+        }
+      },
+      { $lookup: { ...laterAgainstBill(Payment.collection.name, 'paymentDate', 'amount', asOf), as: 'laterPayments' } },
+      {
+        $lookup: {
+          ...laterAgainstBill(CreditNote.collection.name, 'creditNoteDate', 'totalAmount', asOf, { settlement: 'adjust' }),
+          as: 'laterCredits'
+        }
+      },
+      {
+        $addFields: {
+          // An adjusted credit note can take off less than its total when the
+          // due was smaller, so the rebuilt due is capped at the bill total
+          dueAmount: {
+            $min: [
+              '$totalAmount',
+              { $add: ['$dueAmount', { $sum: '$laterPayments.amount' }, { $sum: '$laterCredits.amount' }] }
+            ]
+          }
+        }
+      },
+      { $match: { dueAmount: { $gt: 0 } } },
+      { $addFields: { daysOverdue } },
+      {
+        $group: {
+          _id: '$customerId',
+          customerName: { $first: '$customerName' },
+          bills: { $sum: 1 },
+          totalDue: { $sum: '$dueAmount' },
+          '0-30': bucketSum(0, 30),
+          '31-60': bucketSum(31, 60),
+          '61-90': bucketSum(61, 90),
+          '90+': bucketSum(90, null),
+          oldestDays: { $max: '$daysOverdue' }
+        }
+      },
+      { $sort: { totalDue: -1 } }
+    ]);
+
+    const totals = AGEING_BUCKETS.reduce((acc, bucket) => ({ ...acc, [bucket]: 0 }), { totalDue: 0 });
+
+    const customers = rows.map((row) => {
+      const buckets = {};
+      AGEING_BUCKETS.forEach((bucket) => {
+        buckets[bucket] = roundToTwo(row[bucket]);
+        totals[bucket] = roundToTwo(totals[bucket] + row[bucket]);
+      });
+      totals.totalDue = roundToTwo(totals.totalDue + row.totalDue);
+
+      return {
+        customerId: row._id,
+        customerName: row.customerName,
+        bills: row.bills,
+        totalDue: roundToTwo(row.totalDue),
+        oldestDays: row.oldestDays,
+        buckets
+      };
+    });
+
+    res.status(200).json({ asOf, buckets: AGEING_BUCKETS, customers, totals });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
 };
\ No newline at end of file
@@ -0,0 +1,144 @@
+const HsnCode = require('../models/HsnCode');
+
+const isValidRate = (value) => {
+  const rate = Number(value);
+  return value !== '' && value !== null && Number.isFinite(rate) && rate >= 0 && rate <= 100;
+};
+
+// @desc    Get all HSN codes with their GST rates
+// @route   GET /api/hsn-codes
+// @access  Private
+const getHsnCodes = async (req, res) => {
+  try {
+    const { search } = req.query;
+
+    const query = {};
+    if (search) {
+      query.$or = [
+        { code: { $regex: search, $options: 'i' } },
+        { description: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const hsnCodes = await HsnCode.find(query).sort({ code: 1 });
+    res.status(200).json({ hsnCodes });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Server Error: Could not fetch HSN codes.',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Create an HSN code
+// @route   POST /api/hsn-codes
+// @access  Private/Admin
+const createHsnCode = async (req, res) => {
+  try {
+    const { code, description, gstRate } = req.body;
+
+    if (!code || !String(code).trim()) {
+      return res.status(400).json({ message: 'HSN code is required.' });
+    }
+
+    if (!isValidRate(gstRate)) {
+      return res.status(400).json({ message: 'GST rate must be a number between 0 and 100.' });
+    }
+
+    const existing = await HsnCode.findOne({ code: String(code).trim() });
+    if (existing) {
+      return res.status(400).json({ message: 'HSN code already exists.' });
+    }
+
+    const hsnCode = await HsnCode.create({
+      code: String(code).trim(),
+      description,
+      gstRate: Number(gstRate)
+    });
+
+    res.status(201).json(hsnCode);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        message: 'Validation Error',
+        errors
+      });
+    }
+    res.status(500).json({
+      message: 'Server Error: Could not create HSN code.',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update an HSN code
+// @route   PUT /api/hsn-codes/:id
+// @access  Private/Admin
+const updateHsnCode = async (req, res) => {
+  try {
+    const { code, description, gstRate } = req.body;
+
+    const hsnCode = await HsnCode.findById(req.params.id);
+    if (!hsnCode) {
+      return res.status(404).json({ message: 'HSN code not found' });
+    }
+
+    if (gstRate !== undefined && !isValidRate(gstRate)) {
+      return res.status(400).json({ message: 'GST rate must be a number between 0 and 100.' });
+    }
+
+    if (code && String(code).trim() !== hsnCode.code) {
+      const existing = await HsnCode.findOne({ code: String(code).trim(), _id: { $ne: hsnCode._id } });
+      if (existing) {
+        return res.status(400).json({ message: 'HSN code already exists.' });
+      }
+      hsnCode.code = String(code).trim();
+    }
+    if (description !== undefined) hsnCode.description = description;
+    if (gstRate !== undefined) hsnCode.gstRate = Number(gstRate);
+
+    const updated = await hsnCode.save();
+    res.status(200).json(updated);
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'HSN code not found' });
+    }
+    res.status(500).json({
+      message: 'Server Error: Could not update HSN code.',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Delete an HSN code
+// @route   DELETE /api/hsn-codes/:id
+// @access  Private/Admin
+const deleteHsnCode = async (req, res) => {
+  try {
+    const hsnCode = await HsnCode.findByIdAndDelete(req.params.id);
+    if (!hsnCode) {
+      return res.status(404).json({ message: 'HSN code not found' });
+    }
+
+    res.status(200).json({
+      message: 'HSN code deleted successfully',
+      hsnCodeId: req.params.id
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'HSN code not found' });
+    }
+    res.status(500).json({
+      message: 'Server Error: Could not delete HSN code.',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getHsnCodes,
+  createHsnCode,
+  updateHsnCode,
+  deleteHsnCode,
+};
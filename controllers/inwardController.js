@@ -1,9 +1,30 @@
 const Inward = require('../models/Inward');
 const Product = require('../models/Product');
-const Category = require('../models/Category');
-const ProductBatch = require('../models/ProductBatch');
+const Supplier = require('../models/Supplier');
+const SupplierPayment = require('../models/SupplierPayment');
 const asyncHandler = require('express-async-handler');
 const { handleStockNotifications } = require('../utils/stockNotifications');
+const { validateAgainstMrp } = require('../utils/pricing');
+const { computeDueDate } = require('../utils/paymentTerms');
+const { withTransaction } = require('../utils/withTransaction');
+const { postInwardToInventory } = require('../utils/inwardPosting');
+const { resolveConversion } = require('../utils/uom');
+const { assertStockable } = require('../utils/productStructure');
+
+// Resolves a line's unit (a pack of the product, or l, kg, ...); products not
+// created yet can only use general units. Parents and kits are never stocked.
+const lineUnit = async (product, unit, res) => {
+  try {
+    assertStockable(product);
+    const conversion = await resolveConversion(product, unit);
+    return { unit: conversion.unit, conversionFactor: conversion.factor };
+  } catch (error) {
+    res.status(error.statusCode || 500);
+    throw error;
+  }
+};
+
+const SUPPLIER_PAYMENT_METHODS = ['cash', 'card', 'upi', 'bank_transfer', 'cheque'];
 
 // @desc    Create a new inward (GRN)
 // @route   POST /api/inwards
@@ -22,7 +43,8 @@ const createInward = asyncHandler(async (req, res) => {
     vehicleNumber,
     notes,
     qualityCheckStatus,
-    qualityCheckNotes
+    qualityCheckNotes,
+    location
   } = req.body;
 
   // Check if user is authenticated
@@ -39,6 +61,11 @@ const createInward = asyncHandler(async (req, res) => {
     throw new Error('Inward must have at least one item');
   }
 
+  if (location && !String(location).match(/^[0-9a-fA-F]{24}$/)) {
+    res.status(400);
+    throw new Error('Invalid location ID');
+  }
+
   // Validate each item
   for (const item of items) {
     if (!item.product || item.product.trim() === '') {
@@ -50,6 +77,12 @@ const createInward = asyncHandler(async (req, res) => {
       res.status(400);
       throw new Error('Received quantity must be positive and unit cost cannot be negative');
     }
+
+    const mrpError = validateAgainstMrp(item.sellingPrice, item.mrp);
+    if (mrpError) {
+      res.status(400);
+      throw new Error(mrpError);
+    }
   }
 
   // Process items - handle both existing products and new product names
@@ -58,12 +91,13 @@ const createInward = asyncHandler(async (req, res) => {
     console.log(`Processing item ${index + 1}:`, item);
     let productId = item.product;
     let productName = '';
+    let existingProduct = null;
 
     // Check if product is an existing product ID or new product name
     if (typeof item.product === 'string' && item.product.match(/^[0-9a-fA-F]{24}$/)) {
       // It's a MongoDB ObjectId - existing product
       console.log(`Item ${index + 1}: Valid ObjectId detected`);
-      const existingProduct = await Product.findById(item.product);
+      existingProduct = await Product.findById(item.product);
       if (!existingProduct) {
         console.error(`❌ Product with ID ${item.product} not found`);
         throw new Error(`Product with ID ${item.product} not found`);
@@ -81,13 +115,17 @@ const createInward = asyncHandler(async (req, res) => {
     const processedItem = {
       product: productId,
       productName: productName,
+      ...(await lineUnit(existingProduct, item.unit, res)),
       orderedQuantity: item.orderedQuantity || 0,
       receivedQuantity: item.receivedQuantity,
       unitCost: item.unitCost,
+      sellingPrice: item.sellingPrice,
+      mrp: item.mrp,
       total: item.receivedQuantity * item.unitCost,
       batchNumber: item.batchNumber,
       manufacturingDate: item.manufacturingDate,
       expiryDate: item.expiryDate,
+      purchaseItemId: item.purchaseItemId || undefined,
       notes: item.notes
     };
     
@@ -113,6 +151,7 @@ const createInward = asyncHandler(async (req, res) => {
     notes,
     qualityCheckStatus,
     qualityCheckNotes,
+    location: location || null,
     createdBy: req.user.id
   };
 
@@ -142,6 +181,7 @@ const createInward = asyncHandler(async (req, res) => {
     await inward.populate([
       { path: 'supplier', select: 'name email phone' },
       { path: 'purchaseOrder', select: 'purchaseOrderNumber' },
+      { path: 'location', select: 'name code' },
       { path: 'createdBy', select: 'name email' }
     ]);
     console.log('✅ Inward populated successfully');
@@ -260,6 +300,7 @@ const getInwards = asyncHandler(async (req, res) => {
       { path: 'supplier', select: 'name email phone' },
       { path: 'items.product', select: 'name sku' },
       { path: 'purchaseOrder', select: 'purchaseOrderNumber' },
+      { path: 'location', select: 'name code' },
       { path: 'createdBy', select: 'name email' },
       { path: 'approvedBy', select: 'name email' }
     ],
@@ -324,6 +365,7 @@ const getInward = asyncHandler(async (req, res) => {
     .populate('supplier')
     .populate('items.product')
     .populate('purchaseOrder')
+    .populate('location', 'name code')
     .populate('createdBy', 'name email')
     .populate('approvedBy', 'name email');
 
@@ -405,9 +447,15 @@ const updateInward = asyncHandler(async (req, res) => {
     vehicleNumber,
     notes,
     qualityCheckStatus,
-    qualityCheckNotes
+    qualityCheckNotes,
+    location
   } = req.body;
 
+  if (location && !String(location).match(/^[0-9a-fA-F]{24}$/)) {
+    res.status(400);
+    throw new Error('Invalid location ID');
+  }
+
   // Validate items if provided
   if (items) {
     if (items.length === 0) {
@@ -425,6 +473,12 @@ const updateInward = asyncHandler(async (req, res) => {
         res.status(400);
         throw new Error('Received quantity must be positive and unit cost cannot be negative');
       }
+
+      const mrpError = validateAgainstMrp(item.sellingPrice, item.mrp);
+      if (mrpError) {
+        res.status(400);
+        throw new Error(mrpError);
+      }
     }
   }
 
@@ -433,11 +487,12 @@ const updateInward = asyncHandler(async (req, res) => {
     inward.items = await Promise.all(items.map(async (item) => {
       let productId = item.product;
       let productName = '';
+      let existingProduct = null;
 
       // Check if product is an existing product ID or new product name
       if (item.product.match(/^[0-9a-fA-F]{24}$/)) {
         // It's a MongoDB ObjectId - existing product
-        const existingProduct = await Product.findById(item.product);
+        existingProduct = await Product.findById(item.product);
         if (!existingProduct) {
           throw new Error(`Product with ID ${item.product} not found`);
         }
@@ -452,13 +507,17 @@ const updateInward = asyncHandler(async (req, res) => {
       return {
         product: productId,
         productName: productName,
+        ...(await lineUnit(existingProduct, item.unit, res)),
         orderedQuantity: item.orderedQuantity || 0,
         receivedQuantity: item.receivedQuantity,
         unitCost: item.unitCost,
+        sellingPrice: item.sellingPrice,
+        mrp: item.mrp,
         total: item.receivedQuantity * item.unitCost,
         batchNumber: item.batchNumber,
         manufacturingDate: item.manufacturingDate,
         expiryDate: item.expiryDate,
+        purchaseItemId: item.purchaseItemId || undefined,
         notes: item.notes
       };
     }));
@@ -473,6 +532,7 @@ const updateInward = asyncHandler(async (req, res) => {
   if (notes !== undefined) inward.notes = notes;
   if (qualityCheckStatus !== undefined) inward.qualityCheckStatus = qualityCheckStatus;
   if (qualityCheckNotes !== undefined) inward.qualityCheckNotes = qualityCheckNotes;
+  if (location !== undefined) inward.location = location || null;
   
   // Recalculate total amount
   if (items) {
@@ -488,6 +548,7 @@ const updateInward = asyncHandler(async (req, res) => {
         { path: 'supplier', select: 'name email phone' },
         { path: 'items.product', select: 'name sku', strictPopulate: false },
         { path: 'purchaseOrder', select: 'purchaseOrderNumber' },
+        { path: 'location', select: 'name code' },
         { path: 'createdBy', select: 'name email' },
         { path: 'approvedBy', select: 'name email' }
       ])
@@ -551,146 +612,6 @@ const deleteInward = asyncHandler(async (req, res) => {
   res.json({ message: 'Inward deleted successfully' });
 });
 
-// Helper function to create new product from inward item
-async function createNewProductFromInwardItem(item, inward) {
-  console.log('🔄 Creating new product from inward item...');
-
-  try {
-    // Find a default category (first active category)
-    let defaultCategory = await Category.findOne({ status: 'active' }).select('_id');
-    console.log('Default active category found:', !!defaultCategory);
-
-    // Try by name if none active found
-    if (!defaultCategory) {
-      const generalByName = await Category.findOne({ name: 'General' }).select('_id');
-      if (generalByName) {
-        defaultCategory = generalByName;
-        console.log('Using existing "General" category by name');
-      }
-    }
-
-    // Try by slug if still not found
-    if (!defaultCategory) {
-      const generalBySlug = await Category.findOne({ slug: 'general' }).select('_id');
-      if (generalBySlug) {
-        defaultCategory = generalBySlug;
-        console.log('Using existing "general" category by slug');
-      }
-    }
-
-    // Auto-create a default category if none exists
-    if (!defaultCategory) {
-      console.log('⚠️ No active category found. Creating default "General" category...');
-      try {
-        const general = new Category({ name: 'General', description: 'Default category', status: 'active' });
-        const savedGeneral = await general.save();
-        defaultCategory = { _id: savedGeneral._id };
-        console.log('✅ Default "General" category created');
-      } catch (err) {
-        if (err && err.code === 11000) {
-          console.log('Category already created by another request, fetching it now...');
-          const existing = await Category.findOne({ $or: [{ name: 'General' }, { slug: 'general' }] }).select('_id');
-          if (existing) {
-            defaultCategory = existing;
-          } else {
-            throw err;
-          }
-        } else {
-          throw err;
-        }
-      }
-    }
-
-    const productData = {
-      name: item.productName || item.product,
-      description: item.notes || `Product from inward ${inward.grnNumber}`,
-      price: item.unitCost,
-      category: defaultCategory._id,
-      quantity: item.receivedQuantity,
-      supplier: inward.supplier,
-      batchNumber: item.batchNumber,
-      manufacturingDate: new Date(item.manufacturingDate),
-      reorderLevel: 10,
-      addedDate: new Date()
-    };
-
-    // Validate required fields
-    if (!productData.name || productData.name.trim() === '') {
-      throw new Error('Product name is required');
-    }
-    if (!productData.batchNumber || productData.batchNumber.trim() === '') {
-      throw new Error('Batch number is required');
-    }
-    if (!productData.manufacturingDate || isNaN(productData.manufacturingDate.getTime())) {
-      throw new Error('Valid manufacturing date is required');
-    }
-
-    if (item.expiryDate) {
-      productData.expiryDate = new Date(item.expiryDate);
-      if (isNaN(productData.expiryDate.getTime())) {
-        throw new Error('Invalid expiry date');
-      }
-    }
-
-    console.log('Creating product with data:', productData);
-    const newProduct = new Product(productData);
-    const savedProduct = await newProduct.save();
-    console.log('✅ Product created successfully:', savedProduct._id);
-
-    // Handle stock notifications for new product
-    await handleStockNotifications(savedProduct, savedProduct.quantity);
-
-    // Update the inward item to reference the new product
-    item.product = savedProduct._id;
-
-    return savedProduct;
-  } catch (error) {
-    console.error(`❌ Error creating product for ${item.productName}:`, error);
-    throw error; // Re-throw to be handled by caller
-  }
-}
-
-// Helper to upsert product batch for batch-level pricing
-async function upsertProductBatch(productId, item, supplierId) {
-  try {
-    if (!productId || !item?.batchNumber) {
-      return; // nothing to do
-    }
-
-    const filter = { product: productId, batchNumber: item.batchNumber };
-    const existing = await ProductBatch.findOne(filter);
-    if (existing) {
-      // Keep the original unitCost for the batch, only bump quantity and update dates if provided
-      existing.quantity += item.receivedQuantity || 0;
-      if (item.manufacturingDate) {
-        const mfg = new Date(item.manufacturingDate);
-        if (!isNaN(mfg.getTime())) existing.manufacturingDate = mfg;
-      }
-      if (item.expiryDate) {
-        const exp = new Date(item.expiryDate);
-        if (!isNaN(exp.getTime())) existing.expiryDate = exp;
-      }
-      if (supplierId) existing.supplier = supplierId;
-      await existing.save();
-      return existing;
-    } else {
-      const doc = new ProductBatch({
-        product: productId,
-        batchNumber: item.batchNumber,
-        unitCost: item.unitCost,
-        quantity: item.receivedQuantity || 0,
-        manufacturingDate: item.manufacturingDate ? new Date(item.manufacturingDate) : undefined,
-        expiryDate: item.expiryDate ? new Date(item.expiryDate) : undefined,
-        supplier: supplierId
-      });
-      return await doc.save();
-    }
-  } catch (err) {
-    console.error('❌ Error upserting product batch:', err);
-    // Don't block the main flow; surface error via logs only
-  }
-}
-
 // @desc    Approve inward
 // @route   PUT /api/inwards/:id/approve
 // @access  Private/Admin
@@ -731,6 +652,12 @@ const approveInward = asyncHandler(async (req, res) => {
     throw new Error(`Cannot approve inward with status: ${inward.status}`);
   }
 
+  const incompleteItems = inward.getIncompleteItems();
+  if (incompleteItems.length > 0) {
+    res.status(400);
+    throw new Error(`Complete the GRN before approval: ${incompleteItems.join('; ')}`);
+  }
+
   // Only update status and approval info, don't update inventory
   inward.status = 'approved';
   inward.approvedBy = req.user.id;
@@ -746,6 +673,7 @@ const approveInward = asyncHandler(async (req, res) => {
     { path: 'supplier', select: 'name email phone' },
     { path: 'items.product', select: 'name sku' },
     { path: 'purchaseOrder', select: 'purchaseOrderNumber' },
+    { path: 'location', select: 'name code' },
     { path: 'createdBy', select: 'name email' },
     { path: 'approvedBy', select: 'name email' }
   ]);
@@ -777,138 +705,59 @@ const addInwardToInventory = asyncHandler(async (req, res) => {
     throw new Error('User not authenticated');
   }
 
-  let inward;
+  // The inward is read, approved and posted in one transaction. A retried or
+  // concurrent post re-reads it and finds it already posted (see
+  // postInwardToInventory), so stock is never booked twice.
+  console.log('🔄 Posting inward to inventory...');
+  let posted;
   try {
-    inward = await Inward.findById(req.params.id);
-    console.log('Inward found:', !!inward);
-  } catch (error) {
-    console.error('❌ Error finding inward:', error);
-    res.status(500);
-    throw new Error('Database error while finding inward');
-  }
+    posted = await withTransaction(async (session) => {
+      const inward = await Inward.findById(req.params.id).session(session);
+      if (!inward) {
+        res.status(404);
+        throw new Error('Inward not found');
+      }
 
-  if (!inward) {
-    console.log('❌ Inward not found');
-    res.status(404);
-    throw new Error('Inward not found');
-  }
+      if (inward.status !== 'approved') {
+        const incompleteItems = inward.getIncompleteItems();
+        if (incompleteItems.length > 0) {
+          res.status(400);
+          throw new Error(`Complete the GRN before adding it to inventory: ${incompleteItems.join('; ')}`);
+        }
 
-  if (inward.status !== 'approved') {
-    if (req.user.role === 'stockmanager') {
-      console.log('ℹ️ Inward is not approved, auto-approving for stock manager...');
-      inward.status = 'approved';
-      inward.approvedBy = req.user.id;
-      inward.approvalDate = new Date();
-      await inward.save();
-      console.log('✅ Inward auto-approved by stock manager');
-    } else {
-      console.log('❌ Cannot add to inventory - Inward is not approved');
-      res.status(400);
-      throw new Error('Only approved inwards can be added to inventory');
-    }
-  }
+        if (req.user.role !== 'stockmanager') {
+          res.status(400);
+          throw new Error('Only approved inwards can be added to inventory');
+        }
+        // Stock managers approve their own GRNs as they post them; the
+        // approval is saved with the posting
+        inward.status = 'approved';
+        inward.approvedBy = req.user.id;
+        inward.approvalDate = new Date();
+      }
 
-  if (inward.inventoryAdded) {
-    console.log('❌ Inventory already added for this inward');
-    res.status(400);
-    throw new Error('Inventory already added for this inward');
+      const result = await postInwardToInventory(inward, { session, user: req.user.id });
+      return { ...result, inward };
+    });
+  } catch (error) {
+    console.error('❌ Error posting inward to inventory:', error);
+    // Checks above set their own status
+    res.status(error.statusCode || (res.statusCode !== 200 ? res.statusCode : 500));
+    throw error;
   }
 
-  console.log('🔄 Processing items for inventory update...');
-  for (let i = 0; i < inward.items.length; i++) {
-    const item = inward.items[i];
-    console.log(`Processing item ${i + 1}/${inward.items.length}:`, item.productName || item.product);
-    console.log('Item type check:', typeof item.product, item.product);
-
-    try {
-      if (typeof item.product === 'string' && item.product.match(/^[0-9a-fA-F]{24}$/)) {
-        console.log('✅ Existing product - updating quantity');
-        // Existing product - update quantity
-        const product = await Product.findById(item.product);
-        if (product) {
-          const oldQuantity = product.quantity;
-          product.quantity += item.receivedQuantity;
-          // Update optional fields if provided
-          if (item.batchNumber && String(item.batchNumber).trim() !== '') {
-            product.batchNumber = item.batchNumber;
-          }
-          if (item.manufacturingDate) {
-            const mfg = new Date(item.manufacturingDate);
-            if (!isNaN(mfg.getTime())) {
-              product.manufacturingDate = mfg;
-            }
-          }
-          if (item.expiryDate) {
-            const exp = new Date(item.expiryDate);
-            if (!isNaN(exp.getTime())) {
-              product.expiryDate = exp;
-            }
-          }
-          await product.save();
-          console.log(`✅ Product ${product.name} updated: ${oldQuantity} → ${product.quantity}`);
-          // Upsert batch record
-          await upsertProductBatch(product._id, item, inward.supplier);
-        } else {
-          console.error(`❌ Product with ID ${item.product} not found in database`);
-          throw new Error(`Product with ID ${item.product} not found`);
-        }
-      } else if (item.product && typeof item.product === 'object' && item.product._id) {
-        console.log('✅ Existing populated product - updating quantity');
-        const product = await Product.findById(item.product._id);
-        if (product) {
-          const oldQuantity = product.quantity;
-          product.quantity += item.receivedQuantity;
-          if (item.batchNumber && String(item.batchNumber).trim() !== '') {
-            product.batchNumber = item.batchNumber;
-          }
-          if (item.manufacturingDate) {
-            const mfg = new Date(item.manufacturingDate);
-            if (!isNaN(mfg.getTime())) {
-              product.manufacturingDate = mfg;
-            }
-          }
-          if (item.expiryDate) {
-            const exp = new Date(item.expiryDate);
-            if (!isNaN(exp.getTime())) {
-              product.expiryDate = exp;
-            }
-          }
-          await product.save();
-          console.log(`✅ Product ${product.name} updated: ${oldQuantity} → ${product.quantity}`);
-          // Upsert batch record
-          await upsertProductBatch(product._id, item, inward.supplier);
-        } else {
-          console.error(`❌ Product with ID ${item.product._id} not found in database`);
-          res.status(404);
-          throw new Error(`Product with ID ${item.product._id} not found`);
-        }
-      } else {
-        console.log('🆕 New product - creating it');
-        // New product - create it
-        const createdProduct = await createNewProductFromInwardItem(item, inward);
-        if (createdProduct?._id) {
-          await upsertProductBatch(createdProduct._id, item, inward.supplier);
-        }
-      }
-    } catch (error) {
-      console.error(`❌ Error processing item ${item.productName || item.product}:`, error);
-      // Return a 400 for validation-like errors, else 500
-      if (!res.headersSent) {
-        res.status(400);
-      }
-      throw new Error(`Failed to process inventory item: ${item.productName || item.product} - ${error.message}`);
+  for (const productId of posted.productIds) {
+    const product = await Product.findById(productId);
+    if (product) {
+      await handleStockNotifications(product, product.quantity);
     }
   }
 
-  // Mark inward as added to inventory
-  inward.inventoryAdded = true;
-  await inward.save();
-
   console.log('=== ADD TO INVENTORY SUCCESS ===');
   res.json({ 
     success: true, 
     message: 'Products added to inventory successfully',
-    inwardId: inward._id
+    inwardId: posted.inward._id
   });
 });
 
@@ -1034,6 +883,158 @@ const getInwardStats = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Record the supplier's invoice for an inward and work out when it is due
+// @route   PUT /api/inwards/:id/invoice
+// @access  Private/Admin
+const recordInwardInvoice = asyncHandler(async (req, res) => {
+  const { invoiceNumber, invoiceDate, paymentDueDate } = req.body;
+
+  const inward = await Inward.findById(req.params.id);
+  if (!inward) {
+    res.status(404);
+    throw new Error('Inward not found');
+  }
+
+  if (!invoiceNumber || !String(invoiceNumber).trim()) {
+    res.status(400);
+    throw new Error('Invoice number is required');
+  }
+
+  const parsedInvoiceDate = invoiceDate ? new Date(invoiceDate) : inward.invoiceDate || inward.receivedDate;
+  if (isNaN(new Date(parsedInvoiceDate).getTime())) {
+    res.status(400);
+    throw new Error('Invalid invoice date');
+  }
+
+  inward.invoiceNumber = String(invoiceNumber).trim();
+  inward.invoiceDate = parsedInvoiceDate;
+
+  // An explicit due date wins over the supplier's terms
+  if (paymentDueDate) {
+    const due = new Date(paymentDueDate);
+    if (isNaN(due.getTime())) {
+      res.status(400);
+      throw new Error('Invalid payment due date');
+    }
+    inward.paymentDueDate = due;
+  } else {
+    const supplier = await Supplier.findById(inward.supplier).select('paymentTerms');
+    inward.paymentDueDate = computeDueDate(inward.invoiceDate, supplier?.paymentTerms);
+  }
+
+  await inward.save({ validateModifiedOnly: true });
+
+  res.json({
+    _id: inward._id,
+    grnNumber: inward.grnNumber,
+    invoiceNumber: inward.invoiceNumber,
+    invoiceDate: inward.invoiceDate,
+    paymentDueDate: inward.paymentDueDate,
+    totalAmount: inward.totalAmount,
+    payableAmount: inward.getPayableAmount(),
+    paymentStatus: inward.paymentStatus
+  });
+});
+
+// @desc    Record a payment to the supplier against an inward
+// @route   POST /api/inwards/:id/payments
+// @access  Private/Admin
+const recordInwardPayment = asyncHandler(async (req, res) => {
+  const amount = Math.round((Number(req.body.amount) || 0) * 100) / 100;
+  const method = req.body.method === 'bank' ? 'bank_transfer' : req.body.method;
+
+  if (!(amount > 0)) {
+    res.status(400);
+    throw new Error('Payment amount must be greater than zero');
+  }
+
+  if (!SUPPLIER_PAYMENT_METHODS.includes(method)) {
+    res.status(400);
+    throw new Error(`Payment method must be one of: ${SUPPLIER_PAYMENT_METHODS.join(', ')}`);
+  }
+
+  const paymentDate = req.body.paymentDate ? new Date(req.body.paymentDate) : new Date();
+  if (isNaN(paymentDate.getTime())) {
+    res.status(400);
+    throw new Error('Invalid payment date');
+  }
+
+  const { inward, payment } = await withTransaction(async (session) => {
+    const inward = await Inward.findById(req.params.id).session(session);
+    if (!inward) {
+      res.status(404);
+      throw new Error('Inward not found');
+    }
+
+    // Nothing is owed until the goods have been stocked
+    if (!inward.inventoryAdded) {
+      res.status(400);
+      throw new Error('Payments can only be recorded once the inward has been added to inventory');
+    }
+
+    const payable = inward.getPayableAmount();
+    if (amount > payable) {
+      res.status(400);
+      throw new Error(`Payment of ${amount} exceeds the amount payable (${payable})`);
+    }
+
+    const [payment] = await SupplierPayment.create([{
+      supplier: inward.supplier,
+      inward: inward._id,
+      amount,
+      method,
+      reference: req.body.reference || '',
+      paymentDate,
+      notes: req.body.notes || '',
+      createdBy: req.user.id
+    }], { session });
+
+    inward.paidAmount = Math.round((inward.paidAmount + amount) * 100) / 100;
+    inward.refreshPaymentStatus();
+    await inward.save({ session, validateModifiedOnly: true });
+
+    await Supplier.findByIdAndUpdate(
+      inward.supplier,
+      { $inc: { payableBalance: -amount } },
+      { session }
+    );
+
+    return { inward, payment };
+  });
+
+  res.status(201).json({
+    payment,
+    inward: {
+      _id: inward._id,
+      grnNumber: inward.grnNumber,
+      totalAmount: inward.totalAmount,
+      returnedAmount: inward.returnedAmount,
+      paidAmount: inward.paidAmount,
+      payableAmount: inward.getPayableAmount(),
+      paymentStatus: inward.paymentStatus,
+      paymentDueDate: inward.paymentDueDate
+    }
+  });
+});
+
+// @desc    Get payments made against an inward
+// @route   GET /api/inwards/:id/payments
+// @access  Private
+const getInwardPayments = asyncHandler(async (req, res) => {
+  const inward = await Inward.findById(req.params.id)
+    .select('grnNumber invoiceNumber totalAmount returnedAmount paidAmount paymentStatus paymentDueDate');
+  if (!inward) {
+    res.status(404);
+    throw new Error('Inward not found');
+  }
+
+  const payments = await SupplierPayment.find({ inward: inward._id })
+    .populate('createdBy', 'username email')
+    .sort({ paymentDate: 1, createdAt: 1 });
+
+  res.json({ inward, payableAmount: inward.getPayableAmount(), payments });
+});
+
 module.exports = {
   createInward,
   getInwards,
@@ -1044,5 +1045,8 @@ module.exports = {
   rejectInward,
   completeInward,
   getInwardStats,
-  addInwardToInventory
+  addInwardToInventory,
+  recordInwardInvoice,
+  recordInwardPayment,
+  getInwardPayments
 };
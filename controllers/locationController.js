@@ -0,0 +1,251 @@
+const mongoose = require('mongoose');
+const asyncHandler = require('express-async-handler');
+const Location = require('../models/Location');
+const BatchStock = require('../models/BatchStock');
+const Product = require('../models/Product');
+const StockTransfer = require('../models/StockTransfer');
+const { handleStockNotifications } = require('../utils/stockNotifications');
+
+const LOCATION_FIELDS = ['name', 'code', 'type', 'address', 'notes', 'status', 'defaultForReceiving', 'defaultForSales'];
+
+const findLocation = async (id, res) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400);
+    throw new Error('Invalid location ID');
+  }
+
+  const location = await Location.findById(id);
+  if (!location) {
+    res.status(404);
+    throw new Error('Location not found');
+  }
+  return location;
+};
+
+// Only one location can be the default for receiving and for sales
+const clearOtherDefaults = async (location) => {
+  for (const flag of ['defaultForReceiving', 'defaultForSales']) {
+    if (location[flag]) {
+      await Location.updateMany({ _id: { $ne: location._id }, [flag]: true }, { $set: { [flag]: false } });
+    }
+  }
+};
+
+const saveLocation = async (location, res) => {
+  try {
+    await location.save();
+  } catch (error) {
+    if (error.code === 11000) {
+      res.status(400);
+      throw new Error(`Location code ${location.code} is already in use`);
+    }
+    if (error.name === 'ValidationError') {
+      res.status(400);
+    }
+    throw error;
+  }
+  await clearOtherDefaults(location);
+};
+
+// @desc    Create a location
+// @route   POST /api/locations
+// @access  Private/SuperAdmin
+const createLocation = asyncHandler(async (req, res) => {
+  const { name, code } = req.body;
+
+  if (!name || !code) {
+    res.status(400);
+    throw new Error('Name and code are required');
+  }
+
+  const location = new Location();
+  LOCATION_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined) location[field] = req.body[field];
+  });
+  await saveLocation(location, res);
+
+  res.status(201).json(location);
+});
+
+// @desc    Get locations
+// @route   GET /api/locations
+// @access  Private
+const getLocations = asyncHandler(async (req, res) => {
+  const query = {};
+  if (req.query.status) {
+    query.status = req.query.status;
+  }
+  if (req.query.type) {
+    query.type = req.query.type;
+  }
+
+  const locations = await Location.find(query).sort({ name: 1 });
+  res.json(locations);
+});
+
+// @desc    Get single location
+// @route   GET /api/locations/:id
+// @access  Private
+const getLocation = asyncHandler(async (req, res) => {
+  const location = await findLocation(req.params.id, res);
+  res.json(location);
+});
+
+// @desc    Update a location
+// @route   PUT /api/locations/:id
+// @access  Private/SuperAdmin
+const updateLocation = asyncHandler(async (req, res) => {
+  const location = await findLocation(req.params.id, res);
+
+  // A location still holding stock cannot be closed; transfer it out first
+  if (req.body.status === 'inactive' && location.status !== 'inactive') {
+    const holding = await BatchStock.exists({ location: location._id, quantity: { $gt: 0 } });
+    if (holding) {
+      res.status(400);
+      throw new Error(`Location ${location.code} still holds stock; transfer it out before deactivating`);
+    }
+  }
+
+  LOCATION_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined) location[field] = req.body[field];
+  });
+  await saveLocation(location, res);
+
+  res.json(location);
+});
+
+// @desc    Stock held at a location by product and batch, with what is in transit to it
+// @route   GET /api/locations/:id/stock
+// @access  Private
+const getLocationStock = asyncHandler(async (req, res) => {
+  const location = await findLocation(req.params.id, res);
+
+  const rows = await BatchStock.find({ location: location._id, quantity: { $gt: 0 } })
+    .populate('product', 'name productId unit')
+    .populate('batch', 'batchNumber expiryDate unitCost')
+    .lean();
+
+  const products = new Map();
+  rows.filter((row) => row.product && row.batch).forEach((row) => {
+    const key = String(row.product._id);
+    const entry = products.get(key) || { product: row.product, quantity: 0, batches: [] };
+    entry.quantity += row.quantity;
+    entry.batches.push({
+      _id: row.batch._id,
+      batchNumber: row.batch.batchNumber,
+      expiryDate: row.batch.expiryDate,
+      unitCost: row.batch.unitCost,
+      quantity: row.quantity
+    });
+    products.set(key, entry);
+  });
+
+  const inbound = await StockTransfer.find({ toLocation: location._id, status: 'dispatched' })
+    .select('transferNumber fromLocation items dispatchedAt')
+    .populate('fromLocation', 'name code')
+    .lean();
+
+  res.json({
+    location: { _id: location._id, name: location.name, code: location.code },
+    products: [...products.values()].sort((a, b) => a.product.name.localeCompare(b.product.name)),
+    inTransit: inbound
+  });
+});
+
+// @desc    Set per-location reorder levels: [{ product, reorderLevel }]; a null level removes it
+// @route   PUT /api/locations/:id/reorder-levels
+// @access  Private/Admin
+const setLocationReorderLevels = asyncHandler(async (req, res) => {
+  const location = await findLocation(req.params.id, res);
+  const { levels } = req.body;
+
+  if (!Array.isArray(levels) || levels.length === 0) {
+    res.status(400);
+    throw new Error('levels must be a non-empty array');
+  }
+
+  const updated = [];
+  for (let i = 0; i < levels.length; i++) {
+    const entry = levels[i] || {};
+    if (!entry.product || !mongoose.Types.ObjectId.isValid(entry.product)) {
+      res.status(400);
+      throw new Error(`Level ${i + 1}: a valid product is required`);
+    }
+
+    const remove = entry.reorderLevel === null;
+    const reorderLevel = Number(entry.reorderLevel);
+    if (!remove && (!Number.isInteger(reorderLevel) || reorderLevel < 0)) {
+      res.status(400);
+      throw new Error(`Level ${i + 1}: reorder level must be a non-negative whole number`);
+    }
+
+    const product = await Product.findById(entry.product);
+    if (!product) {
+      res.status(404);
+      throw new Error(`Level ${i + 1}: product not found`);
+    }
+
+    const levelsForProduct = product.locationReorderLevels.filter(
+      (level) => String(level.location) !== String(location._id)
+    );
+    if (!remove) {
+      levelsForProduct.push({ location: location._id, reorderLevel });
+    }
+    product.locationReorderLevels = levelsForProduct;
+    await product.save({ validateModifiedOnly: true });
+    await handleStockNotifications(product, product.quantity);
+
+    updated.push({ product: product._id, name: product.name, reorderLevel: remove ? null : reorderLevel });
+  }
+
+  res.json({ location: location.code, levels: updated });
+});
+
+// @desc    Products at or below their reorder level for this location
+// @route   GET /api/locations/:id/low-stock
+// @access  Private
+const getLocationLowStock = asyncHandler(async (req, res) => {
+  const location = await findLocation(req.params.id, res);
+
+  const products = await Product.find({ 'locationReorderLevels.location': location._id })
+    .select('name productId unit locationReorderLevels')
+    .lean();
+
+  const held = await BatchStock.aggregate([
+    { $match: { location: location._id, product: { $in: products.map((product) => product._id) } } },
+    { $group: { _id: '$product', quantity: { $sum: '$quantity' } } }
+  ]);
+  const heldByProduct = new Map(held.map((row) => [String(row._id), row.quantity]));
+
+  const lowStock = products
+    .map((product) => {
+      const { reorderLevel } = product.locationReorderLevels.find(
+        (level) => String(level.location) === String(location._id)
+      );
+      return {
+        _id: product._id,
+        name: product.name,
+        productId: product.productId,
+        unit: product.unit,
+        quantity: heldByProduct.get(String(product._id)) || 0,
+        reorderLevel
+      };
+    })
+    .filter((product) => product.quantity <= product.reorderLevel)
+    .sort((a, b) => a.quantity - b.quantity);
+
+  res.json({
+    location: { _id: location._id, name: location.name, code: location.code },
+    products: lowStock
+  });
+});
+
+module.exports = {
+  createLocation,
+  getLocations,
+  getLocation,
+  updateLocation,
+  getLocationStock,
+  setLocationReorderLevels,
+  getLocationLowStock
+};
@@ -25,6 +25,8 @@ const getNotifications = async (req, res) => {
         .skip(skip)
         .limit(limit)
         .populate('productId', 'name')
+        .populate('batchId', 'batchNumber expiryDate quantity')
+        .populate('location', 'name code')
         .lean(),
       Notification.countDocuments(filter),
       NotificationSetting.getSingleton()
@@ -125,7 +127,8 @@ const getNotificationSettings = async (req, res) => {
     const settings = await NotificationSetting.getSingleton();
     res.status(200).json({
       autoDeleteDays: settings.autoDeleteDays,
-      allowManualDelete: settings.allowManualDelete
+      allowManualDelete: settings.allowManualDelete,
+      nearExpiryDays: settings.nearExpiryDays
     });
   } catch (error) {
     res.status(500).json({
@@ -140,7 +143,7 @@ const getNotificationSettings = async (req, res) => {
 // @access  Private/SuperAdmin
 const updateNotificationSettings = async (req, res) => {
   try {
-    const { autoDeleteDays, allowManualDelete } = req.body;
+    const { autoDeleteDays, allowManualDelete, nearExpiryDays } = req.body;
 
     const settings = await NotificationSetting.getSingleton();
 
@@ -155,12 +158,20 @@ const updateNotificationSettings = async (req, res) => {
       settings.allowManualDelete = Boolean(allowManualDelete);
     }
 
+    if (typeof nearExpiryDays !== 'undefined') {
+      if (!Number.isInteger(nearExpiryDays) || nearExpiryDays < 1 || nearExpiryDays > 365) {
+        return res.status(400).json({ message: 'nearExpiryDays must be an integer between 1 and 365' });
+      }
+      settings.nearExpiryDays = nearExpiryDays;
+    }
+
     await settings.save();
 
     res.status(200).json({
       message: 'Notification settings updated',
       autoDeleteDays: settings.autoDeleteDays,
-      allowManualDelete: settings.allowManualDelete
+      allowManualDelete: settings.allowManualDelete,
+      nearExpiryDays: settings.nearExpiryDays
     });
   } catch (error) {
     res.status(500).json({
@@ -3,6 +3,59 @@ const Product = require('../models/Product');
 const Category = require('../models/Category');
 const ProductBatch = require('../models/ProductBatch');
 const { handleStockNotifications } = require('../utils/stockNotifications');
+const { resolveSellingPrice, resolveMrp, validateAgainstMrp } = require('../utils/pricing');
+const { ALLOCATION_STRATEGIES, isBatchExpired } = require('../utils/batchExpiry');
+const StockMovement = require('../models/StockMovement');
+const { withTransaction } = require('../utils/withTransaction');
+const { stockEntry, recordStockMovements } = require('../utils/stockLedger');
+const { createStockAdjustment } = require('../utils/stockAdjustments');
+const { resolveLocation, adjustBatchStock } = require('../utils/locationStock');
+const BatchStock = require('../models/BatchStock');
+const { buildPackUnits, toDisplayQuantity } = require('../utils/uom');
+const {
+  buildVariantAttributes,
+  resolveVariant,
+  buildKitComponents,
+  getKitAvailability
+} = require('../utils/productStructure');
+const {
+  LABEL_FORMATS,
+  BARCODE_TYPES,
+  parseLabelCode,
+  renderLabelsPdf,
+  renderLabelsSvg
+} = require('../utils/labelSheet');
+
+const { SHEET_FORMATS, readSheet, writeSheet } = require('../utils/spreadsheet');
+const {
+  EXPORT_COLUMNS,
+  planProductImport,
+  applyProductImport,
+  describeRow,
+  buildProductExport
+} = require('../utils/productImport');
+
+// Most labels one request may print
+const MAX_LABELS = 500;
+
+// Details a variant takes from its parent unless it sets its own
+const INHERITED_FIELDS = [
+  'description', 'image', 'price', 'mrp', 'category', 'supplier', 'unit', 'packUnits',
+  'hsnNumber', 'gstRate', 'reorderLevel', 'allocationStrategy'
+];
+
+// Batch summary returned with products; sellingPrice is what billing will charge
+const formatBatch = (product, batch) => ({
+  _id: batch._id,
+  batchNumber: batch.batchNumber,
+  quantity: batch.quantity,
+  unitCost: batch.unitCost,
+  sellingPrice: resolveSellingPrice(product, batch),
+  mrp: resolveMrp(product, batch),
+  receivedDate: batch.receivedDate,
+  expiryDate: batch.expiryDate,
+  manufacturingDate: batch.manufacturingDate
+});
 
 // @desc    Fetch all products with filtering and sorting
 // @route   GET /api/products
@@ -31,6 +84,20 @@ const getProducts = async (req, res) => {
       ];
     }
 
+    if (req.query.productType) {
+      query.productType = req.query.productType === 'standard'
+        ? { $in: ['standard', null] }
+        : req.query.productType;
+    }
+
+    // Variants of one parent
+    if (req.query.parent) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.parent)) {
+        return res.status(400).json({ message: 'Invalid parent filter.' });
+      }
+      query.parent = req.query.parent;
+    }
+
     // Category filter
     if (category && category !== 'all') {
       if (!mongoose.Types.ObjectId.isValid(category)) {
@@ -84,20 +151,13 @@ const getProducts = async (req, res) => {
     }
 
     // Group batches by product
+    const productsById = new Map(products.map(p => [String(p._id), p]));
     const batchesByProduct = batches.reduce((acc, batch) => {
       const productId = String(batch.product);
       if (!acc[productId]) {
         acc[productId] = [];
       }
-      acc[productId].push({
-        _id: batch._id,
-        batchNumber: batch.batchNumber,
-        quantity: batch.quantity,
-        unitCost: batch.unitCost,
-        receivedDate: batch.receivedDate,
-        expiryDate: batch.expiryDate,
-        manufacturingDate: batch.manufacturingDate
-      });
+      acc[productId].push(formatBatch(productsById.get(productId), batch));
       return acc;
     }, {});
 
@@ -114,13 +174,13 @@ const getProducts = async (req, res) => {
       const productBatches = batchesByProduct[product._id] || [];
       obj.batches = productBatches;
       
-      // Update price to latest batch price if available
+      // `price` stays the default selling price; batch prices and costs are reported alongside
       if (productBatches.length > 0) {
-        obj.price = productBatches[0].unitCost;
         obj.batchNumber = productBatches[0].batchNumber;
-        obj.latestBatchPrice = productBatches[0].unitCost;
-        obj.minBatchPrice = Math.min(...productBatches.map(b => b.unitCost));
-        obj.maxBatchPrice = Math.max(...productBatches.map(b => b.unitCost));
+        obj.latestBatchPrice = productBatches[0].sellingPrice;
+        obj.minBatchPrice = Math.min(...productBatches.map(b => b.sellingPrice));
+        obj.maxBatchPrice = Math.max(...productBatches.map(b => b.sellingPrice));
+        obj.latestBatchCost = productBatches[0].unitCost;
       }
       
       return obj;
@@ -164,19 +224,44 @@ const getProductById = async (req, res) => {
       formattedProduct.categoryId = formattedProduct.category?._id || null;
       
       // Add batch information to the product
-      formattedProduct.batches = batches.map(batch => ({
-        _id: batch._id,
-        batchNumber: batch.batchNumber,
-        quantity: batch.quantity,
-        unitCost: batch.unitCost,
-        receivedDate: batch.receivedDate,
-        expiryDate: batch.expiryDate,
-        manufacturingDate: batch.manufacturingDate
-      }));
+      formattedProduct.batches = batches.map(batch => formatBatch(product, batch));
+
+      // Where the stock is held, summed over batches
+      const held = await BatchStock.find({ product: product._id, quantity: { $gt: 0 } })
+        .populate('location', 'name code');
+      const byLocation = new Map();
+      held.filter(row => row.location).forEach(row => {
+        const key = String(row.location._id);
+        const entry = byLocation.get(key) || { location: row.location, quantity: 0 };
+        entry.quantity += row.quantity;
+        byLocation.set(key, entry);
+      });
+      formattedProduct.stockByLocation = [...byLocation.values()];
+
+      // A parent lists its variants, with their stock summed for the group
+      if (product.productType === 'parent') {
+        const variants = await Product.find({ parent: product._id })
+          .select('name productId attributes price mrp quantity unit')
+          .sort({ name: 1 })
+          .lean();
+        formattedProduct.variants = variants;
+        formattedProduct.variantStock = variants.reduce((sum, variant) => sum + variant.quantity, 0);
+      }
+
+      if (product.parent) {
+        formattedProduct.parent = await Product.findById(product.parent)
+          .select('name productId variantAttributes')
+          .lean();
+      }
 
-      // If there are batches, set the price to the latest batch price
-      if (batches.length > 0) {
-        formattedProduct.price = batches[0].unitCost;
+      // A kit's stock is however many whole kits its components make up
+      if (product.productType === 'kit') {
+        const location = req.query.location && mongoose.Types.ObjectId.isValid(req.query.location)
+          ? req.query.location
+          : null;
+        const availability = await getKitAvailability(product, location ? new mongoose.Types.ObjectId(location) : null);
+        formattedProduct.components = availability.components;
+        formattedProduct.availableQuantity = availability.quantity;
       }
 
       res.status(200).json(formattedProduct);
@@ -199,28 +284,80 @@ const getProductById = async (req, res) => {
 // @route   POST /api/products
 // @access  Private/Admin
 const createProduct = async (req, res) => {
+  // A variant names its parent and its value for each of the parent's attributes
+  let variant = null;
+  if (req.body.parent) {
+    try {
+      variant = await resolveVariant(req.body.parent, req.body.attributes);
+    } catch (error) {
+      if (error.name === 'CastError') {
+        return res.status(400).json({ message: 'Invalid parent product.' });
+      }
+      return res.status(error.statusCode || 500).json({ message: error.message });
+    }
+  }
+
+  const body = { ...req.body };
+  if (variant) {
+    body.category = body.category || body.categoryId;
+    body.supplier = body.supplier || body.supplierId;
+    const parent = variant.parent.toObject();
+    INHERITED_FIELDS.forEach((field) => {
+      if ((body[field] === undefined || body[field] === '') && parent[field] !== undefined) {
+        body[field] = parent[field];
+      }
+    });
+  }
+
   // Extract all fields from request body
   const { 
     name, 
     description, 
     image, 
     price, 
+    mrp,
     quantity, 
     manufacturingDate, 
     reorderLevel,
     productId,
+    barcode,
     batchNumber,
     unit,
-    hsnNumber
-  } = req.body;
+    hsnNumber,
+    gstRate,
+    allocationStrategy,
+    unitCost,
+    packUnits,
+    variantAttributes,
+    components
+  } = body;
+  const productType = variant ? 'standard' : body.productType || 'standard';
 
   // Accept either category or categoryId; supplier or supplierId
-  const category = req.body.category || req.body.categoryId;
-  const supplier = req.body.supplier || req.body.supplierId;
+  const category = body.category || body.categoryId;
+  const supplier = body.supplier || body.supplierId;
+
+  if (!Product.PRODUCT_TYPES.includes(productType)) {
+    return res.status(400).json({
+      message: `Product type must be one of: ${Product.PRODUCT_TYPES.join(', ')}.`
+    });
+  }
+
+  // Parents and kits hold no batches of their own
+  const holdsStock = productType === 'standard';
+  if (!holdsStock && quantity !== undefined && Number(quantity) !== 0) {
+    return res.status(400).json({
+      message: productType === 'kit'
+        ? 'A kit holds no stock of its own; stock its components instead.'
+        : 'A parent product holds no stock; stock its variants instead.'
+    });
+  }
 
   // Required fields validation (align with schema; unit has a default, hsnNumber is optional)
-  const requiredFields = ['name', 'price', 'category', 'supplier', 'batchNumber', 'manufacturingDate'];
-  const missingFields = requiredFields.filter(field => !req.body[field] && req.body[field] !== 0);
+  const requiredFields = holdsStock
+    ? ['name', 'price', 'category', 'supplier', 'batchNumber', 'manufacturingDate']
+    : ['name', 'price', 'category'];
+  const missingFields = requiredFields.filter(field => !body[field] && body[field] !== 0);
 
   if (missingFields.length > 0) {
     return res.status(400).json({ 
@@ -242,6 +379,35 @@ const createProduct = async (req, res) => {
     });
   }
 
+  if (mrp !== undefined && mrp !== null && mrp !== '' && (isNaN(mrp) || mrp < 0)) {
+    return res.status(400).json({
+      message: 'MRP must be a non-negative number.'
+    });
+  }
+
+  const mrpError = validateAgainstMrp(price, mrp);
+  if (mrpError) {
+    return res.status(400).json({ message: mrpError });
+  }
+
+  if (gstRate !== undefined && gstRate !== null && gstRate !== '' && (isNaN(gstRate) || gstRate < 0 || gstRate > 100)) {
+    return res.status(400).json({
+      message: 'GST rate must be a number between 0 and 100.'
+    });
+  }
+
+  if (allocationStrategy && !ALLOCATION_STRATEGIES.includes(allocationStrategy)) {
+    return res.status(400).json({
+      message: `Allocation strategy must be one of: ${ALLOCATION_STRATEGIES.join(', ')}.`
+    });
+  }
+
+  if (unitCost !== undefined && unitCost !== null && unitCost !== '' && (isNaN(unitCost) || unitCost < 0)) {
+    return res.status(400).json({
+      message: 'Unit cost must be a non-negative number.'
+    });
+  }
+
   // Validate manufacturing date is not in the future
   if (new Date(manufacturingDate) > new Date()) {
     return res.status(400).json({
@@ -263,6 +429,7 @@ const createProduct = async (req, res) => {
     }
 
     const productData = {
+      productType,
       name: name.trim(),
       description: description ? description.trim() : '',
       price: parseFloat(price),
@@ -270,21 +437,84 @@ const createProduct = async (req, res) => {
       quantity: quantity !== undefined ? parseInt(quantity) : 0,
       supplier: supplier,
       batchNumber: batchNumber ? batchNumber.trim() : '',
-      unit: unit || 'none',
+      unit: productType === 'kit' ? 'none' : unit || 'none',
       hsnNumber: hsnNumber ? hsnNumber.trim() : '',
-      manufacturingDate: new Date(manufacturingDate),
       reorderLevel: reorderLevel ? parseInt(reorderLevel) : 10,
       addedDate: new Date()
     };
 
+    if (manufacturingDate) {
+      productData.manufacturingDate = new Date(manufacturingDate);
+    }
+
+    if (variant) {
+      productData.parent = variant.parent._id;
+      productData.attributes = variant.attributes;
+    }
+
+    if (productType === 'parent') {
+      productData.variantAttributes = buildVariantAttributes(variantAttributes);
+    }
+
+    if (productType === 'kit') {
+      productData.components = await buildKitComponents(components);
+    }
+
+    if (mrp !== undefined && mrp !== null && mrp !== '') {
+      productData.mrp = parseFloat(mrp);
+    }
+
+    if (gstRate !== undefined && gstRate !== null && gstRate !== '') {
+      productData.gstRate = parseFloat(gstRate);
+    }
+
+    if (allocationStrategy) {
+      productData.allocationStrategy = allocationStrategy;
+    }
+
+    if (packUnits !== undefined && productType !== 'kit') {
+      productData.packUnits = await buildPackUnits(productData.unit, packUnits);
+    }
+
     // Only add productId if it's provided and not empty
     if (productId && productId.trim()) {
       productData.productId = productId.trim();
     }
 
-    // Create and save the product
-    const newProduct = new Product(productData);
-    const savedProduct = await newProduct.save();
+    if (barcode && String(barcode).trim()) {
+      productData.barcode = String(barcode).trim();
+    }
+
+    // Create the product; any starting quantity goes into its first batch,
+    // held at the receiving location, so all totals agree from the start
+    const savedProduct = await withTransaction(async (session) => {
+      const [created] = await Product.create([productData], { session });
+      if (created.quantity === 0) {
+        return created;
+      }
+
+      const [batch] = await ProductBatch.create([{
+        product: created._id,
+        batchNumber: created.batchNumber,
+        unitCost: unitCost !== undefined && unitCost !== null && unitCost !== '' ? parseFloat(unitCost) : 0,
+        quantity: created.quantity,
+        manufacturingDate: created.manufacturingDate,
+        expiryDate: created.expiryDate,
+        supplier: created.supplier
+      }], { session });
+
+      const location = await resolveLocation(body.location, 'receiving', session);
+      await adjustBatchStock({ batch, product: created, location, quantity: created.quantity, session });
+
+      await recordStockMovements([stockEntry(created, created.quantity, batch, undefined, location)], {
+        type: 'opening',
+        sourceType: 'Product',
+        sourceId: created._id,
+        user: req.user._id,
+        session
+      });
+      return created;
+    });
 
     // Populate relations before returning
     const populatedProduct = await Product.findById(savedProduct._id)
@@ -296,6 +526,9 @@ const createProduct = async (req, res) => {
 
     res.status(201).json(populatedProduct);
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     if (error.name === 'ValidationError') {
       const errors = Object.values(error.errors).map(err => err.message);
       return res.status(400).json({ 
@@ -319,6 +552,7 @@ const updateProduct = async (req, res) => {
     description, 
     image, 
     price, 
+    mrp,
     category, 
     quantity, 
     supplier, 
@@ -326,7 +560,15 @@ const updateProduct = async (req, res) => {
     manufacturingDate, 
     reorderLevel,
     unit,
-    hsnNumber
+    hsnNumber,
+    gstRate,
+    allocationStrategy,
+    packUnits,
+    productType,
+    variantAttributes,
+    attributes,
+    components,
+    barcode
   } = req.body;
 
   try {
@@ -336,6 +578,10 @@ const updateProduct = async (req, res) => {
       return res.status(404).json({ message: 'Product not found' });
     }
 
+    if (productType !== undefined && productType !== (product.productType || 'standard')) {
+      return res.status(400).json({ message: 'The type of an existing product cannot be changed.' });
+    }
+
     // Validate updated values
     if (price !== undefined && (isNaN(price) || price < 0)) {
       return res.status(400).json({ 
@@ -343,9 +589,37 @@ const updateProduct = async (req, res) => {
       });
     }
 
-    if (quantity !== undefined && (isNaN(quantity) || quantity < 0)) {
-      return res.status(400).json({ 
-        message: 'Quantity must be a non-negative number.' 
+    // Stock only changes through batches (GRNs, bills, adjustments); clients
+    // that echo the current quantity back are still accepted
+    if (quantity !== undefined && parseInt(quantity) !== product.quantity) {
+      return res.status(400).json({
+        message: 'Quantity cannot be edited on the product. Record a stock adjustment instead.'
+      });
+    }
+
+    if (mrp !== undefined && mrp !== null && mrp !== '' && (isNaN(mrp) || mrp < 0)) {
+      return res.status(400).json({
+        message: 'MRP must be a non-negative number.'
+      });
+    }
+
+    const mrpError = validateAgainstMrp(
+      price !== undefined ? price : product.price,
+      mrp !== undefined ? mrp : product.mrp
+    );
+    if (mrpError) {
+      return res.status(400).json({ message: mrpError });
+    }
+
+    if (gstRate !== undefined && gstRate !== null && gstRate !== '' && (isNaN(gstRate) || gstRate < 0 || gstRate > 100)) {
+      return res.status(400).json({
+        message: 'GST rate must be a number between 0 and 100.'
+      });
+    }
+
+    if (allocationStrategy && !ALLOCATION_STRATEGIES.includes(allocationStrategy)) {
+      return res.status(400).json({
+        message: `Allocation strategy must be one of: ${ALLOCATION_STRATEGIES.join(', ')}.`
       });
     }
 
@@ -361,8 +635,67 @@ const updateProduct = async (req, res) => {
     product.description = description !== undefined ? description.trim() : product.description;
     product.image = image !== undefined ? image : product.image;
     product.price = price !== undefined ? parseFloat(price) : product.price;
-    product.unit = unit !== undefined ? unit : product.unit;
+    if (mrp !== undefined) {
+      product.mrp = mrp === null || mrp === '' ? undefined : parseFloat(mrp);
+    }
+    // Quantities are held in the unit's base (ml, g, pcs); changing it would
+    // reinterpret the stock on hand
+    if (unit !== undefined && unit !== product.unit) {
+      const hasBatches = await ProductBatch.exists({ product: product._id });
+      if (hasBatches) {
+        return res.status(400).json({
+          message: 'The unit of a product that has stock batches cannot be changed.'
+        });
+      }
+      product.unit = unit;
+    }
+    if ((packUnits !== undefined || unit !== undefined) && product.productType !== 'kit') {
+      product.packUnits = await buildPackUnits(product.unit, packUnits !== undefined ? packUnits : product.packUnits);
+    }
+    if (variantAttributes !== undefined) {
+      if (product.productType !== 'parent') {
+        return res.status(400).json({ message: 'Only parent products have variant attributes.' });
+      }
+      product.variantAttributes = buildVariantAttributes(variantAttributes);
+
+      // Every existing variant must still have an allowed value for each attribute
+      const variants = await Product.find({ parent: product._id }).select('name attributes').lean();
+      for (const variant of variants) {
+        const values = new Map((variant.attributes || []).map(({ name, value }) => [name, value]));
+        const missing = product.variantAttributes.find(({ name, values: allowed }) =>
+          !values.has(name) || (allowed.length > 0 && !allowed.includes(values.get(name)))
+        );
+        if (missing) {
+          return res.status(400).json({
+            message: `Variant ${variant.name} has no allowed value for ${missing.name}; update it first.`
+          });
+        }
+      }
+    }
+    if (attributes !== undefined) {
+      if (!product.parent) {
+        return res.status(400).json({ message: 'Only variants have attributes.' });
+      }
+      product.attributes = (await resolveVariant(product.parent, attributes, product._id)).attributes;
+    }
+    if (components !== undefined) {
+      if (product.productType !== 'kit') {
+        return res.status(400).json({ message: 'Only kits have components.' });
+      }
+      product.components = await buildKitComponents(components, product._id);
+    }
     product.hsnNumber = hsnNumber !== undefined ? hsnNumber.trim() : product.hsnNumber;
+    if (barcode !== undefined) {
+      product.barcode = barcode === null || String(barcode).trim() === '' ? undefined : String(barcode).trim();
+    }
+    if (gstRate !== undefined) {
+      // Clearing the rate falls back to the HSN table / category rate
+      product.gstRate = gstRate === null || gstRate === '' ? undefined : parseFloat(gstRate);
+    }
+    if (allocationStrategy !== undefined) {
+      // Clearing the strategy falls back to the category's
+      product.allocationStrategy = allocationStrategy || undefined;
+    }
     if (category !== undefined) {
       if (!mongoose.Types.ObjectId.isValid(category)) {
         return res.status(400).json({ message: 'Invalid category.' });
@@ -394,17 +727,6 @@ const updateProduct = async (req, res) => {
       product.reorderLevel = parseInt(reorderLevel) || 10;
     }
     
-    // Only update quantity if it's provided and different
-    if (quantity !== undefined) {
-      const oldQuantity = product.quantity;
-      product.quantity = parseInt(quantity);
-      
-      // If quantity changed, check stock notifications
-      if (oldQuantity !== product.quantity) {
-        await handleStockNotifications(product, product.quantity);
-      }
-    }
-    
     const updatedProduct = await product.save();
 
     // Populate the category field before returning
@@ -414,6 +736,9 @@ const updateProduct = async (req, res) => {
 
     res.status(200).json(populatedProduct);
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     if (error.name === 'ValidationError') {
       const errors = Object.values(error.errors).map(err => err.message);
       return res.status(400).json({ 
@@ -431,8 +756,11 @@ const updateProduct = async (req, res) => {
 // @desc    Update product quantity (for stock management)
 // @route   PATCH /api/products/:id/quantity
 // @access  Private/Admin
+// Kept for existing clients: the change is booked as a single-line stock
+// adjustment against one batch at one location (the default receiving
+// location unless `location` is given), so a reason is required.
 const updateProductQuantity = async (req, res) => {
-  const { quantity, operation } = req.body; // operation can be 'set', 'add', 'subtract'
+  const { quantity, operation, reason, notes } = req.body; // operation can be 'set', 'add', 'subtract'
 
   try {
     const product = await Product.findById(req.params.id);
@@ -441,39 +769,78 @@ const updateProductQuantity = async (req, res) => {
       return res.status(404).json({ message: 'Product not found' });
     }
 
-    let newQuantity;
+    const amount = parseInt(quantity);
+    if (isNaN(amount) || amount < 0) {
+      return res.status(400).json({
+        message: 'Quantity must be a non-negative number.'
+      });
+    }
+
+    // Without a batch number the product must have a single batch to adjust
+    let batch;
+    if (req.body.batchNumber) {
+      batch = await ProductBatch.findOne({ product: product._id, batchNumber: String(req.body.batchNumber).trim() });
+    } else {
+      const batches = await ProductBatch.find({ product: product._id }).limit(2);
+      batch = batches.length === 1 ? batches[0] : null;
+      if (batches.length > 1) {
+        return res.status(400).json({ message: 'This product has several batches; specify batchNumber.' });
+      }
+    }
+    if (!batch) {
+      return res.status(404).json({ message: 'Batch not found for this product.' });
+    }
+
+    const location = await resolveLocation(req.body.location, 'receiving');
+    const held = await BatchStock.findOne({ batch: batch._id, location: location._id });
 
+    let change;
     switch (operation) {
-      case 'set':
-        newQuantity = parseInt(quantity);
-        break;
       case 'add':
-        newQuantity = product.quantity + parseInt(quantity);
+        change = amount;
         break;
       case 'subtract':
-        newQuantity = product.quantity - parseInt(quantity);
+        change = -amount;
         break;
+      case 'set':
       default:
-        newQuantity = parseInt(quantity);
+        change = amount - (held ? held.quantity : 0);
     }
 
-    // Ensure quantity doesn't go below 0
-    if (newQuantity < 0) {
-      return res.status(400).json({ 
-        message: 'Quantity cannot be negative.' 
+    if (change === 0) {
+      return res.status(200).json({
+        message: 'Quantity unchanged',
+        product
       });
     }
 
-    // Check if stock level crosses threshold
-    product.quantity = newQuantity;
-    const updatedProduct = await product.save();
-    await handleStockNotifications(updatedProduct, newQuantity);
+    const { adjustment, productIds } = await withTransaction((session) =>
+      createStockAdjustment({
+        items: [{ product: product._id, batch: batch._id, quantity: change }],
+        reason,
+        notes,
+        location: location._id,
+        user: req.user,
+        session
+      })
+    );
 
-    res.status(200).json({
-      message: 'Quantity updated successfully',
-      product: updatedProduct
+    const updatedProduct = await Product.findById(product._id);
+    if (productIds.size > 0) {
+      await handleStockNotifications(updatedProduct, updatedProduct.quantity);
+    }
+
+    res.status(adjustment.status === 'pending' ? 202 : 200).json({
+      message: adjustment.status === 'pending'
+        ? 'Adjustment is awaiting approval'
+        : 'Quantity updated successfully',
+      product: updatedProduct,
+      adjustment
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     if (error.name === 'CastError') {
       return res.status(404).json({ message: 'Product not found' });
     }
@@ -484,6 +851,238 @@ const updateProductQuantity = async (req, res) => {
   }
 };
 
+// @desc    Get a product's stock card (every recorded quantity change)
+// @route   GET /api/products/:id/movements?from&to&type&batchNumber&page&limit
+// @access  Private
+const getProductMovements = async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id).select('name productId unit quantity');
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const { from, to, type, batchNumber } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500);
+
+    const filter = { product: product._id };
+    if (type) {
+      if (!StockMovement.MOVEMENT_TYPES.includes(type)) {
+        return res.status(400).json({
+          message: `Movement type must be one of: ${StockMovement.MOVEMENT_TYPES.join(', ')}`
+        });
+      }
+      filter.type = type;
+    }
+    if (batchNumber) {
+      filter.batchNumber = String(batchNumber).trim();
+    }
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+      if (Object.values(filter.createdAt).some((date) => isNaN(date.getTime()))) {
+        return res.status(400).json({ message: 'Invalid from/to date.' });
+      }
+    }
+
+    const [movements, total] = await Promise.all([
+      StockMovement.find(filter)
+        .sort({ createdAt: 1, _id: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('user', 'username email')
+        .lean(),
+      StockMovement.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      product,
+      // Quantity on hand before the first movement on this page
+      openingBalance: movements.length > 0 ? movements[0].balance - movements[0].delta : null,
+      closingBalance: movements.length > 0 ? movements[movements.length - 1].balance : null,
+      movements,
+      meta: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit) || 1
+      }
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+    res.status(500).json({
+      message: 'Server Error: Could not fetch stock movements.',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Printable label sheet with a barcode and a product+batch QR code per label
+// @route   GET /api/products/:id/labels?format=pdf|svg&symbology=code128|ean13&batch&copies
+// @access  Private
+// Without `batch`, one set of labels is printed for every batch in stock.
+const getProductLabels = async (req, res) => {
+  try {
+    const format = String(req.query.format || 'pdf').toLowerCase();
+    if (!LABEL_FORMATS.includes(format)) {
+      return res.status(400).json({ message: `Invalid format. Use one of: ${LABEL_FORMATS.join(', ')}` });
+    }
+
+    const symbology = String(req.query.symbology || 'code128').toLowerCase();
+    if (!BARCODE_TYPES.includes(symbology)) {
+      return res.status(400).json({ message: `Invalid symbology. Use one of: ${BARCODE_TYPES.join(', ')}` });
+    }
+
+    const copies = req.query.copies !== undefined ? parseInt(req.query.copies) : 1;
+    if (!Number.isInteger(copies) || copies < 1 || copies > MAX_LABELS) {
+      return res.status(400).json({ message: `Copies must be a whole number from 1 to ${MAX_LABELS}.` });
+    }
+
+    const product = await Product.findById(req.params.id).lean();
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+    if (product.productType === 'parent') {
+      return res.status(400).json({ message: 'Print labels for each variant rather than the parent product.' });
+    }
+
+    let batches;
+    if (req.query.batch) {
+      const batch = await ProductBatch.findOne({ product: product._id, batchNumber: String(req.query.batch).trim() }).lean();
+      if (!batch) {
+        return res.status(404).json({ message: 'Batch not found for this product.' });
+      }
+      batches = [batch];
+    } else {
+      batches = await ProductBatch.find({ product: product._id, quantity: { $gt: 0 } })
+        .sort({ receivedDate: -1 })
+        .lean();
+    }
+
+    // Kits and products without stock still get a label for the product itself
+    const targets = batches.length > 0 ? batches : [null];
+    if (targets.length * copies > MAX_LABELS) {
+      return res.status(400).json({ message: `At most ${MAX_LABELS} labels can be printed at once.` });
+    }
+    const labels = targets.flatMap((batch) => Array.from({ length: copies }, () => ({ product, batch })));
+    const filename = `labels-${product.productId || product._id}.${format}`;
+
+    if (format === 'svg') {
+      const svg = await renderLabelsSvg(labels, { symbology });
+      res.setHeader('Content-Type', 'image/svg+xml');
+      res.setHeader('Content-Disposition', `inline; filename="${filename}"`);
+      return res.send(svg);
+    }
+
+    const doc = await renderLabelsPdf(labels, { symbology, title: `Labels ${product.name}` });
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader(
+      'Content-Disposition',
+      `${req.query.download === 'true' ? 'attachment' : 'inline'}; filename="${filename}"`
+    );
+    doc.pipe(res);
+    doc.end();
+  } catch (error) {
+    if (res.headersSent) {
+      return res.end();
+    }
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+    res.status(500).json({
+      message: 'Server Error: Could not generate labels.',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Resolve a scanned code to a product and, when the code names one, a batch
+// @route   GET /api/products/lookup?code=
+// @access  Private
+// Accepts label QR codes, manufacturer barcodes, SKUs, product ids and batch numbers.
+const lookupProductByCode = async (req, res) => {
+  try {
+    const code = String(req.query.code || '').trim();
+    if (!code) {
+      return res.status(400).json({ message: 'A code to look up is required.' });
+    }
+
+    let product = null;
+    let batch = null;
+    let matchedBy = null;
+
+    const scanned = parseLabelCode(code);
+    if (scanned) {
+      if (mongoose.Types.ObjectId.isValid(scanned.product)) {
+        product = await Product.findById(scanned.product);
+      }
+      // Labels outlive re-imports; fall back to the SKU printed alongside
+      if (!product && scanned.sku) {
+        product = await Product.findOne({ productId: scanned.sku });
+      }
+      if (product && scanned.batchNumber) {
+        batch = await ProductBatch.findOne({ product: product._id, batchNumber: scanned.batchNumber });
+      }
+      matchedBy = 'label';
+    } else {
+      product = await Product.findOne({ $or: [{ barcode: code }, { productId: code }] });
+      matchedBy = product && product.barcode === code ? 'barcode' : 'sku';
+
+      if (!product && mongoose.Types.ObjectId.isValid(code)) {
+        product = await Product.findById(code);
+        matchedBy = 'id';
+      }
+
+      if (!product) {
+        const batches = await ProductBatch.find({ batchNumber: code }).limit(2);
+        if (batches.length > 1) {
+          return res.status(400).json({
+            message: `Batch ${code} exists for more than one product; scan the product barcode instead.`
+          });
+        }
+        if (batches.length === 1) {
+          batch = batches[0];
+          product = await Product.findById(batch.product);
+          matchedBy = 'batch';
+        }
+      }
+    }
+
+    if (!product) {
+      return res.status(404).json({ message: `No product found for code ${code}.` });
+    }
+
+    res.status(200).json({
+      code,
+      matchedBy,
+      product: {
+        _id: product._id,
+        name: product.name,
+        productId: product.productId,
+        barcode: product.barcode,
+        productType: product.productType || 'standard',
+        unit: product.unit,
+        packUnits: product.packUnits,
+        price: product.price,
+        mrp: product.mrp,
+        quantity: product.quantity
+      },
+      batch: batch ? { ...formatBatch(product, batch), expired: isBatchExpired(batch) } : null
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Server Error: Could not look up code.',
+      error: error.message
+    });
+  }
+};
+
 // @desc    Delete a product by ID
 // @route   DELETE /api/products/:id
 // @access  Private/Admin
@@ -495,6 +1094,15 @@ const deleteProduct = async (req, res) => {
       return res.status(404).json({ message: 'Product not found' });
     }
 
+    // Variants and kits refer to the product; remove or change them first
+    if (await Product.exists({ parent: product._id })) {
+      return res.status(400).json({ message: 'This product still has variants.' });
+    }
+    const kit = await Product.findOne({ 'components.product': product._id }).select('name');
+    if (kit) {
+      return res.status(400).json({ message: `This product is a component of the kit ${kit.name}.` });
+    }
+
     await product.deleteOne();
     res.status(200).json({ 
       message: 'Product removed successfully',
@@ -572,7 +1180,8 @@ const getLowStockProducts = async (req, res) => {
     const { threshold = 10 } = req.query;
     
     const lowStockProducts = await Product.find({
-      quantity: { $lte: parseInt(threshold), $gte: 0 }
+      quantity: { $lte: parseInt(threshold), $gte: 0 },
+      productType: { $nin: ['parent', 'kit'] }
     }).sort({ quantity: 1 });
 
     res.status(200).json({
@@ -607,9 +1216,24 @@ const bulkUpdateProducts = async (req, res) => {
       });
     }
 
-    if (updateData.quantity !== undefined && updateData.quantity < 0) {
-      return res.status(400).json({ 
-        message: 'Quantity cannot be negative.' 
+    // Stock only changes through batches, never by overwriting product totals
+    if (updateData.quantity !== undefined) {
+      return res.status(400).json({
+        message: 'Quantity cannot be bulk updated. Record a stock adjustment instead.'
+      });
+    }
+
+    // Units decide how stock is counted and packs need their conversion worked out
+    if (updateData.unit !== undefined || updateData.packUnits !== undefined) {
+      return res.status(400).json({
+        message: 'Unit and pack units cannot be bulk updated. Update each product instead.'
+      });
+    }
+
+    const STRUCTURE_FIELDS = ['productType', 'parent', 'attributes', 'variantAttributes', 'components'];
+    if (STRUCTURE_FIELDS.some((field) => updateData[field] !== undefined)) {
+      return res.status(400).json({
+        message: 'Variants and kits cannot be bulk updated. Update each product instead.'
       });
     }
 
@@ -630,6 +1254,124 @@ const bulkUpdateProducts = async (req, res) => {
   }
 };
 
+// @desc    Import products from a CSV or XLSX sheet (see utils/productImport for the columns)
+// @route   POST /api/products/import?mode=create|upsert&dryRun=true&location
+// @access  Private/Admin
+// A dry run only reports what each row would do. Otherwise nothing is written
+// unless every row is valid.
+const importProducts = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'Upload the sheet as the `file` field.' });
+    }
+
+    const options = { ...req.body, ...req.query };
+    const dryRun = String(options.dryRun) === 'true';
+    const mode = String(options.mode || 'create').toLowerCase();
+    const format = String(req.file.originalname || '').toLowerCase().endsWith('.xlsx') ? 'xlsx' : 'csv';
+
+    const rows = await readSheet(req.file.buffer, format);
+    const plan = await planProductImport(rows, { mode });
+
+    if (dryRun) {
+      return res.status(200).json({
+        dryRun: true,
+        mode,
+        summary: plan.summary,
+        rows: plan.rows.map(describeRow)
+      });
+    }
+
+    if (plan.summary.invalid > 0) {
+      return res.status(400).json({
+        message: `${plan.summary.invalid} row(s) have errors; nothing was imported.`,
+        summary: plan.summary,
+        rows: plan.rows.filter((row) => row.errors.length > 0).map(describeRow)
+      });
+    }
+
+    const stocked = await withTransaction(async (session) => {
+      const location = plan.summary.openingStock > 0
+        ? await resolveLocation(options.location, 'receiving', session)
+        : null;
+      return applyProductImport(plan, { location, user: req.user, session });
+    });
+
+    for (const product of stocked) {
+      product.$session(null);
+      await handleStockNotifications(product, product.quantity);
+    }
+
+    res.status(201).json({
+      message: 'Products imported successfully',
+      mode,
+      summary: plan.summary,
+      rows: plan.rows.map(describeRow)
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        message: 'Validation Error',
+        errors
+      });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({
+        message: 'Duplicate entry',
+        error: `A product with this ${Object.keys(error.keyValue || {})[0] || 'value'} already exists.`
+      });
+    }
+    res.status(500).json({
+      message: 'Server Error: Could not import products.',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Export products as CSV or XLSX in the import layout
+// @route   GET /api/products/export?format=csv|xlsx&category&supplier
+// @access  Private/Admin
+const exportProducts = async (req, res) => {
+  try {
+    const format = String(req.query.format || 'csv').toLowerCase();
+    if (!SHEET_FORMATS.includes(format)) {
+      return res.status(400).json({ message: `Invalid format. Use one of: ${SHEET_FORMATS.join(', ')}` });
+    }
+
+    const query = {};
+    for (const field of ['category', 'supplier']) {
+      if (req.query[field]) {
+        if (!mongoose.Types.ObjectId.isValid(req.query[field])) {
+          return res.status(400).json({ message: `Invalid ${field} filter.` });
+        }
+        query[field] = req.query[field];
+      }
+    }
+
+    const records = await buildProductExport(query);
+    const file = await writeSheet(EXPORT_COLUMNS, records, format, { sheetName: 'Products' });
+    const stamp = new Date().toISOString().slice(0, 10);
+
+    res.setHeader(
+      'Content-Type',
+      format === 'xlsx'
+        ? 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+        : 'text/csv; charset=utf-8'
+    );
+    res.setHeader('Content-Disposition', `attachment; filename="products-${stamp}.${format}"`);
+    res.send(file);
+  } catch (error) {
+    res.status(500).json({
+      message: 'Server Error: Could not export products.',
+      error: error.message
+    });
+  }
+};
+
 // @desc    Get product report with all products
 // @route   GET /api/products/report
 // @access  Private/Admin
@@ -683,8 +1425,7 @@ const getProductStats = async (req, res) => {
       const price = product.price || 0;
 
       // Calculate stock status
-      const displayQuantity = product.unit === 'liter' ? (quantity / 1000) :
-                             product.unit === 'kilogram' ? (quantity / 1000) : quantity;
+      const displayQuantity = toDisplayQuantity(product, quantity);
 
       if (displayQuantity === 0) {
         outOfStock++;
@@ -734,10 +1475,15 @@ module.exports = {
   createProduct,
   updateProduct,
   updateProductQuantity,
+  getProductMovements,
+  getProductLabels,
+  lookupProductByCode,
   deleteProduct,
   getCategories,
   getLowStockProducts,
   bulkUpdateProducts,
+  importProducts,
+  exportProducts,
   getProductReport,
   getProductStats,
 };
\ No newline at end of file
@@ -1,6 +1,25 @@
 const Purchase = require('../models/Purchase');
 const Product = require('../models/Product');
+const Inward = require('../models/Inward');
 const asyncHandler = require('express-async-handler');
+const { withTransaction } = require('../utils/withTransaction');
+const { postInwardToInventory } = require('../utils/inwardPosting');
+const { handleStockNotifications } = require('../utils/stockNotifications');
+const { resolveConversion } = require('../utils/uom');
+const { assertStockable } = require('../utils/productStructure');
+
+// Resolves a line's unit (a pack of the product, or l, kg, ...); products not
+// created yet can only use general units. Parents and kits are never stocked.
+const lineUnit = async (product, unit, res) => {
+  try {
+    assertStockable(product);
+    const conversion = await resolveConversion(product, unit);
+    return { unit: conversion.unit, conversionFactor: conversion.factor };
+  } catch (error) {
+    res.status(error.statusCode || 500);
+    throw error;
+  }
+};
 
 // @desc    Create a new purchase order
 // @route   POST /api/purchases
@@ -31,11 +50,12 @@ const createPurchase = asyncHandler(async (req, res) => {
   const processedItems = await Promise.all(items.map(async (item) => {
     let productId = item.product;
     let productName = '';
+    let existingProduct = null;
 
     // Check if product is an existing product ID or new product name
     if (item.product.match(/^[0-9a-fA-F]{24}$/)) {
       // It's a MongoDB ObjectId - existing product
-      const existingProduct = await Product.findById(item.product);
+      existingProduct = await Product.findById(item.product);
       if (!existingProduct) {
         throw new Error(`Product with ID ${item.product} not found`);
       }
@@ -50,6 +70,7 @@ const createPurchase = asyncHandler(async (req, res) => {
     return {
       product: productId,
       productName: productName,
+      ...(await lineUnit(existingProduct, item.unit, res)),
       quantity: item.quantity,
       receivedQuantity: 0,
       unitCost: item.unitCost,
@@ -224,11 +245,12 @@ const updatePurchase = asyncHandler(async (req, res) => {
     purchase.items = await Promise.all(items.map(async (item) => {
       let productId = item.product;
       let productName = '';
+      let existingProduct = null;
 
       // Check if product is an existing product ID or new product name
       if (item.product.match(/^[0-9a-fA-F]{24}$/)) {
         // It's a MongoDB ObjectId - existing product
-        const existingProduct = await Product.findById(item.product);
+        existingProduct = await Product.findById(item.product);
         if (!existingProduct) {
           throw new Error(`Product with ID ${item.product} not found`);
         }
@@ -243,6 +265,7 @@ const updatePurchase = asyncHandler(async (req, res) => {
       return {
         product: productId,
         productName: productName,
+        ...(await lineUnit(existingProduct, item.unit, res)),
         quantity: item.quantity,
         receivedQuantity: item.receivedQuantity || 0,
         unitCost: item.unitCost,
@@ -253,7 +276,6 @@ const updatePurchase = asyncHandler(async (req, res) => {
   
   // Update fields
   if (supplier !== undefined) purchase.supplier = supplier;
-  if (items !== undefined) purchase.items = items;
   if (expectedDeliveryDate !== undefined) purchase.expectedDeliveryDate = expectedDeliveryDate;
   if (notes !== undefined) purchase.notes = notes;
 
@@ -381,18 +403,26 @@ const rejectPurchase = asyncHandler(async (req, res) => {
   res.json(rejectedPurchase);
 });
 
-// @desc    Mark purchase as received
+// @desc    Receive goods against a purchase order by raising a GRN (inward)
 // @route   PUT /api/purchases/:id/receive
-// @access  Private
+// @access  Private/Admin
 const receivePurchase = asyncHandler(async (req, res) => {
-  const { receivedItems } = req.body;
+  const {
+    receivedItems,
+    invoiceNumber,
+    invoiceDate,
+    deliveryChallanNumber,
+    vehicleNumber,
+    notes,
+    location
+  } = req.body;
   
   if (!receivedItems || !Array.isArray(receivedItems)) {
     res.status(400);
     throw new Error('receivedItems must be provided as an array');
   }
 
-  const purchase = await Purchase.findById(req.params.id).populate('items.product');
+  const purchase = await Purchase.findById(req.params.id);
 
   if (!purchase) {
     res.status(404);
@@ -404,13 +434,13 @@ const receivePurchase = asyncHandler(async (req, res) => {
     throw new Error(`Cannot receive items for purchase order with status: ${purchase.status}`);
   }
 
-  // Update received quantities and inventory
+  const inwardItems = [];
   for (const receivedItem of receivedItems) {
-    const { itemId, receivedQuantity } = receivedItem;
+    const { itemId, batchNumber, manufacturingDate } = receivedItem;
     
-    if (!itemId || receivedQuantity === undefined) {
+    if (!itemId) {
       res.status(400);
-      throw new Error('Each received item must have itemId and receivedQuantity');
+      throw new Error('Each received item must have an itemId');
     }
 
     const purchaseItem = purchase.items.id(itemId);
@@ -420,58 +450,159 @@ const receivePurchase = asyncHandler(async (req, res) => {
       throw new Error(`Item with ID ${itemId} not found in purchase order`);
     }
 
-    if (receivedQuantity < 0) {
+    // `quantity` is what arrived in this delivery; `receivedQuantity` is the
+    // running total received so far, as older clients send it
+    const alreadyReceived = purchaseItem.receivedQuantity || 0;
+    const quantity = receivedItem.quantity !== undefined
+      ? Number(receivedItem.quantity)
+      : Number(receivedItem.receivedQuantity) - alreadyReceived;
+
+    if (!Number.isFinite(quantity) || quantity < 0) {
       res.status(400);
-      throw new Error('Received quantity cannot be negative');
+      throw new Error(`Received quantity for ${purchaseItem.productName} cannot be less than the ${alreadyReceived} already received`);
     }
 
-    if (receivedQuantity > purchaseItem.quantity) {
-      res.status(400);
-      throw new Error(`Received quantity cannot exceed ordered quantity for item ${purchaseItem.productName || purchaseItem.product?.name}`);
+    if (quantity === 0) {
+      continue;
     }
 
-    // Calculate the difference for inventory update
-    const previousReceived = purchaseItem.receivedQuantity || 0;
-    const difference = receivedQuantity - previousReceived;
-    
-    // Update received quantity
-    purchaseItem.receivedQuantity = receivedQuantity;
-    
-    // Update inventory if there's a difference and it's an existing product
-    if (difference !== 0 && typeof purchaseItem.product === 'string' && purchaseItem.product.match(/^[0-9a-fA-F]{24}$/)) {
-      const product = await Product.findById(purchaseItem.product);
-      if (product) {
-        product.quantity += difference;
-        if (product.quantity < 0) {
-          product.quantity = 0; // Prevent negative stock
-        }
-        await product.save();
-      }
+    if (!batchNumber || String(batchNumber).trim() === '' || !manufacturingDate) {
+      res.status(400);
+      throw new Error(`Batch number and manufacturing date are required for ${purchaseItem.productName}`);
     }
+
+    inwardItems.push({
+      product: purchaseItem.product,
+      productName: purchaseItem.productName,
+      purchaseItemId: purchaseItem._id,
+      unit: purchaseItem.unit,
+      conversionFactor: purchaseItem.conversionFactor || 1,
+      orderedQuantity: purchaseItem.quantity,
+      receivedQuantity: quantity,
+      unitCost: purchaseItem.unitCost,
+      sellingPrice: receivedItem.sellingPrice,
+      mrp: receivedItem.mrp,
+      total: quantity * purchaseItem.unitCost,
+      batchNumber: String(batchNumber).trim(),
+      manufacturingDate,
+      expiryDate: receivedItem.expiryDate,
+      notes: receivedItem.notes
+    });
   }
-  
-  // Update purchase status and delivery date
-  if (!purchase.actualDeliveryDate) {
-    purchase.actualDeliveryDate = new Date();
+
+  if (inwardItems.length === 0) {
+    res.status(400);
+    throw new Error('No quantities to receive');
   }
-  
-  const updatedPurchase = await purchase.save();
-  
-  // Populate the updated purchase
-  await updatedPurchase.populate([
+
+  // The GRN is raised already approved: receiving against an approved PO is the approval
+  let posted;
+  try {
+    posted = await withTransaction(async (session) => {
+      const inward = new Inward({
+        supplier: purchase.supplier,
+        purchaseOrder: purchase._id,
+        items: inwardItems,
+        totalAmount: inwardItems.reduce((sum, item) => sum + item.total, 0),
+        status: 'approved',
+        invoiceNumber,
+        invoiceDate,
+        deliveryChallanNumber,
+        vehicleNumber,
+        notes,
+        location: location || null,
+        createdBy: req.user.id,
+        approvedBy: req.user.id,
+        approvalDate: new Date()
+      });
+      await inward.save({ session });
+
+      const result = await postInwardToInventory(inward, { session, user: req.user.id });
+      return { ...result, inward };
+    });
+  } catch (error) {
+    res.status(error.statusCode || (error.name === 'ValidationError' ? 400 : 500));
+    throw error;
+  }
+
+  for (const productId of posted.productIds) {
+    const product = await Product.findById(productId);
+    if (product) {
+      await handleStockNotifications(product, product.quantity);
+    }
+  }
+
+  const updatedPurchase = await Purchase.findById(purchase._id).populate([
     { path: 'supplier', select: 'name email phone' },
-    { path: 'items.product', select: 'name sku' },
     { path: 'createdBy', select: 'name email' },
     { path: 'approvedBy', select: 'name email' }
   ]);
 
-  // Handle population for mixed product types
-  updatedPurchase.items = updatedPurchase.items.map(item => ({
-    ...item,
-    product: (typeof item.product === 'string' && item.product.match(/^[0-9a-fA-F]{24}$/)) ? item.product : null
+  res.json({
+    ...updatedPurchase.toJSON(),
+    grn: {
+      _id: posted.inward._id,
+      grnNumber: posted.inward.grnNumber,
+      totalAmount: posted.inward.totalAmount
+    }
+  });
+});
+
+// @desc    Create a draft GRN pre-filled with the purchase order's pending items
+// @route   POST /api/purchases/:id/create-inward
+// @access  Private
+const createInwardFromPurchase = asyncHandler(async (req, res) => {
+  const purchase = await Purchase.findById(req.params.id);
+
+  if (!purchase) {
+    res.status(404);
+    throw new Error('Purchase order not found');
+  }
+
+  if (!purchase.canReceiveItems()) {
+    res.status(400);
+    throw new Error(`Cannot receive items for purchase order with status: ${purchase.status}`);
+  }
+
+  const pendingItems = purchase.pendingItems;
+  if (pendingItems.length === 0) {
+    res.status(400);
+    throw new Error('All items on this purchase order have already been received');
+  }
+
+  // Ordered quantity is what is still outstanding on the PO line; received
+  // quantity, batch number and dates are left for the receiving staff to fill
+  const items = pendingItems.map((item) => ({
+    product: item.product,
+    productName: item.productName,
+    unit: item.unit,
+    conversionFactor: item.conversionFactor || 1,
+    orderedQuantity: item.quantity - (item.receivedQuantity || 0),
+    receivedQuantity: 0,
+    unitCost: item.unitCost,
+    total: 0,
+    purchaseItemId: item._id
   }));
 
-  res.json(updatedPurchase);
+  const inward = new Inward({
+    supplier: purchase.supplier,
+    purchaseOrder: purchase._id,
+    items,
+    totalAmount: 0,
+    status: 'draft',
+    notes: req.body?.notes,
+    location: req.body?.location || null,
+    createdBy: req.user.id
+  });
+  await inward.save();
+
+  await inward.populate([
+    { path: 'supplier', select: 'name email phone' },
+    { path: 'purchaseOrder', select: 'purchaseOrderNumber' },
+    { path: 'createdBy', select: 'username email' }
+  ]);
+
+  res.status(201).json(inward);
 });
 
 // @desc    Get purchase order statistics
@@ -506,5 +637,6 @@ module.exports = {
   approvePurchase,
   rejectPurchase,
   receivePurchase,
+  createInwardFromPurchase,
   getPurchaseStats
 };
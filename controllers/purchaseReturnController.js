@@ -0,0 +1,281 @@
+const mongoose = require('mongoose');
+const asyncHandler = require('express-async-handler');
+const PurchaseReturn = require('../models/PurchaseReturn');
+const Inward = require('../models/Inward');
+const Product = require('../models/Product');
+const ProductBatch = require('../models/ProductBatch');
+const Supplier = require('../models/Supplier');
+const { withTransaction } = require('../utils/withTransaction');
+const { handleStockNotifications } = require('../utils/stockNotifications');
+const { stockEntry, recordStockMovements } = require('../utils/stockLedger');
+const { resolveLocation, adjustBatchStock } = require('../utils/locationStock');
+const { toBaseQuantity } = require('../utils/uom');
+
+const roundToTwo = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+// Inward items reference a product by id once they have been stocked
+const stockedProductId = (item) => {
+  const id = item.product && item.product._id ? item.product._id : item.product;
+  return mongoose.Types.ObjectId.isValid(id) ? String(id) : null;
+};
+
+// Matches a requested line to an inward item by its _id, or by batch number
+// (plus product when the same batch number appears on more than one line)
+const findInwardItem = (inward, reqItem) => {
+  if (reqItem.inwardItemId) {
+    return inward.items.id(reqItem.inwardItemId);
+  }
+
+  const matches = inward.items.filter((item) =>
+    item.batchNumber === String(reqItem.batchNumber || '').trim() &&
+    (!reqItem.product || stockedProductId(item) === String(reqItem.product))
+  );
+  return matches.length === 1 ? matches[0] : null;
+};
+
+// @desc    Return goods from a stocked inward to the supplier (debit note)
+// @route   POST /api/purchase-returns
+// @access  Private/Admin
+const createPurchaseReturn = asyncHandler(async (req, res) => {
+  const { inward: inwardId, items, reason, notes, returnDate, location: locationId } = req.body;
+
+  if (!inwardId || !mongoose.Types.ObjectId.isValid(inwardId)) {
+    res.status(400);
+    throw new Error('A valid inward (GRN) is required');
+  }
+
+  if (!Array.isArray(items) || items.length === 0) {
+    res.status(400);
+    throw new Error('At least one item must be returned');
+  }
+
+  let result;
+  try {
+    result = await withTransaction(async (session) => {
+      const inward = await Inward.findById(inwardId).session(session);
+      if (!inward) {
+        res.status(404);
+        throw new Error('Inward not found');
+      }
+
+      if (!inward.inventoryAdded) {
+        res.status(400);
+        throw new Error('Only inwards that have been added to inventory can be returned');
+      }
+
+      // Goods go back from where they were received unless another location is named
+      const location = await resolveLocation(locationId || inward.location, 'receiving', session);
+
+      const lines = [];
+      const movements = [];
+      const productIds = new Set();
+
+      for (let i = 0; i < items.length; i++) {
+        const reqItem = items[i] || {};
+        const item = findInwardItem(inward, reqItem);
+        if (!item) {
+          res.status(400);
+          throw new Error(`Item ${i + 1}: no single matching line on ${inward.grnNumber} for batch ${reqItem.batchNumber || reqItem.inwardItemId}`);
+        }
+
+        const productId = stockedProductId(item);
+        if (!productId) {
+          res.status(400);
+          throw new Error(`Item ${i + 1}: ${item.productName} was never linked to a product`);
+        }
+
+        const quantity = Number(reqItem.quantity);
+        const returnable = item.receivedQuantity - (item.returnedQuantity || 0);
+        if (!Number.isInteger(quantity) || quantity <= 0) {
+          res.status(400);
+          throw new Error(`Item ${i + 1}: quantity must be a positive whole number`);
+        }
+        if (quantity > returnable) {
+          res.status(400);
+          throw new Error(`Item ${i + 1}: only ${returnable} of batch ${item.batchNumber} can still be returned`);
+        }
+
+        // Returns are counted in the GRN line's unit; stock is held in base units
+        const baseQuantity = toBaseQuantity(quantity, item.conversionFactor);
+
+        // Stock that has already been sold, or moved elsewhere, cannot be sent back
+        const batch = await ProductBatch.findOneAndUpdate(
+          { product: productId, batchNumber: item.batchNumber, quantity: { $gte: baseQuantity } },
+          { $inc: { quantity: -baseQuantity } },
+          { new: true, session }
+        );
+        if (!batch) {
+          res.status(400);
+          throw new Error(`Item ${i + 1}: batch ${item.batchNumber} of ${item.productName} does not have ${quantity} in stock`);
+        }
+        await adjustBatchStock({ batch, product: productId, location, quantity: -baseQuantity, session });
+
+        const product = await Product.findOneAndUpdate(
+          { _id: productId, quantity: { $gte: baseQuantity } },
+          { $inc: { quantity: -baseQuantity } },
+          { new: true, session }
+        );
+        if (!product) {
+          res.status(400);
+          throw new Error(`Item ${i + 1}: ${item.productName} does not have ${quantity} in stock`);
+        }
+
+        item.returnedQuantity = (item.returnedQuantity || 0) + quantity;
+        movements.push(stockEntry(product, -baseQuantity, batch, undefined, location));
+        productIds.add(productId);
+
+        lines.push({
+          inwardItemId: item._id,
+          product: productId,
+          productName: item.productName,
+          batchNumber: item.batchNumber,
+          quantity,
+          unitCost: item.unitCost,
+          total: roundToTwo(quantity * item.unitCost),
+          reason: reqItem.reason || reason || ''
+        });
+      }
+
+      const totalAmount = roundToTwo(lines.reduce((sum, line) => sum + line.total, 0));
+
+      inward.returnedAmount = roundToTwo((inward.returnedAmount || 0) + totalAmount);
+      inward.refreshPaymentStatus();
+      await inward.save({ session, validateModifiedOnly: true });
+
+      const purchaseReturn = new PurchaseReturn({
+        inward: inward._id,
+        grnNumber: inward.grnNumber,
+        location: location._id,
+        supplier: inward.supplier,
+        items: lines,
+        totalAmount,
+        reason,
+        notes,
+        returnDate: returnDate ? new Date(returnDate) : new Date(),
+        createdBy: req.user.id
+      });
+      await purchaseReturn.save({ session });
+
+      await recordStockMovements(movements, {
+        type: 'return',
+        sourceType: 'PurchaseReturn',
+        sourceId: purchaseReturn._id,
+        reference: purchaseReturn.debitNoteNumber,
+        user: req.user.id,
+        session
+      });
+
+      await Supplier.findByIdAndUpdate(
+        inward.supplier,
+        { $inc: { payableBalance: -totalAmount } },
+        { session }
+      );
+
+      return { purchaseReturn, productIds };
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      res.status(error.statusCode);
+    }
+    throw error;
+  }
+
+  const { purchaseReturn, productIds } = result;
+
+  for (const productId of productIds) {
+    const product = await Product.findById(productId);
+    if (product) {
+      await handleStockNotifications(product, product.quantity);
+    }
+  }
+
+  purchaseReturn.$session(null);
+  await purchaseReturn.populate([
+    { path: 'supplier', select: 'name email phone payableBalance' },
+    { path: 'location', select: 'name code' },
+    { path: 'createdBy', select: 'username email' }
+  ]);
+
+  res.status(201).json(purchaseReturn);
+});
+
+// @desc    Get purchase returns
+// @route   GET /api/purchase-returns
+// @access  Private
+const getPurchaseReturns = asyncHandler(async (req, res) => {
+  const {
+    supplier,
+    inward,
+    page = 1,
+    limit = 10,
+    search,
+    startDate,
+    endDate
+  } = req.query;
+
+  const query = {};
+
+  if (supplier) {
+    query.supplier = supplier;
+  }
+
+  if (inward) {
+    query.inward = inward;
+  }
+
+  if (startDate || endDate) {
+    query.returnDate = {};
+    if (startDate) query.returnDate.$gte = new Date(startDate);
+    if (endDate) query.returnDate.$lte = new Date(endDate);
+  }
+
+  if (search) {
+    query.$or = [
+      { debitNoteNumber: { $regex: search, $options: 'i' } },
+      { grnNumber: { $regex: search, $options: 'i' } },
+      { 'items.productName': { $regex: search, $options: 'i' } },
+      { 'items.batchNumber': { $regex: search, $options: 'i' } }
+    ];
+  }
+
+  const options = {
+    page: parseInt(page),
+    limit: parseInt(limit),
+    populate: [
+      { path: 'supplier', select: 'name email phone' },
+      { path: 'createdBy', select: 'username email' }
+    ],
+    sort: { returnDate: -1, createdAt: -1 }
+  };
+
+  const purchaseReturns = await PurchaseReturn.paginate(query, options);
+  res.json(purchaseReturns);
+});
+
+// @desc    Get single purchase return
+// @route   GET /api/purchase-returns/:id
+// @access  Private
+const getPurchaseReturn = asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400);
+    throw new Error('Invalid purchase return ID');
+  }
+
+  const purchaseReturn = await PurchaseReturn.findById(req.params.id)
+    .populate('supplier', 'name email phone payableBalance')
+    .populate('inward', 'grnNumber invoiceNumber receivedDate')
+    .populate('createdBy', 'username email');
+
+  if (!purchaseReturn) {
+    res.status(404);
+    throw new Error('Purchase return not found');
+  }
+
+  res.json(purchaseReturn);
+});
+
+module.exports = {
+  createPurchaseReturn,
+  getPurchaseReturns,
+  getPurchaseReturn
+};
@@ -0,0 +1,193 @@
+const mongoose = require('mongoose');
+const asyncHandler = require('express-async-handler');
+const Purchase = require('../models/Purchase');
+const InventorySetting = require('../models/InventorySetting');
+const { buildReplenishmentSuggestions } = require('../utils/replenishment');
+const { withTransaction } = require('../utils/withTransaction');
+
+const SETTING_FIELDS = ['salesWindowDays', 'targetDaysOfCover', 'defaultLeadTimeDays'];
+
+const serializeSettings = (settings) => ({
+  salesWindowDays: settings.salesWindowDays,
+  targetDaysOfCover: settings.targetDaysOfCover,
+  defaultLeadTimeDays: settings.defaultLeadTimeDays,
+  adjustmentApprovalThreshold: settings.adjustmentApprovalThreshold
+});
+
+// @desc    Get reorder suggestions grouped by supplier
+// @route   GET /api/replenishment/suggestions
+// @access  Private/Admin
+const getReplenishmentSuggestions = asyncHandler(async (req, res) => {
+  const { supplier } = req.query;
+
+  if (supplier && !mongoose.Types.ObjectId.isValid(supplier)) {
+    res.status(400);
+    throw new Error('Invalid supplier ID');
+  }
+
+  const suggestions = await buildReplenishmentSuggestions({ supplier });
+  res.json(suggestions);
+});
+
+// @desc    Turn reorder suggestions into draft purchase orders, one per supplier
+// @route   POST /api/replenishment/purchase-orders
+// @access  Private/Admin
+const createReplenishmentOrders = asyncHandler(async (req, res) => {
+  const { suppliers, items, notes } = req.body;
+
+  if (suppliers !== undefined && (!Array.isArray(suppliers) || suppliers.some((id) => !mongoose.Types.ObjectId.isValid(id)))) {
+    res.status(400);
+    throw new Error('suppliers must be an array of supplier IDs');
+  }
+
+  if (items !== undefined && !Array.isArray(items)) {
+    res.status(400);
+    throw new Error('items must be an array');
+  }
+
+  // Optional per-product overrides; when given, only these products are ordered
+  const overrides = new Map();
+  for (const item of items || []) {
+    const quantity = item.quantity === undefined ? undefined : Number(item.quantity);
+    const unitCost = item.unitCost === undefined ? undefined : Number(item.unitCost);
+    if (!item.product || !mongoose.Types.ObjectId.isValid(item.product)) {
+      res.status(400);
+      throw new Error('Each item must have a valid product');
+    }
+    if (quantity !== undefined && (!Number.isInteger(quantity) || quantity <= 0)) {
+      res.status(400);
+      throw new Error('Quantity must be a positive whole number');
+    }
+    if (unitCost !== undefined && (!Number.isFinite(unitCost) || unitCost < 0)) {
+      res.status(400);
+      throw new Error('Unit cost cannot be negative');
+    }
+    overrides.set(String(item.product), { quantity, unitCost });
+  }
+
+  const { suppliers: groups } = await buildReplenishmentSuggestions();
+  const supplierFilter = suppliers ? new Set(suppliers.map(String)) : null;
+
+  const orders = [];
+  const matched = new Set();
+  for (const group of groups) {
+    if (supplierFilter && !supplierFilter.has(String(group.supplier._id))) {
+      continue;
+    }
+
+    const lines = group.items
+      .filter((item) => overrides.size === 0 || overrides.has(String(item.product)))
+      .map((item) => {
+        const override = overrides.get(String(item.product)) || {};
+        matched.add(String(item.product));
+        const quantity = override.quantity || item.suggestedQuantity;
+        const unitCost = override.unitCost !== undefined ? override.unitCost : item.unitCost;
+        return {
+          product: item.product,
+          productName: item.productName,
+          quantity,
+          receivedQuantity: 0,
+          unitCost,
+          total: quantity * unitCost
+        };
+      });
+
+    if (lines.length > 0) {
+      orders.push({ group, lines });
+    }
+  }
+
+  const unmatched = [...overrides.keys()].filter((productId) => !matched.has(productId));
+  if (unmatched.length > 0) {
+    res.status(400);
+    throw new Error(`No reorder suggestion for product(s): ${unmatched.join(', ')}`);
+  }
+
+  if (orders.length === 0) {
+    res.status(400);
+    throw new Error('Nothing to reorder');
+  }
+
+  // All or nothing, so a failure part way through does not leave orders for only some suppliers
+  const created = await withTransaction(async (session) => {
+    const purchases = [];
+    for (const { group, lines } of orders) {
+      const expectedDeliveryDate = new Date();
+      expectedDeliveryDate.setDate(expectedDeliveryDate.getDate() + group.leadTimeDays);
+
+      const purchase = new Purchase({
+        supplier: group.supplier._id,
+        items: lines,
+        totalAmount: lines.reduce((sum, line) => sum + line.total, 0),
+        status: 'draft',
+        expectedDeliveryDate,
+        notes: notes || 'Raised from replenishment suggestions',
+        createdBy: req.user.id
+      });
+      await purchase.save({ session });
+      purchases.push(purchase);
+    }
+    return purchases;
+  });
+
+  await Purchase.populate(created, [
+    { path: 'supplier', select: 'name email phone' },
+    { path: 'createdBy', select: 'username email' }
+  ]);
+
+  res.status(201).json({
+    count: created.length,
+    purchases: created
+  });
+});
+
+// @desc    Get inventory settings (replenishment and adjustment approval)
+// @route   GET /api/replenishment/settings
+// @access  Private/Admin
+const getInventorySettings = asyncHandler(async (req, res) => {
+  const settings = await InventorySetting.getSingleton();
+  res.json(serializeSettings(settings));
+});
+
+// @desc    Update inventory settings
+// @route   PUT /api/replenishment/settings
+// @access  Private/SuperAdmin
+const updateInventorySettings = asyncHandler(async (req, res) => {
+  const settings = await InventorySetting.getSingleton();
+
+  for (const field of SETTING_FIELDS) {
+    const value = req.body[field];
+    if (typeof value === 'undefined') {
+      continue;
+    }
+    const min = field === 'defaultLeadTimeDays' ? 0 : 1;
+    if (!Number.isInteger(value) || value < min || value > 365) {
+      res.status(400);
+      throw new Error(`${field} must be an integer between ${min} and 365`);
+    }
+    settings[field] = value;
+  }
+
+  const { adjustmentApprovalThreshold } = req.body;
+  if (typeof adjustmentApprovalThreshold !== 'undefined') {
+    if (typeof adjustmentApprovalThreshold !== 'number' || !Number.isFinite(adjustmentApprovalThreshold) || adjustmentApprovalThreshold < 0) {
+      res.status(400);
+      throw new Error('adjustmentApprovalThreshold must be a non-negative number');
+    }
+    settings.adjustmentApprovalThreshold = adjustmentApprovalThreshold;
+  }
+
+  await settings.save();
+
+  res.json({
+    message: 'Inventory settings updated',
+    ...serializeSettings(settings)
+  });
+});
+
+module.exports = {
+  getReplenishmentSuggestions,
+  createReplenishmentOrders,
+  getInventorySettings,
+  updateInventorySettings
+};
@@ -0,0 +1,187 @@
+const mongoose = require('mongoose');
+const asyncHandler = require('express-async-handler');
+const Product = require('../models/Product');
+const StockAdjustment = require('../models/StockAdjustment');
+const { withTransaction } = require('../utils/withTransaction');
+const { createStockAdjustment: createAdjustment, postStockAdjustment } = require('../utils/stockAdjustments');
+const { handleStockNotifications } = require('../utils/stockNotifications');
+
+const notifyProducts = async (productIds) => {
+  for (const productId of productIds) {
+    const product = await Product.findById(productId);
+    if (product) {
+      await handleStockNotifications(product, product.quantity);
+    }
+  }
+};
+
+const populateAdjustment = (adjustment) => {
+  adjustment.$session(null);
+  return adjustment.populate([
+    { path: 'location', select: 'name code' },
+    { path: 'createdBy', select: 'username email' },
+    { path: 'approvedBy', select: 'username email' }
+  ]);
+};
+
+// @desc    Adjust batch stock for a reason (damage, theft, count correction, sample)
+// @route   POST /api/stock-adjustments
+// @access  Private/Admin
+const createStockAdjustment = asyncHandler(async (req, res) => {
+  const { items, reason, notes, location } = req.body;
+
+  let result;
+  try {
+    result = await withTransaction((session) =>
+      createAdjustment({ items, reason, notes, location, user: req.user, session })
+    );
+  } catch (error) {
+    res.status(error.statusCode || 500);
+    throw error;
+  }
+
+  await notifyProducts(result.productIds);
+  await populateAdjustment(result.adjustment);
+
+  res.status(201).json(result.adjustment);
+});
+
+// @desc    Get stock adjustments
+// @route   GET /api/stock-adjustments
+// @access  Private/Admin
+const getStockAdjustments = asyncHandler(async (req, res) => {
+  const {
+    status,
+    reason,
+    product,
+    location,
+    page = 1,
+    limit = 10,
+    startDate,
+    endDate
+  } = req.query;
+
+  const query = {};
+
+  if (status) {
+    query.status = status;
+  }
+
+  if (reason) {
+    query.reason = reason;
+  }
+
+  if (product) {
+    query['items.product'] = product;
+  }
+
+  if (location) {
+    query.location = location;
+  }
+
+  if (startDate || endDate) {
+    query.createdAt = {};
+    if (startDate) query.createdAt.$gte = new Date(startDate);
+    if (endDate) query.createdAt.$lte = new Date(endDate);
+  }
+
+  const options = {
+    page: parseInt(page),
+    limit: parseInt(limit),
+    populate: [
+      { path: 'location', select: 'name code' },
+      { path: 'createdBy', select: 'username email' },
+      { path: 'approvedBy', select: 'username email' }
+    ],
+    sort: { createdAt: -1 }
+  };
+
+  const adjustments = await StockAdjustment.paginate(query, options);
+  res.json(adjustments);
+});
+
+// @desc    Get single stock adjustment
+// @route   GET /api/stock-adjustments/:id
+// @access  Private/Admin
+const getStockAdjustment = asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400);
+    throw new Error('Invalid stock adjustment ID');
+  }
+
+  const adjustment = await StockAdjustment.findById(req.params.id)
+    .populate('location', 'name code')
+    .populate('createdBy', 'username email')
+    .populate('approvedBy', 'username email');
+
+  if (!adjustment) {
+    res.status(404);
+    throw new Error('Stock adjustment not found');
+  }
+
+  res.json(adjustment);
+});
+
+// @desc    Approve a pending stock adjustment and post it
+// @route   PUT /api/stock-adjustments/:id/approve
+// @access  Private/SuperAdmin
+const approveStockAdjustment = asyncHandler(async (req, res) => {
+  let result;
+  try {
+    result = await withTransaction(async (session) => {
+      const adjustment = await StockAdjustment.findById(req.params.id).session(session);
+      if (!adjustment) {
+        const error = new Error('Stock adjustment not found');
+        error.statusCode = 404;
+        throw error;
+      }
+
+      adjustment.approvedBy = req.user._id;
+      adjustment.approvedAt = new Date();
+      const productIds = await postStockAdjustment(adjustment, { session, user: req.user._id });
+      return { adjustment, productIds };
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500);
+    throw error;
+  }
+
+  await notifyProducts(result.productIds);
+  await populateAdjustment(result.adjustment);
+
+  res.json(result.adjustment);
+});
+
+// @desc    Reject a pending stock adjustment
+// @route   PUT /api/stock-adjustments/:id/reject
+// @access  Private/SuperAdmin
+const rejectStockAdjustment = asyncHandler(async (req, res) => {
+  const adjustment = await StockAdjustment.findById(req.params.id);
+
+  if (!adjustment) {
+    res.status(404);
+    throw new Error('Stock adjustment not found');
+  }
+
+  if (adjustment.status !== 'pending') {
+    res.status(400);
+    throw new Error(`Cannot reject adjustment with status: ${adjustment.status}`);
+  }
+
+  adjustment.status = 'rejected';
+  adjustment.approvedBy = req.user._id;
+  adjustment.approvedAt = new Date();
+  adjustment.rejectionReason = req.body.reason || '';
+  await adjustment.save();
+
+  await populateAdjustment(adjustment);
+  res.json(adjustment);
+});
+
+module.exports = {
+  createStockAdjustment,
+  getStockAdjustments,
+  getStockAdjustment,
+  approveStockAdjustment,
+  rejectStockAdjustment
+};
@@ -0,0 +1,357 @@
+const mongoose = require('mongoose');
+const asyncHandler = require('express-async-handler');
+const Product = require('../models/Product');
+const ProductBatch = require('../models/ProductBatch');
+const BatchStock = require('../models/BatchStock');
+const StockTake = require('../models/StockTake');
+const StockMovement = require('../models/StockMovement');
+const { withTransaction } = require('../utils/withTransaction');
+const { createStockAdjustment } = require('../utils/stockAdjustments');
+const { handleStockNotifications } = require('../utils/stockNotifications');
+const { resolveLocation } = require('../utils/locationStock');
+
+const findStockTake = async (id, res, session = null) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400);
+    throw new Error('Invalid stock take ID');
+  }
+
+  const stockTake = await StockTake.findById(id).session(session);
+  if (!stockTake) {
+    res.status(404);
+    throw new Error('Stock take not found');
+  }
+  return stockTake;
+};
+
+// Net stock movement at the stock take's location for each counted line
+// between the snapshot and the moment the line was counted (item id -> quantity)
+const movementsBeforeCount = async (stockTake, session = null) => {
+  const counted = stockTake.items.filter((item) => item.countedAt);
+  if (counted.length === 0) {
+    return new Map();
+  }
+
+  const snapshotAt = stockTake.snapshotAt || stockTake.createdAt;
+  const lastCountedAt = new Date(Math.max(...counted.map((item) => item.countedAt.getTime())));
+  const movements = await StockMovement.find({
+    location: stockTake.location,
+    batch: { $in: counted.map((item) => item.batch) },
+    createdAt: { $gt: snapshotAt, $lte: lastCountedAt }
+  }).select('batch delta createdAt').session(session).lean();
+
+  return new Map(counted.map((item) => [
+    String(item._id),
+    movements
+      .filter((movement) => String(movement.batch) === String(item.batch) && movement.createdAt <= item.countedAt)
+      .reduce((total, movement) => total + movement.delta, 0)
+  ]));
+};
+
+const ensureInProgress = (stockTake, res) => {
+  if (stockTake.status !== 'in_progress') {
+    res.status(400);
+    throw new Error(`Stock take is already ${stockTake.status.replace('_', ' ')}`);
+  }
+};
+
+// @desc    Start a stock take: snapshot batch quantities at a location for a category and/or supplier
+// @route   POST /api/stock-takes
+// @access  Private/Admin
+const createStockTake = asyncHandler(async (req, res) => {
+  const { category, supplier, notes } = req.body;
+
+  let location;
+  try {
+    location = await resolveLocation(req.body.location, 'receiving');
+  } catch (error) {
+    res.status(error.statusCode || 500);
+    throw error;
+  }
+
+  for (const [field, value] of [['category', category], ['supplier', supplier]]) {
+    if (value && !mongoose.Types.ObjectId.isValid(value)) {
+      res.status(400);
+      throw new Error(`Invalid ${field} ID`);
+    }
+  }
+
+  const productQuery = {};
+  if (category) productQuery.category = category;
+  if (supplier) productQuery.supplier = supplier;
+
+  const products = await Product.find(productQuery).select('name').sort({ name: 1 }).lean();
+  const snapshotAt = new Date();
+  const nameById = new Map(products.map((product) => [String(product._id), product.name]));
+
+  // Batches that hold stock at the location are counted; empty ones are left out
+  const held = await BatchStock.find({
+    location: location._id,
+    product: { $in: products.map((product) => product._id) },
+    quantity: { $gt: 0 }
+  }).lean();
+
+  if (held.length === 0) {
+    res.status(400);
+    throw new Error(`No batches with stock at ${location.code} match this category/supplier`);
+  }
+
+  const batches = await ProductBatch.find({ _id: { $in: held.map((row) => row.batch) } })
+    .select('product batchNumber unitCost')
+    .lean();
+  const batchById = new Map(batches.map((batch) => [String(batch._id), batch]));
+
+  const items = held
+    .filter((row) => batchById.has(String(row.batch)))
+    .map((row) => {
+      const batch = batchById.get(String(row.batch));
+      return {
+        product: batch.product,
+        productName: nameById.get(String(batch.product)),
+        batch: batch._id,
+        batchNumber: batch.batchNumber,
+        unitCost: batch.unitCost || 0,
+        systemQuantity: row.quantity
+      };
+    })
+    .sort((a, b) => a.productName.localeCompare(b.productName) || a.batchNumber.localeCompare(b.batchNumber));
+
+  const stockTake = await StockTake.create({
+    location: location._id,
+    category: category || undefined,
+    supplier: supplier || undefined,
+    snapshotAt,
+    items,
+    notes,
+    startedBy: req.user._id
+  });
+
+  await stockTake.populate([
+    { path: 'location', select: 'name code' },
+    { path: 'category', select: 'name' },
+    { path: 'supplier', select: 'name' },
+    { path: 'startedBy', select: 'username email' }
+  ]);
+
+  res.status(201).json(stockTake);
+});
+
+// @desc    Get stock takes
+// @route   GET /api/stock-takes
+// @access  Private/Admin
+const getStockTakes = asyncHandler(async (req, res) => {
+  const { status, location, page = 1, limit = 10 } = req.query;
+
+  const query = {};
+  if (status) {
+    query.status = status;
+  }
+  if (location) {
+    query.location = location;
+  }
+
+  const options = {
+    page: parseInt(page),
+    limit: parseInt(limit),
+    select: '-items',
+    populate: [
+      { path: 'location', select: 'name code' },
+      { path: 'category', select: 'name' },
+      { path: 'supplier', select: 'name' },
+      { path: 'startedBy', select: 'username email' },
+      { path: 'postedBy', select: 'username email' }
+    ],
+    sort: { createdAt: -1 }
+  };
+
+  const stockTakes = await StockTake.paginate(query, options);
+  res.json(stockTakes);
+});
+
+// @desc    Get single stock take with its count sheet
+// @route   GET /api/stock-takes/:id
+// @access  Private/Admin
+const getStockTake = asyncHandler(async (req, res) => {
+  const stockTake = await findStockTake(req.params.id, res);
+
+  await stockTake.populate([
+    { path: 'location', select: 'name code' },
+    { path: 'category', select: 'name' },
+    { path: 'supplier', select: 'name' },
+    { path: 'startedBy', select: 'username email' },
+    { path: 'postedBy', select: 'username email' },
+    { path: 'adjustment', select: 'adjustmentNumber status totalValue' }
+  ]);
+
+  res.json(stockTake);
+});
+
+// @desc    Submit counted quantities; lines can be counted (and recounted) in several passes
+// @route   PUT /api/stock-takes/:id/counts
+// @access  Private/Admin
+const submitStockTakeCounts = asyncHandler(async (req, res) => {
+  const { counts } = req.body;
+
+  if (!Array.isArray(counts) || counts.length === 0) {
+    res.status(400);
+    throw new Error('counts must be a non-empty array');
+  }
+
+  const stockTake = await findStockTake(req.params.id, res);
+  ensureInProgress(stockTake, res);
+
+  const now = new Date();
+  counts.forEach((count, index) => {
+    const entry = count || {};
+    const item = entry.itemId
+      ? stockTake.items.id(entry.itemId)
+      : stockTake.items.find((line) =>
+        (entry.batch && String(line.batch) === String(entry.batch)) ||
+        (entry.product && String(line.product) === String(entry.product) &&
+          line.batchNumber === String(entry.batchNumber || '').trim())
+      );
+
+    if (!item) {
+      res.status(400);
+      throw new Error(`Count ${index + 1}: line not found on ${stockTake.stockTakeNumber}`);
+    }
+
+    const countedQuantity = Number(entry.countedQuantity);
+    if (!Number.isInteger(countedQuantity) || countedQuantity < 0) {
+      res.status(400);
+      throw new Error(`Count ${index + 1}: counted quantity must be a non-negative whole number`);
+    }
+
+    item.countedQuantity = countedQuantity;
+    item.countedBy = req.user._id;
+    item.countedAt = now;
+  });
+
+  await stockTake.save();
+
+  res.json({
+    message: 'Counts recorded',
+    stockTakeNumber: stockTake.stockTakeNumber,
+    ...stockTake.getVarianceReport(await movementsBeforeCount(stockTake)).summary
+  });
+});
+
+// @desc    Variance report: counted against the snapshot plus what moved before each
+//          count, valued at batch unit cost; these are the quantities posting books
+// @route   GET /api/stock-takes/:id/variance
+// @access  Private/Admin
+const getStockTakeVariance = asyncHandler(async (req, res) => {
+  const stockTake = await findStockTake(req.params.id, res);
+  const report = stockTake.getVarianceReport(await movementsBeforeCount(stockTake));
+
+  // Lines that match are noise on a variance report unless asked for
+  if (String(req.query.all) !== 'true') {
+    report.lines = report.lines.filter((line) => line.variance !== 0);
+  }
+
+  res.json({
+    _id: stockTake._id,
+    stockTakeNumber: stockTake.stockTakeNumber,
+    status: stockTake.status,
+    startedAt: stockTake.createdAt,
+    ...report
+  });
+});
+
+// @desc    Post a stock take: book every counted variance as a count-correction adjustment
+// @route   PUT /api/stock-takes/:id/post
+// @access  Private/Admin
+const postStockTake = asyncHandler(async (req, res) => {
+  let result;
+  try {
+    result = await withTransaction(async (session) => {
+      const stockTake = await findStockTake(req.params.id, res, session);
+      ensureInProgress(stockTake, res);
+
+      const { lines, summary } = stockTake.getVarianceReport(await movementsBeforeCount(stockTake, session));
+      if (summary.countedLines === 0) {
+        res.status(400);
+        throw new Error('Nothing has been counted yet');
+      }
+
+      // The variance is applied on top of current stock, so movements booked
+      // after a line was counted stand. Uncounted lines are left as they are.
+      const items = lines
+        .filter((line) => line.variance)
+        .map((line) => ({ product: line.product, batch: line.batch, quantity: line.variance }));
+
+      let adjustment = null;
+      let productIds = new Set();
+      if (items.length > 0) {
+        ({ adjustment, productIds } = await createStockAdjustment({
+          items,
+          reason: 'count_correction',
+          notes: `Stock take ${stockTake.stockTakeNumber}`,
+          stockTake: stockTake._id,
+          location: stockTake.location,
+          user: req.user,
+          session
+        }));
+        stockTake.adjustment = adjustment._id;
+      }
+
+      stockTake.status = 'posted';
+      stockTake.postedBy = req.user._id;
+      stockTake.postedAt = new Date();
+      await stockTake.save({ session });
+
+      return { stockTake, adjustment, productIds, summary };
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      res.status(error.statusCode);
+    }
+    throw error;
+  }
+
+  for (const productId of result.productIds) {
+    const product = await Product.findById(productId);
+    if (product) {
+      await handleStockNotifications(product, product.quantity);
+    }
+  }
+
+  res.json({
+    message: result.adjustment && result.adjustment.status === 'pending'
+      ? 'Stock take posted; the count correction is awaiting approval'
+      : 'Stock take posted',
+    stockTakeNumber: result.stockTake.stockTakeNumber,
+    adjustment: result.adjustment
+      ? {
+        _id: result.adjustment._id,
+        adjustmentNumber: result.adjustment.adjustmentNumber,
+        status: result.adjustment.status,
+        totalValue: result.adjustment.totalValue
+      }
+      : null,
+    summary: result.summary
+  });
+});
+
+// @desc    Cancel a stock take that has not been posted
+// @route   PUT /api/stock-takes/:id/cancel
+// @access  Private/Admin
+const cancelStockTake = asyncHandler(async (req, res) => {
+  const stockTake = await findStockTake(req.params.id, res);
+  ensureInProgress(stockTake, res);
+
+  stockTake.status = 'cancelled';
+  await stockTake.save();
+
+  res.json({ message: 'Stock take cancelled', stockTakeNumber: stockTake.stockTakeNumber });
+});
+
+module.exports = {
+  createStockTake,
+  getStockTakes,
+  getStockTake,
+  submitStockTakeCounts,
+  getStockTakeVariance,
+  postStockTake,
+  cancelStockTake
+};
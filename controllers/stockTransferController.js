@@ -0,0 +1,200 @@
+const mongoose = require('mongoose');
+const asyncHandler = require('express-async-handler');
+const Product = require('../models/Product');
+const StockTransfer = require('../models/StockTransfer');
+const { withTransaction } = require('../utils/withTransaction');
+const { resolveLocation } = require('../utils/locationStock');
+const {
+  buildTransferLines,
+  dispatchStockTransfer,
+  receiveStockTransfer
+} = require('../utils/stockTransfers');
+const { handleStockNotifications } = require('../utils/stockNotifications');
+
+const notifyProducts = async (productIds) => {
+  for (const productId of productIds) {
+    const product = await Product.findById(productId);
+    if (product) {
+      await handleStockNotifications(product, product.quantity);
+    }
+  }
+};
+
+const populateTransfer = (transfer) => {
+  transfer.$session(null);
+  return transfer.populate([
+    { path: 'fromLocation', select: 'name code' },
+    { path: 'toLocation', select: 'name code' },
+    { path: 'createdBy', select: 'username email' },
+    { path: 'dispatchedBy', select: 'username email' },
+    { path: 'receivedBy', select: 'username email' },
+    { path: 'cancelledBy', select: 'username email' }
+  ]);
+};
+
+const findTransfer = async (id, session = null) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    const error = new Error('Invalid stock transfer ID');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const transfer = await StockTransfer.findById(id).session(session);
+  if (!transfer) {
+    const error = new Error('Stock transfer not found');
+    error.statusCode = 404;
+    throw error;
+  }
+  return transfer;
+};
+
+// @desc    Create a stock transfer between two locations; dispatched straight away when `dispatch` is set
+// @route   POST /api/stock-transfers
+// @access  Private/Admin
+const createStockTransfer = asyncHandler(async (req, res) => {
+  const { fromLocation, toLocation, items, notes, dispatch } = req.body;
+
+  if (!fromLocation || !toLocation) {
+    res.status(400);
+    throw new Error('Source and destination locations are required');
+  }
+
+  let result;
+  try {
+    result = await withTransaction(async (session) => {
+      const from = await resolveLocation(fromLocation, null, session);
+      const to = await resolveLocation(toLocation, null, session);
+      const lines = await buildTransferLines(items, session);
+
+      const transfer = new StockTransfer({
+        fromLocation: from._id,
+        toLocation: to._id,
+        items: lines,
+        notes,
+        createdBy: req.user._id
+      });
+      await transfer.save({ session });
+
+      const productIds = dispatch
+        ? await dispatchStockTransfer(transfer, { session, user: req.user._id })
+        : new Set();
+      return { transfer, productIds };
+    });
+  } catch (error) {
+    res.status(error.statusCode || (error.name === 'ValidationError' ? 400 : 500));
+    throw error;
+  }
+
+  await notifyProducts(result.productIds);
+  await populateTransfer(result.transfer);
+
+  res.status(201).json(result.transfer);
+});
+
+// @desc    Get stock transfers; status=dispatched lists what is in transit
+// @route   GET /api/stock-transfers
+// @access  Private/Admin
+const getStockTransfers = asyncHandler(async (req, res) => {
+  const { status, location, page = 1, limit = 10 } = req.query;
+
+  const query = {};
+  if (status) {
+    query.status = status;
+  }
+  if (location) {
+    query.$or = [{ fromLocation: location }, { toLocation: location }];
+  }
+
+  const options = {
+    page: parseInt(page),
+    limit: parseInt(limit),
+    populate: [
+      { path: 'fromLocation', select: 'name code' },
+      { path: 'toLocation', select: 'name code' },
+      { path: 'createdBy', select: 'username email' }
+    ],
+    sort: { createdAt: -1 }
+  };
+
+  const transfers = await StockTransfer.paginate(query, options);
+  res.json(transfers);
+});
+
+// @desc    Get single stock transfer
+// @route   GET /api/stock-transfers/:id
+// @access  Private/Admin
+const getStockTransfer = asyncHandler(async (req, res) => {
+  let transfer;
+  try {
+    transfer = await findTransfer(req.params.id);
+  } catch (error) {
+    res.status(error.statusCode);
+    throw error;
+  }
+
+  await populateTransfer(transfer);
+  res.json(transfer);
+});
+
+// Runs a status change on a transfer in a transaction and responds with it
+const changeTransferStatus = (apply) => asyncHandler(async (req, res) => {
+  let result;
+  try {
+    result = await withTransaction(async (session) => {
+      const transfer = await findTransfer(req.params.id, session);
+      const productIds = await apply(transfer, { session, user: req.user._id });
+      return { transfer, productIds };
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500);
+    throw error;
+  }
+
+  await notifyProducts(result.productIds);
+  await populateTransfer(result.transfer);
+
+  res.json(result.transfer);
+});
+
+// @desc    Dispatch a draft transfer: stock leaves the source location and is held in transit
+// @route   PUT /api/stock-transfers/:id/dispatch
+// @access  Private/Admin
+const dispatchTransfer = changeTransferStatus((transfer, options) =>
+  dispatchStockTransfer(transfer, options)
+);
+
+// @desc    Receive a dispatched transfer into the destination location
+// @route   PUT /api/stock-transfers/:id/receive
+// @access  Private/Admin
+const receiveTransfer = changeTransferStatus((transfer, options) =>
+  receiveStockTransfer(transfer, options)
+);
+
+// @desc    Cancel a transfer; stock already dispatched goes back to the source location
+// @route   PUT /api/stock-transfers/:id/cancel
+// @access  Private/Admin
+const cancelTransfer = changeTransferStatus(async (transfer, options) => {
+  if (transfer.status === 'dispatched') {
+    return receiveStockTransfer(transfer, { ...options, cancel: true });
+  }
+  if (transfer.status !== 'draft') {
+    const error = new Error(`Cannot cancel transfer with status: ${transfer.status}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  transfer.status = 'cancelled';
+  transfer.cancelledBy = options.user;
+  transfer.cancelledAt = new Date();
+  await transfer.save({ session: options.session });
+  return new Set();
+});
+
+module.exports = {
+  createStockTransfer,
+  getStockTransfers,
+  getStockTransfer,
+  dispatchTransfer,
+  receiveTransfer,
+  cancelTransfer
+};
@@ -1,6 +1,23 @@
 // controllers/supplierController.js
 const Supplier = require('../models/Supplier');
 const Product = require('../models/Product');
+const Inward = require('../models/Inward');
+const PurchaseReturn = require('../models/PurchaseReturn');
+const SupplierPayment = require('../models/SupplierPayment');
+
+const roundToTwo = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const parseDateParam = (value, endOfDay = false) => {
+  if (!value) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return undefined;
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(String(value))) {
+    date.setHours(23, 59, 59, 999);
+  }
+  return date;
+};
+
+const DAY_MS = 1000 * 60 * 60 * 24;
 
 // Get all suppliers
 exports.getAllSuppliers = async (req, res) => {
@@ -189,4 +206,204 @@ exports.getSupplierProducts = async (req, res) => {
   } catch (err) {
     res.status(500).json({ message: 'Server error', error: err.message });
   }
-};
\ No newline at end of file
+};
+// Order of entries falling on the same instant: the invoice is raised before it is returned against or paid
+const LEDGER_ENTRY_ORDER = { invoice: 0, debit_note: 1, payment: 2 };
+
+// GET /api/suppliers/:id/ledger?from&to - What we owe a supplier, with a running balance
+exports.getSupplierLedger = async (req, res) => {
+  try {
+    const from = parseDateParam(req.query.from);
+    const to = parseDateParam(req.query.to, true);
+    if (from === undefined || to === undefined) {
+      return res.status(400).json({ message: 'Invalid from/to date' });
+    }
+    if (from && to && from > to) {
+      return res.status(400).json({ message: '"from" must be on or before "to"' });
+    }
+
+    const supplier = await Supplier.findById(req.params.id)
+      .select('name contactPerson email phone paymentTerms payableBalance');
+    if (!supplier) {
+      return res.status(404).json({ message: 'Supplier not found' });
+    }
+
+    // Only stocked inwards are owed; drafts and unapproved GRNs are not payables yet
+    const [inwards, debitNotes, payments] = await Promise.all([
+      Inward.find({ supplier: supplier._id, inventoryAdded: true })
+        .select('grnNumber invoiceNumber invoiceDate receivedDate paymentDueDate totalAmount')
+        .lean(),
+      PurchaseReturn.find({ supplier: supplier._id })
+        .select('debitNoteNumber inward grnNumber totalAmount returnDate')
+        .lean(),
+      SupplierPayment.find({ supplier: supplier._id })
+        .populate('inward', 'grnNumber')
+        .select('inward amount method reference paymentDate')
+        .lean()
+    ]);
+
+    const entries = [
+      ...inwards.map((inward) => ({
+        date: inward.invoiceDate || inward.receivedDate,
+        type: 'invoice',
+        reference: inward.invoiceNumber || inward.grnNumber,
+        inwardId: inward._id,
+        description: `GRN ${inward.grnNumber}${inward.invoiceNumber ? ` (invoice ${inward.invoiceNumber})` : ''}`,
+        dueDate: inward.paymentDueDate,
+        debit: 0,
+        credit: roundToTwo(inward.totalAmount)
+      })),
+      ...debitNotes.map((note) => ({
+        date: note.returnDate,
+        type: 'debit_note',
+        reference: note.debitNoteNumber,
+        inwardId: note.inward,
+        description: `Debit note ${note.debitNoteNumber} against GRN ${note.grnNumber}`,
+        debit: roundToTwo(note.totalAmount),
+        credit: 0
+      })),
+      ...payments.map((payment) => ({
+        date: payment.paymentDate,
+        type: 'payment',
+        reference: payment.reference || payment.inward?.grnNumber || '',
+        inwardId: payment.inward?._id,
+        description: `Payment (${payment.method})${payment.inward ? ` for GRN ${payment.inward.grnNumber}` : ''}`,
+        debit: roundToTwo(payment.amount),
+        credit: 0
+      }))
+    ];
+
+    entries.sort((a, b) =>
+      new Date(a.date) - new Date(b.date) || LEDGER_ENTRY_ORDER[a.type] - LEDGER_ENTRY_ORDER[b.type]
+    );
+
+    let openingBalance = 0;
+    let balance = 0;
+    let totalDebit = 0;
+    let totalCredit = 0;
+    const transactions = [];
+
+    entries.forEach((entry) => {
+      const date = new Date(entry.date);
+      if (to && date > to) return;
+
+      if (from && date < from) {
+        openingBalance = roundToTwo(openingBalance + entry.credit - entry.debit);
+        balance = openingBalance;
+        return;
+      }
+
+      balance = roundToTwo(balance + entry.credit - entry.debit);
+      totalDebit = roundToTwo(totalDebit + entry.debit);
+      totalCredit = roundToTwo(totalCredit + entry.credit);
+      transactions.push({ ...entry, balance });
+    });
+
+    res.status(200).json({
+      supplier,
+      from,
+      to,
+      openingBalance,
+      transactions,
+      totalDebit,
+      totalCredit,
+      closingBalance: balance
+    });
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid supplier ID' });
+    }
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+const AGEING_BUCKETS = ['0-30', '31-60', '61-90', '90+'];
+
+const ageingBucket = (daysOverdue) => {
+  if (daysOverdue <= 30) return '0-30';
+  if (daysOverdue <= 60) return '31-60';
+  if (daysOverdue <= 90) return '61-90';
+  return '90+';
+};
+
+// Total of `amountField` per inward over the documents dated after asOf
+const laterByInward = async (Model, dateField, amountField, inwardIds, asOf) => {
+  const rows = await Model.aggregate([
+    { $match: { inward: { $in: inwardIds }, [dateField]: { $gt: asOf } } },
+    { $group: { _id: '$inward', amount: { $sum: `$${amountField}` } } }
+  ]);
+  return new Map(rows.map((row) => [String(row._id), row.amount]));
+};
+
+// GET /api/suppliers/ageing?asOf - Amounts owed to suppliers bucketed by days past due date.
+// Balances are rebuilt as they stood on asOf: payments and purchase returns
+// dated later are added back.
+exports.getPayablesAgeing = async (req, res) => {
+  try {
+    const parsedAsOf = parseDateParam(req.query.asOf, true);
+    if (parsedAsOf === undefined) {
+      return res.status(400).json({ message: 'Invalid asOf date' });
+    }
+    const asOf = parsedAsOf || new Date();
+
+    const inwards = await Inward.find({
+      inventoryAdded: true,
+      receivedDate: { $lte: asOf }
+    })
+      .populate('supplier', 'name paymentTerms')
+      .select('supplier grnNumber invoiceNumber invoiceDate receivedDate paymentDueDate totalAmount returnedAmount paidAmount');
+
+    const inwardIds = inwards.map((inward) => inward._id);
+    const [laterPayments, laterReturns] = await Promise.all([
+      laterByInward(SupplierPayment, 'paymentDate', 'amount', inwardIds, asOf),
+      laterByInward(PurchaseReturn, 'returnDate', 'totalAmount', inwardIds, asOf)
+    ]);
+
+    const emptyBuckets = () => AGEING_BUCKETS.reduce((acc, bucket) => ({ ...acc, [bucket]: 0 }), {});
+    const totals = { ...emptyBuckets(), totalDue: 0, notYetDue: 0 };
+    const bySupplier = new Map();
+
+    inwards.forEach((inward) => {
+      const id = String(inward._id);
+      const paid = (inward.paidAmount || 0) - (laterPayments.get(id) || 0);
+      const returned = (inward.returnedAmount || 0) - (laterReturns.get(id) || 0);
+      const payable = Math.max(roundToTwo(inward.totalAmount - returned - paid), 0);
+      if (payable <= 0) return;
+
+      const dueDate = inward.paymentDueDate || inward.invoiceDate || inward.receivedDate;
+      const daysOverdue = Math.max(0, Math.floor((asOf - dueDate) / DAY_MS));
+      const bucket = ageingBucket(daysOverdue);
+
+      const supplierId = String(inward.supplier?._id || inward.supplier);
+      const row = bySupplier.get(supplierId) || {
+        supplierId: inward.supplier?._id || inward.supplier,
+        supplierName: inward.supplier?.name || '',
+        paymentTerms: inward.supplier?.paymentTerms || '',
+        inwards: 0,
+        totalDue: 0,
+        notYetDue: 0,
+        oldestDays: 0,
+        buckets: emptyBuckets()
+      };
+
+      row.inwards += 1;
+      row.totalDue = roundToTwo(row.totalDue + payable);
+      row.buckets[bucket] = roundToTwo(row.buckets[bucket] + payable);
+      row.oldestDays = Math.max(row.oldestDays, daysOverdue);
+      if (dueDate > asOf) {
+        row.notYetDue = roundToTwo(row.notYetDue + payable);
+        totals.notYetDue = roundToTwo(totals.notYetDue + payable);
+      }
+      bySupplier.set(supplierId, row);
+
+      totals[bucket] = roundToTwo(totals[bucket] + payable);
+      totals.totalDue = roundToTwo(totals.totalDue + payable);
+    });
+
+    const suppliers = [...bySupplier.values()].sort((a, b) => b.totalDue - a.totalDue);
+
+    res.status(200).json({ asOf, buckets: AGEING_BUCKETS, suppliers, totals });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
@@ -0,0 +1,56 @@
+const asyncHandler = require('express-async-handler');
+const Unit = require('../models/Unit');
+
+// @desc    Get units of measure: the built-in ones plus any added
+// @route   GET /api/units
+// @access  Private
+const getUnits = asyncHandler(async (req, res) => {
+  const query = {};
+  if (req.query.dimension) {
+    query.dimension = req.query.dimension;
+  }
+
+  const custom = await Unit.find(query).sort({ dimension: 1, factor: 1 }).lean();
+  const builtIn = Unit.DEFAULT_UNITS
+    .filter((unit) => !query.dimension || unit.dimension === query.dimension)
+    .map((unit) => ({ ...unit, builtIn: true }));
+
+  res.json([...builtIn, ...custom.map((unit) => ({ ...unit, builtIn: false }))]);
+});
+
+// @desc    Add a unit of measure, e.g. { code: 'gal', name: 'Gallon', dimension: 'volume', factor: 3785.41 }
+// @route   POST /api/units
+// @access  Private/SuperAdmin
+const createUnit = asyncHandler(async (req, res) => {
+  const { code, name, dimension, factor } = req.body;
+
+  if (!code || !name || !dimension || factor === undefined) {
+    res.status(400);
+    throw new Error('Code, name, dimension and factor are required');
+  }
+
+  const normalized = String(code).trim().toLowerCase();
+  if (Unit.DEFAULT_UNITS.some((unit) => unit.code === normalized)) {
+    res.status(400);
+    throw new Error(`${normalized} is a built-in unit`);
+  }
+
+  try {
+    const unit = await Unit.create({ code: normalized, name, dimension, factor: Number(factor) });
+    res.status(201).json(unit);
+  } catch (error) {
+    if (error.code === 11000) {
+      res.status(400);
+      throw new Error(`Unit ${normalized} already exists`);
+    }
+    if (error.name === 'ValidationError') {
+      res.status(400);
+    }
+    throw error;
+  }
+});
+
+module.exports = {
+  getUnits,
+  createUnit
+};
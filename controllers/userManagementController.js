@@ -32,7 +32,7 @@ exports.getUserById = async (req, res) => {
 
 // Create new user (superadmin only)
 exports.createUser = async (req, res) => {
-  const { username, email, password, role } = req.body;
+  const { username, email, password, role, location } = req.body;
 
   try {
     if (!username || !email || !password || !role) {
@@ -53,7 +53,7 @@ exports.createUser = async (req, res) => {
       return res.status(400).json({ message: "User already exists" });
     }
 
-    const newUser = new User({ username, email, password, role });
+    const newUser = new User({ username, email, password, role, location });
     await newUser.save();
 
     // Return user without password
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+const Location = require('../models/Location');
+const Inward = require('../models/Inward');
+const { backfillLocationStock } = require('../utils/locationStock');
+
+// Puts all existing batch stock at the default receiving location so
+// per-location quantities add up to the batch totals, and marks existing
+// bills as sold from the default sales location. The server runs the same
+// backfill at startup; this script also fills in posted inwards.
+async function migrate() {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGO_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+
+    console.log('Connected to MongoDB');
+
+    const location = await Location.getDefault('receiving');
+    console.log(`Using location ${location.code} (${location.name}) for stock and inwards`);
+
+    const { batchStock, bills } = await backfillLocationStock();
+    console.log(`Created ${batchStock} batch stock rows`);
+    console.log(`Set the sales location on ${bills} bills`);
+
+    const inwards = await Inward.updateMany(
+      { inventoryAdded: true, location: { $in: [null] } },
+      { $set: { location: location._id } }
+    );
+    console.log(`Set location on ${inwards.modifiedCount} inwards`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('Migration failed:', error);
+    process.exit(1);
+  }
+}
+
+migrate();
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+const Bill = require('../models/Bill');
+const CreditNote = require('../models/CreditNote');
+
+const roundToTwo = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+// Sets creditedAmount on bills that had credit notes adjusted against them
+// before the field existed, and brings their due back to
+// total - paid - credited. A payment recorded after such a credit note
+// reopened the credited part of the due; the customer's balance already
+// had it taken off.
+async function migrate() {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGO_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+
+    console.log('Connected to MongoDB');
+
+    const credits = await CreditNote.aggregate([
+      { $match: { settlement: 'adjust' } },
+      { $group: { _id: '$bill', amount: { $sum: '$totalAmount' } } }
+    ]);
+
+    let updated = 0;
+    for (const credit of credits) {
+      const bill = await Bill.findOne({
+        _id: credit._id,
+        status: { $ne: 'cancelled' },
+        creditedAmount: { $in: [null, 0] }
+      });
+      if (!bill) continue;
+
+      const creditedAmount = roundToTwo(Math.min(credit.amount, Math.max(bill.totalAmount - bill.paidAmount, 0)));
+      const dueAmount = roundToTwo(Math.max(bill.totalAmount - bill.paidAmount - creditedAmount, 0));
+      const settled = roundToTwo(bill.paidAmount + creditedAmount);
+
+      await Bill.updateOne(
+        { _id: bill._id },
+        {
+          $set: {
+            creditedAmount,
+            dueAmount,
+            paymentStatus: settled <= 0 ? 'pending' : settled >= bill.totalAmount ? 'paid' : 'partial'
+          }
+        }
+      );
+      updated += 1;
+    }
+    console.log(`Set creditedAmount on ${updated} of ${credits.length} bills with adjusted credit notes`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('Migration failed:', error);
+    process.exit(1);
+  }
+}
+
+migrate();
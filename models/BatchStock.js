@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// Quantity of one batch held at one location. ProductBatch.quantity is the
+// sum of these across locations; stock in transit between locations is
+// tracked on the transfer and is not part of either.
+const batchStockSchema = new mongoose.Schema({
+  batch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ProductBatch',
+    required: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 0,
+    default: 0
+  }
+}, { timestamps: true });
+
+batchStockSchema.index({ batch: 1, location: 1 }, { unique: true });
+batchStockSchema.index({ location: 1, product: 1 });
+
+module.exports = mongoose.model('BatchStock', batchStockSchema, 'batch_stocks');
@@ -26,12 +26,144 @@ const itemSchema = new mongoose.Schema({
     required: true,
     min: 0
   },
+  // Batch purchase cost at the time of sale, kept for margin reporting
+  unitCost: {
+    type: Number,
+    min: 0
+  },
+  mrp: {
+    type: Number,
+    min: 0
+  },
   total: {
     type: Number,
     required: true
-  }
+  },
+  // Unit the line was sold in (a pack code, or l, kg, ...) and the quantity
+  // and price in that unit. `quantity`, `price`, `unitCost` and `mrp` above
+  // are always per base unit (ml, g or pcs) so stock and reports add up.
+  unit: {
+    type: String,
+    trim: true
+  },
+  unitQuantity: {
+    type: Number,
+    min: 0
+  },
+  unitPrice: {
+    type: Number,
+    min: 0
+  },
+  conversionFactor: {
+    type: Number,
+    default: 1,
+    min: 0
+  },
+  // GST for the line: taxable value is the total after its share of the bill discount
+  hsnNumber: {
+    type: String,
+    trim: true
+  },
+  gstRate: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100
+  },
+  taxableValue: {
+    type: Number,
+    min: 0
+  },
+  cgstAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  sgstAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  igstAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  taxAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Quantity taken back on credit notes
+  returnedQuantity: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Kit lines: the component batches the kits were made up from. Quantities
+  // are in each component's base units, for all kits on the line.
+  components: [{
+    _id: false,
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    name: {
+      type: String
+    },
+    batchNumber: {
+      type: String,
+      trim: true
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    unitCost: {
+      type: Number,
+      min: 0
+    },
+    returnedQuantity: {
+      type: Number,
+      default: 0,
+      min: 0
+    }
+  }]
 });
 
+const taxSummarySchema = new mongoose.Schema({
+  hsnNumber: {
+    type: String,
+    trim: true
+  },
+  gstRate: {
+    type: Number,
+    min: 0
+  },
+  taxableValue: {
+    type: Number,
+    default: 0
+  },
+  cgstAmount: {
+    type: Number,
+    default: 0
+  },
+  sgstAmount: {
+    type: Number,
+    default: 0
+  },
+  igstAmount: {
+    type: Number,
+    default: 0
+  },
+  taxAmount: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
 const billSchema = new mongoose.Schema({
   billNumber: {
     type: String,
@@ -61,6 +193,7 @@ const billSchema = new mongoose.Schema({
     required: true,
     min: 0
   },
+  // Rate applied to lines whose product has no GST rate configured
   taxPercent: {
     type: Number,
     default: 0,
@@ -72,6 +205,32 @@ const billSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+  // 'intra' splits tax into CGST+SGST, 'inter' charges IGST
+  supplyType: {
+    type: String,
+    enum: ['intra', 'inter'],
+    default: 'intra'
+  },
+  placeOfSupply: {
+    type: String,
+    trim: true
+  },
+  cgstAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  sgstAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  igstAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  taxSummary: [taxSummarySchema],
   discountPercent: {
     type: Number,
     default: 0,
@@ -108,6 +267,25 @@ const billSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+  // Value of credit notes issued against this bill, and how much was paid back
+  // to the customer, on those credit notes or when the bill was cancelled
+  returnedAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  refundedAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Part of the adjusted credit notes taken off this bill's own due (the rest
+  // went on the customer's account); dueAmount is total - paid - credited
+  creditedAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   billDate: {
     type: Date,
     default: Date.now
@@ -119,6 +297,51 @@ const billSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Location the stock was taken from; returns and cancellations go back here
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location'
+  },
+  // Cancelled bills are kept for audit; their stock and dues have been reversed
+  status: {
+    type: String,
+    enum: ['active', 'cancelled'],
+    default: 'active'
+  },
+  cancellationReason: {
+    type: String,
+    trim: true
+  },
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancelledAt: {
+    type: Date
+  },
+  // Money still held on the bill when it was cancelled, paid back to the customer
+  cancellationRefund: {
+    amount: {
+      type: Number,
+      min: 0
+    },
+    method: {
+      type: String,
+      enum: ['cash', 'card', 'upi', 'bank_transfer', 'cheque']
+    }
+  },
+  // Set when a superadmin let this bill take the customer past their credit limit
+  creditOverride: {
+    approvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    approvedAt: Date,
+    reason: String,
+    creditLimit: Number,
+    outstandingBalance: Number,
+    projectedBalance: Number
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -140,6 +363,7 @@ billSchema.pre('validate', async function(next) {
         .findOne({}, { billNumber: 1 })
         .sort({ createdAt: -1 }) // Sort by creation date descending
         .limit(1)
+        .session(this.$session()) // Read inside the caller's transaction, if any
         .exec();
 
       let nextNumber = 1;
@@ -26,6 +26,18 @@ const categorySchema = new mongoose.Schema(
       enum: ['active', 'inactive'],
       default: 'active'
     },
+    // Default GST rate (%) for products in this category
+    gstRate: {
+      type: Number,
+      min: 0,
+      max: 100
+    },
+    // Batch order used when billing: first-in-first-out or first-expiry-first-out
+    allocationStrategy: {
+      type: String,
+      enum: ['fifo', 'fefo'],
+      default: 'fifo'
+    },
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
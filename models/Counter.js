@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// Named sequences for document numbers (GRN, credit notes, ...)
+const counterSchema = new mongoose.Schema({
+  _id: { type: String, required: true },
+  seq: { type: Number, default: 0 }
+});
+
+// Atomically increments and returns the next value of a sequence
+counterSchema.statics.nextSeq = async function (name, session = null) {
+  const counter = await this.findByIdAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, setDefaultsOnInsert: true, session }
+  );
+  return counter.seq;
+};
+
+module.exports = mongoose.models.Counter || mongoose.model('Counter', counterSchema);
@@ -0,0 +1,177 @@
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+
+const creditNoteItemSchema = new mongoose.Schema({
+  // _id of the line on the original bill
+  billItemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  batchNumber: {
+    type: String,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  hsnNumber: {
+    type: String,
+    trim: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  unitCost: {
+    type: Number,
+    min: 0
+  },
+  // resaleable goes back into the batch; damaged is quarantined
+  condition: {
+    type: String,
+    enum: ['resaleable', 'damaged'],
+    default: 'resaleable'
+  },
+  gstRate: {
+    type: Number,
+    default: 0
+  },
+  taxableValue: {
+    type: Number,
+    default: 0
+  },
+  cgstAmount: {
+    type: Number,
+    default: 0
+  },
+  sgstAmount: {
+    type: Number,
+    default: 0
+  },
+  igstAmount: {
+    type: Number,
+    default: 0
+  },
+  taxAmount: {
+    type: Number,
+    default: 0
+  },
+  total: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+});
+
+const creditNoteSchema = new mongoose.Schema({
+  creditNoteNumber: {
+    type: String,
+    unique: true
+  },
+  bill: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bill',
+    required: true,
+    index: true
+  },
+  billNumber: {
+    type: String
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true,
+    index: true
+  },
+  customerName: {
+    type: String
+  },
+  items: [creditNoteItemSchema],
+  supplyType: {
+    type: String,
+    enum: ['intra', 'inter'],
+    default: 'intra'
+  },
+  taxableValue: {
+    type: Number,
+    default: 0
+  },
+  cgstAmount: {
+    type: Number,
+    default: 0
+  },
+  sgstAmount: {
+    type: Number,
+    default: 0
+  },
+  igstAmount: {
+    type: Number,
+    default: 0
+  },
+  taxAmount: {
+    type: Number,
+    default: 0
+  },
+  totalAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // refund: money paid back to the customer; adjust: taken off their balance
+  settlement: {
+    type: String,
+    enum: ['refund', 'adjust'],
+    required: true
+  },
+  refundMethod: {
+    type: String,
+    enum: ['cash', 'card', 'upi', 'bank_transfer', 'cheque']
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  creditNoteDate: {
+    type: Date,
+    default: Date.now
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+creditNoteSchema.index({ customer: 1, creditNoteDate: -1 });
+
+creditNoteSchema.pre('validate', async function(next) {
+  if (this.isNew && !this.creditNoteNumber) {
+    try {
+      const seq = await Counter.nextSeq('credit_note', this.$session());
+      this.creditNoteNumber = `CN-${String(seq).padStart(6, '0')}`;
+    } catch (err) {
+      return next(err);
+    }
+  }
+  next();
+});
+
+module.exports = mongoose.model('CreditNote', creditNoteSchema);
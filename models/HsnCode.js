@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// GST rate applicable to an HSN/SAC code; used when a product has no rate of its own
+const hsnCodeSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  gstRate: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100
+  }
+}, { timestamps: true });
+
+module.exports = mongoose.model('HsnCode', hsnCodeSchema);
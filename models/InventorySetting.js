@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+const inventorySettingSchema = new mongoose.Schema({
+  salesWindowDays: {
+    type: Number,
+    min: 1,
+    max: 365,
+    default: 30,
+    description: 'Number of past days of sales used to work out daily sales velocity.'
+  },
+  targetDaysOfCover: {
+    type: Number,
+    min: 1,
+    max: 365,
+    default: 14,
+    description: 'Days of sales a replenishment order should cover beyond the supplier lead time.'
+  },
+  defaultLeadTimeDays: {
+    type: Number,
+    min: 0,
+    max: 365,
+    default: 7,
+    description: 'Lead time used for suppliers that do not have one set.'
+  },
+  adjustmentApprovalThreshold: {
+    type: Number,
+    min: 0,
+    default: 0,
+    description: 'Stock adjustments worth more than this need superadmin approval. Set 0 to disable.'
+  }
+}, {
+  timestamps: true
+});
+
+inventorySettingSchema.statics.getSingleton = async function () {
+  let doc = await this.findOne();
+  if (!doc) {
+    doc = await this.create({});
+  }
+  return doc;
+};
+
+module.exports = mongoose.model('InventorySetting', inventorySettingSchema);
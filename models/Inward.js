@@ -1,5 +1,13 @@
 const mongoose = require('mongoose');
 const mongoosePaginate = require('mongoose-paginate-v2');
+const Counter = require('./Counter');
+
+// A draft GRN (e.g. one pre-filled from a purchase order) may be saved before
+// the goods are counted; batch details are enforced once it leaves draft
+const requiredUnlessDraft = function() {
+  const inward = this.ownerDocument ? this.ownerDocument() : null;
+  return !inward || inward.status !== 'draft';
+};
 
 const inwardItemSchema = new mongoose.Schema({
   product: {
@@ -20,11 +28,31 @@ const inwardItemSchema = new mongoose.Schema({
     required: true,
     min: 0
   },
+  // Unit the quantities and unit cost on this line are in (a pack code, or
+  // l, kg, ...); conversionFactor is the base units (ml, g, pcs) in one
+  unit: {
+    type: String,
+    trim: true
+  },
+  conversionFactor: {
+    type: Number,
+    default: 1,
+    min: 0
+  },
   unitCost: {
     type: Number,
     required: true,
     min: 0
   },
+  // Optional selling price and MRP for the batch this item creates
+  sellingPrice: {
+    type: Number,
+    min: 0
+  },
+  mrp: {
+    type: Number,
+    min: 0
+  },
   total: {
     type: Number,
     required: true,
@@ -32,16 +60,26 @@ const inwardItemSchema = new mongoose.Schema({
   },
   batchNumber: {
     type: String,
-    required: true,
+    required: requiredUnlessDraft,
     trim: true
   },
   manufacturingDate: {
     type: Date,
-    required: true
+    required: requiredUnlessDraft
   },
   expiryDate: {
     type: Date
   },
+  // Purchase order line this item receives against
+  purchaseItemId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  // Quantity sent back to the supplier on purchase returns
+  returnedQuantity: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   notes: {
     type: String,
     trim: true
@@ -65,6 +103,12 @@ const inwardSchema = new mongoose.Schema({
     ref: 'Purchase',
     default: null
   },
+  // Where the goods are received; the default receiving location when not set
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    default: null
+  },
   items: [inwardItemSchema],
   totalAmount: {
     type: Number,
@@ -87,6 +131,26 @@ const inwardSchema = new mongoose.Schema({
   invoiceDate: {
     type: Date
   },
+  // What we owe the supplier for this GRN: totalAmount less debit notes and payments.
+  // The due date is worked out from the supplier's payment terms.
+  paymentDueDate: {
+    type: Date
+  },
+  returnedAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  paidAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  paymentStatus: {
+    type: String,
+    enum: ['unpaid', 'partial', 'paid'],
+    default: 'unpaid'
+  },
   deliveryChallanNumber: {
     type: String,
     trim: true
@@ -140,13 +204,6 @@ inwardSchema.index({ supplier: 1, status: 1 });
 inwardSchema.index({ receivedDate: -1 });
 inwardSchema.index({ status: 1, createdAt: -1 });
 
-// Create a counter collection for GRN numbers
-const Counter = mongoose.models.Counter || 
-  mongoose.model('Counter', new mongoose.Schema({
-    _id: { type: String, required: true },
-    seq: { type: Number, default: 0 }
-  }));
-
 // Generate GRN number before validation
 inwardSchema.pre('validate', async function(next) {
   if (this.isNew && !this.grnNumber) {
@@ -159,13 +216,9 @@ inwardSchema.pre('validate', async function(next) {
       const dateStr = `${year}${month}${day}`;
       
       // Find and increment the counter for today's date
-      const counter = await Counter.findByIdAndUpdate(
-        { _id: `grn_${dateStr}` },
-        { $inc: { seq: 1 } },
-        { new: true, upsert: true, setDefaultsOnInsert: true }
-      );
+      const seq = await Counter.nextSeq(`grn_${dateStr}`, this.$session());
       
-      this.grnNumber = `GRN-${dateStr}-${String(counter.seq).padStart(4, '0')}`;
+      this.grnNumber = `GRN-${dateStr}-${String(seq).padStart(4, '0')}`;
       console.log('✅ Generated GRN number:', this.grnNumber);
     } catch (error) {
       console.error('❌ Error generating GRN number:', error);
@@ -229,6 +282,40 @@ inwardSchema.methods.canBeApproved = function() {
   return this.status === 'pending' || this.status === 'draft';
 };
 
+// Lists what is still missing before the GRN can be approved or stocked
+inwardSchema.methods.getIncompleteItems = function() {
+  const problems = [];
+  this.items.forEach((item, index) => {
+    const label = `Item ${index + 1} (${item.productName})`;
+    if (!item.receivedQuantity || item.receivedQuantity <= 0) {
+      problems.push(`${label}: received quantity is required`);
+    }
+    if (!item.batchNumber || String(item.batchNumber).trim() === '') {
+      problems.push(`${label}: batch number is required`);
+    }
+    if (!item.manufacturingDate) {
+      problems.push(`${label}: manufacturing date is required`);
+    }
+  });
+  return problems;
+};
+
+// Amount still owed to the supplier for this GRN
+inwardSchema.methods.getPayableAmount = function() {
+  const payable = this.totalAmount - (this.returnedAmount || 0) - (this.paidAmount || 0);
+  return Math.max(Math.round(payable * 100) / 100, 0);
+};
+
+// Keeps paymentStatus in line with paidAmount and returnedAmount
+inwardSchema.methods.refreshPaymentStatus = function() {
+  if (this.getPayableAmount() === 0) {
+    this.paymentStatus = 'paid';
+  } else {
+    this.paymentStatus = this.paidAmount > 0 ? 'partial' : 'unpaid';
+  }
+  return this.paymentStatus;
+};
+
 // Static method to get inwards by status
 inwardSchema.statics.findByStatus = function(status, options = {}) {
   return this.find({ status }, null, options);
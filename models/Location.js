@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+// A place stock is held: the main godown, a shop counter, etc.
+const locationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['warehouse', 'store'],
+    default: 'warehouse'
+  },
+  // Where GRNs are received and bills are sold from when no location is given
+  defaultForReceiving: {
+    type: Boolean,
+    default: false
+  },
+  defaultForSales: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: ['active', 'inactive'],
+    default: 'active'
+  },
+  address: {
+    type: String,
+    trim: true
+  },
+  notes: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Default location for 'receiving' or 'sales'. Falls back to the oldest
+ * active location, and creates a main godown when none exist yet.
+ */
+locationSchema.statics.getDefault = async function (purpose, session = null) {
+  const flag = purpose === 'sales' ? 'defaultForSales' : 'defaultForReceiving';
+
+  let doc = await this.findOne({ [flag]: true, status: 'active' }).session(session);
+  if (!doc) {
+    doc = await this.findOne({ status: 'active' }).sort({ createdAt: 1 }).session(session);
+  }
+  if (!doc) {
+    [doc] = await this.create([{
+      name: 'Main Godown',
+      code: 'MAIN',
+      type: 'warehouse',
+      defaultForReceiving: true,
+      defaultForSales: true
+    }], { session });
+  }
+  return doc;
+};
+
+module.exports = mongoose.model('Location', locationSchema);
@@ -3,7 +3,11 @@ const mongoose = require('mongoose');
 const notificationSchema = new mongoose.Schema({
   message: { type: String, required: true },
   productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
-  type: { type: String, enum: ['low-stock', 'out-of-stock'], required: true },
+  // Set for batch-level alerts (near-expiry, expired)
+  batchId: { type: mongoose.Schema.Types.ObjectId, ref: 'ProductBatch' },
+  // Set for low-stock alerts against a location's own threshold
+  location: { type: mongoose.Schema.Types.ObjectId, ref: 'Location' },
+  type: { type: String, enum: ['low-stock', 'out-of-stock', 'near-expiry', 'expired'], required: true },
   isRead: { type: Boolean, default: false },
   readAt: { type: Date }
 }, { timestamps: true });
@@ -11,6 +11,12 @@ const notificationSettingSchema = new mongoose.Schema({
     type: Boolean,
     default: true,
     description: 'Controls whether users can manually delete notifications.'
+  },
+  nearExpiryDays: {
+    type: Number,
+    min: 1,
+    default: 30,
+    description: 'Batches expiring within this many days raise a near-expiry notification.'
   }
 }, {
   timestamps: true
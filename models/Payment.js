@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// One instalment received against a bill. Bill.paidAmount is the sum of
+// these; payments are never edited, only added.
+const paymentSchema = new mongoose.Schema({
+  bill: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bill',
+    required: true,
+    index: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true,
+    index: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  method: {
+    type: String,
+    enum: ['cash', 'card', 'upi', 'bank_transfer', 'cheque'],
+    required: true
+  },
+  reference: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  paymentDate: {
+    type: Date,
+    default: Date.now
+  },
+  notes: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+paymentSchema.index({ customer: 1, paymentDate: -1 });
+
+module.exports = mongoose.model('Payment', paymentSchema);
@@ -1,5 +1,12 @@
 const mongoose = require('mongoose');
 
+const PRODUCT_TYPES = ['standard', 'parent', 'kit'];
+
+// Parents and kits never hold batches of their own
+function holdsStock() {
+  return !this.productType || this.productType === 'standard';
+}
+
 const productSchema = new mongoose.Schema({
   productId: {
     type: String,
@@ -7,17 +14,126 @@ const productSchema = new mongoose.Schema({
     sparse: true, // Allow multiple null values
     trim: true
   },
+  // Manufacturer's barcode (EAN/UPC) when the goods carry one; labels fall
+  // back to the SKU
+  barcode: {
+    type: String,
+    unique: true,
+    sparse: true,
+    trim: true
+  },
+  // A standard product holds stock. A parent only groups its variants (standard
+  // products pointing at it through `parent`), and a kit is sold from the
+  // stock of its components.
+  productType: {
+    type: String,
+    enum: PRODUCT_TYPES,
+    default: 'standard'
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  },
+  // On a parent: the attributes its variants differ by, e.g. size and shade
+  variantAttributes: [{
+    _id: false,
+    name: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true
+    },
+    values: [{
+      type: String,
+      trim: true
+    }]
+  }],
+  // On a variant: its value for each of the parent's attributes
+  attributes: [{
+    _id: false,
+    name: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true
+    },
+    value: {
+      type: String,
+      required: true,
+      trim: true
+    }
+  }],
+  // On a kit: base units of each component that make up one kit
+  components: [{
+    _id: false,
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: [0.001, 'Component quantity must be greater than 0']
+    }
+  }],
+  // What the product is measured by; quantities are held in its base unit
+  // (ml, g or pcs, see utils/uom)
   unit: {
     type: String,
     enum: ['liter', 'kilogram', 'none'],
     default: 'none',
     required: true
   },
+  // Packs the product is bought and sold in, e.g. 1 L, 5 L and 20 L cans
+  packUnits: [{
+    _id: false,
+    code: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true
+    },
+    name: {
+      type: String,
+      trim: true
+    },
+    unit: {
+      type: String,
+      required: true
+    },
+    size: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    // Base units in one pack
+    conversionFactor: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    // Pack selling price and MRP; when unset the per-unit price is scaled up
+    price: {
+      type: Number,
+      min: 0
+    },
+    mrp: {
+      type: Number,
+      min: 0
+    }
+  }],
   hsnNumber: {
     type: String,
     trim: true,
     required: false
   },
+  // GST rate (%) for this product; when unset the HSN code or category rate applies
+  gstRate: {
+    type: Number,
+    min: 0,
+    max: 100
+  },
   name: {
     type: String,
     required: true,
@@ -30,11 +146,16 @@ const productSchema = new mongoose.Schema({
   image: {
     type: String,
   },
+  // Default selling price; batches may override it with their own sellingPrice
   price: {
     type: Number,
     required: true,
     min: 0
   },
+  mrp: {
+    type: Number,
+    min: 0
+  },
   category: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Category',
@@ -49,11 +170,11 @@ const productSchema = new mongoose.Schema({
   supplier: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Supplier',
-    required: true
+    required: holdsStock
   },
   batchNumber: {
     type: String,
-    required: true,
+    required: holdsStock,
     trim: true
   },
   addedDate: {
@@ -62,7 +183,7 @@ const productSchema = new mongoose.Schema({
   },
   manufacturingDate: {
     type: Date,
-    required: true
+    required: holdsStock
   },
   expiryDate: {
     type: Date
@@ -71,6 +192,25 @@ const productSchema = new mongoose.Schema({
     type: Number,
     default: 10,
     min: 1
+  },
+  // Optional thresholds for the stock held at individual locations
+  locationReorderLevels: [{
+    _id: false,
+    location: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Location',
+      required: true
+    },
+    reorderLevel: {
+      type: Number,
+      required: true,
+      min: 0
+    }
+  }],
+  // Batch order used when billing; when unset the category's strategy applies
+  allocationStrategy: {
+    type: String,
+    enum: ['fifo', 'fefo']
   }
 }, { timestamps: true });
 
@@ -79,6 +219,14 @@ productSchema.index({ name: 1 });
 productSchema.index({ category: 1 });
 productSchema.index({ price: 1 });
 productSchema.index({ quantity: 1 });
+productSchema.index({ parent: 1 });
+productSchema.index({ 'components.product': 1 });
+
+productSchema.statics.PRODUCT_TYPES = PRODUCT_TYPES;
+
+productSchema.virtual('baseUnit').get(function() {
+  return { liter: 'ml', kilogram: 'g' }[this.unit] || 'pcs';
+});
 
 // Add a virtual for stock status
 productSchema.virtual('stockStatus').get(function() {
@@ -12,17 +12,39 @@ const productBatchSchema = new mongoose.Schema({
     required: true,
     trim: true
   },
+  // Purchase cost from the inward; used for margin reporting, not for pricing
   unitCost: {
     type: Number,
     required: true,
     min: 0
   },
+  // Optional per-batch selling price and MRP; fall back to the product's
+  sellingPrice: {
+    type: Number,
+    min: 0
+  },
+  mrp: {
+    type: Number,
+    min: 0
+  },
   quantity: {
     type: Number,
     required: true,
     min: 0,
     default: 0
   },
+  // Damaged returns held back from sale; not part of `quantity`
+  quarantinedQuantity: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Dispatched on a stock transfer and not yet received; not part of `quantity`
+  inTransitQuantity: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
   manufacturingDate: {
     type: Date
   },
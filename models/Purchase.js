@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const mongoosePaginate = require('mongoose-paginate-v2');
+const Counter = require('./Counter');
 
 const purchaseItemSchema = new mongoose.Schema({
   product: {
@@ -26,6 +27,17 @@ const purchaseItemSchema = new mongoose.Schema({
       message: 'Received quantity cannot exceed ordered quantity'
     }
   },
+  // Unit the quantities and unit cost on this line are in (a pack code, or
+  // l, kg, ...); conversionFactor is the base units (ml, g, pcs) in one
+  unit: {
+    type: String,
+    trim: true
+  },
+  conversionFactor: {
+    type: Number,
+    default: 1,
+    min: 0
+  },
   unitCost: {
     type: Number,
     required: true,
@@ -101,17 +113,35 @@ const purchaseSchema = new mongoose.Schema({
 // Add pagination plugin
 purchaseSchema.plugin(mongoosePaginate);
 
-// Generate purchase order number before saving
-purchaseSchema.pre('save', async function(next) {
+// Generate purchase order number before validation; a per-day counter keeps
+// numbers unique when orders are raised concurrently. A day's counter starts
+// from the highest number already issued that day, which covers numbers
+// given out before the counter existed.
+purchaseSchema.pre('validate', async function(next) {
   if (this.isNew && !this.purchaseOrderNumber) {
     try {
-      const count = await mongoose.model('Purchase').countDocuments();
       const today = new Date();
       const year = today.getFullYear();
       const month = String(today.getMonth() + 1).padStart(2, '0');
       const day = String(today.getDate()).padStart(2, '0');
+      const dateStr = `${year}${month}${day}`;
+
+      const session = this.$session();
+      const counterName = `purchase_order_${dateStr}`;
+      const prefix = `PO-${dateStr}-`;
+
+      if (!(await Counter.exists({ _id: counterName }).session(session))) {
+        // Compared as numbers: the old numbering could run past four digits
+        const numbers = await mongoose.model('Purchase')
+          .distinct('purchaseOrderNumber', { purchaseOrderNumber: { $regex: `^${prefix}\\d+$` } })
+          .session(session);
+        const issued = numbers.reduce((max, number) => Math.max(max, parseInt(number.slice(prefix.length), 10)), 0);
+        // $max so a counter created concurrently is never wound back
+        await Counter.updateOne({ _id: counterName }, { $max: { seq: issued } }, { upsert: true, session });
+      }
 
-      this.purchaseOrderNumber = `PO-${year}${month}${day}-${String(count + 1).padStart(4, '0')}`;
+      const seq = await Counter.nextSeq(counterName, session);
+      this.purchaseOrderNumber = `${prefix}${String(seq).padStart(4, '0')}`;
     } catch (error) {
       return next(error);
     }
@@ -178,7 +208,7 @@ purchaseSchema.methods.canBeModified = function() {
 
 // Instance method to check if purchase can be approved
 purchaseSchema.methods.canBeApproved = function() {
-  return this.status === 'pending';
+  return this.status === 'pending' || this.status === 'draft';
 };
 
 // Instance method to check if purchase can receive items
@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+const mongoosePaginate = require('mongoose-paginate-v2');
+const Counter = require('./Counter');
+
+const purchaseReturnItemSchema = new mongoose.Schema({
+  // _id of the line on the inward
+  inwardItemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  productName: {
+    type: String,
+    required: true
+  },
+  batchNumber: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  unitCost: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  total: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  reason: {
+    type: String,
+    trim: true
+  }
+});
+
+// Goods sent back to a supplier against a GRN; the debit note reduces what we owe them
+const purchaseReturnSchema = new mongoose.Schema({
+  debitNoteNumber: {
+    type: String,
+    unique: true
+  },
+  inward: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Inward',
+    required: true,
+    index: true
+  },
+  grnNumber: {
+    type: String
+  },
+  // Location the goods were sent back from
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location'
+  },
+  supplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    required: true,
+    index: true
+  },
+  items: [purchaseReturnItemSchema],
+  totalAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  returnDate: {
+    type: Date,
+    default: Date.now
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+purchaseReturnSchema.plugin(mongoosePaginate);
+
+purchaseReturnSchema.index({ supplier: 1, returnDate: -1 });
+
+purchaseReturnSchema.pre('validate', async function(next) {
+  if (this.isNew && !this.debitNoteNumber) {
+    try {
+      const seq = await Counter.nextSeq('debit_note', this.$session());
+      this.debitNoteNumber = `DN-${String(seq).padStart(6, '0')}`;
+    } catch (error) {
+      return next(error);
+    }
+  }
+  next();
+});
+
+module.exports = mongoose.model('PurchaseReturn', purchaseReturnSchema);
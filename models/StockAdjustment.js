@@ -0,0 +1,127 @@
+const mongoose = require('mongoose');
+const mongoosePaginate = require('mongoose-paginate-v2');
+const Counter = require('./Counter');
+
+const ADJUSTMENT_REASONS = ['damage', 'theft', 'count_correction', 'sample'];
+
+const stockAdjustmentItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  productName: {
+    type: String,
+    required: true
+  },
+  batch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ProductBatch',
+    required: true
+  },
+  batchNumber: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Signed change to the batch (and product) quantity
+  quantity: {
+    type: Number,
+    required: true
+  },
+  unitCost: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Cost of the change: quantity x unitCost, negative for write-offs
+  value: {
+    type: Number,
+    default: 0
+  }
+});
+
+// A reasoned change to batch stock at one location. Lines move the batch
+// and the product together; adjustments worth more than the approval
+// threshold wait for a superadmin before they are posted.
+const stockAdjustmentSchema = new mongoose.Schema({
+  adjustmentNumber: {
+    type: String,
+    unique: true
+  },
+  reason: {
+    type: String,
+    enum: ADJUSTMENT_REASONS,
+    required: true
+  },
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location'
+  },
+  items: {
+    type: [stockAdjustmentItemSchema],
+    validate: [(items) => items.length > 0, 'An adjustment needs at least one line']
+  },
+  // Sum of absolute line values; compared against the approval threshold
+  totalValue: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'posted', 'rejected'],
+    default: 'pending'
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  // Set when the adjustment posts the variances of a stock take
+  stockTake: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StockTake'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approvedAt: {
+    type: Date
+  },
+  rejectionReason: {
+    type: String,
+    trim: true
+  },
+  postedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+stockAdjustmentSchema.plugin(mongoosePaginate);
+
+stockAdjustmentSchema.index({ status: 1, createdAt: -1 });
+stockAdjustmentSchema.index({ 'items.product': 1 });
+
+stockAdjustmentSchema.pre('validate', async function(next) {
+  if (this.isNew && !this.adjustmentNumber) {
+    try {
+      const seq = await Counter.nextSeq('stock_adjustment', this.$session());
+      this.adjustmentNumber = `ADJ-${String(seq).padStart(6, '0')}`;
+    } catch (error) {
+      return next(error);
+    }
+  }
+  next();
+});
+
+stockAdjustmentSchema.statics.ADJUSTMENT_REASONS = ADJUSTMENT_REASONS;
+
+module.exports = mongoose.model('StockAdjustment', stockAdjustmentSchema);
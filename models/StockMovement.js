@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+// 'cancellation' is stock a bill gives back when it is cancelled or its lines
+// are replaced on edit; 'return' is goods a customer brought back
+const MOVEMENT_TYPES = ['opening', 'sale', 'return', 'cancellation', 'grn', 'adjustment', 'transfer'];
+const SOURCE_TYPES = ['Bill', 'CreditNote', 'Inward', 'PurchaseReturn', 'StockAdjustment', 'StockTransfer', 'Product'];
+
+// One line of a product's stock card. Movements are only ever inserted:
+// a correction is a new movement, never an edit.
+const stockMovementSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  batch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ProductBatch'
+  },
+  batchNumber: {
+    type: String,
+    trim: true
+  },
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location'
+  },
+  // Signed change to the product's saleable quantity
+  delta: {
+    type: Number,
+    required: true
+  },
+  // Product quantity (and batch quantity, when there is one) after the change
+  balance: {
+    type: Number,
+    required: true
+  },
+  batchBalance: {
+    type: Number
+  },
+  type: {
+    type: String,
+    enum: MOVEMENT_TYPES,
+    required: true
+  },
+  sourceType: {
+    type: String,
+    enum: SOURCE_TYPES
+  },
+  sourceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'sourceType'
+  },
+  // Bill, GRN or debit note number, for display on the stock card
+  reference: {
+    type: String,
+    trim: true
+  },
+  note: {
+    type: String,
+    trim: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+stockMovementSchema.index({ product: 1, createdAt: 1 });
+stockMovementSchema.index({ sourceType: 1, sourceId: 1 });
+
+const immutableError = () => new Error('Stock movements cannot be changed or deleted');
+
+stockMovementSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(immutableError());
+  }
+  next();
+});
+
+stockMovementSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  { document: false, query: true },
+  function(next) {
+    next(immutableError());
+  }
+);
+
+stockMovementSchema.pre(['updateOne', 'deleteOne'], { document: true, query: false }, function(next) {
+  next(immutableError());
+});
+
+stockMovementSchema.statics.MOVEMENT_TYPES = MOVEMENT_TYPES;
+
+module.exports = mongoose.model('StockMovement', stockMovementSchema);
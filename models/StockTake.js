@@ -0,0 +1,172 @@
+const mongoose = require('mongoose');
+const mongoosePaginate = require('mongoose-paginate-v2');
+const Counter = require('./Counter');
+
+const stockTakeItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  productName: {
+    type: String,
+    required: true
+  },
+  batch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ProductBatch',
+    required: true
+  },
+  batchNumber: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  unitCost: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Batch quantity when the count started
+  systemQuantity: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Null until the line has been counted
+  countedQuantity: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  countedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  countedAt: {
+    type: Date
+  }
+});
+
+// A physical count of the batches held at one location, optionally narrowed
+// to a category and/or supplier. Each line's variance is measured against
+// the snapshot taken at the start plus whatever moved before that line was
+// counted, so sales made while counting do not show up as shortages.
+const stockTakeSchema = new mongoose.Schema({
+  stockTakeNumber: {
+    type: String,
+    unique: true
+  },
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    required: true
+  },
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  },
+  supplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier'
+  },
+  // When the batch quantities were read; movements after it count towards
+  // what each line is expected to hold
+  snapshotAt: {
+    type: Date
+  },
+  items: [stockTakeItemSchema],
+  status: {
+    type: String,
+    enum: ['in_progress', 'posted', 'cancelled'],
+    default: 'in_progress'
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  // Count-correction adjustment created when the count was posted
+  adjustment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StockAdjustment'
+  },
+  startedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  postedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  postedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+stockTakeSchema.plugin(mongoosePaginate);
+
+stockTakeSchema.index({ status: 1, createdAt: -1 });
+
+stockTakeSchema.pre('validate', async function(next) {
+  if (this.isNew && !this.stockTakeNumber) {
+    try {
+      const seq = await Counter.nextSeq('stock_take', this.$session());
+      this.stockTakeNumber = `ST-${String(seq).padStart(6, '0')}`;
+    } catch (error) {
+      return next(error);
+    }
+  }
+  next();
+});
+
+const roundToTwo = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+// Counted against what the system expected when each line was counted: the
+// snapshot plus the movements booked at the location between the snapshot and
+// the count (`movedBeforeCount`, a Map of item id -> net quantity). That
+// variance is what posting books, so stock that moves after a line is counted
+// is left alone. Valued at the batch's unit cost.
+stockTakeSchema.methods.getVarianceReport = function(movedBeforeCount = new Map()) {
+  const lines = this.items.map((item) => {
+    const counted = item.countedQuantity !== null && item.countedQuantity !== undefined;
+    const moved = counted ? movedBeforeCount.get(String(item._id)) || 0 : 0;
+    const expectedQuantity = item.systemQuantity + moved;
+    const variance = counted ? item.countedQuantity - expectedQuantity : null;
+    return {
+      itemId: item._id,
+      product: item.product,
+      productName: item.productName,
+      batch: item.batch,
+      batchNumber: item.batchNumber,
+      unitCost: item.unitCost,
+      systemQuantity: item.systemQuantity,
+      movedBeforeCount: moved,
+      expectedQuantity,
+      countedQuantity: counted ? item.countedQuantity : null,
+      countedAt: item.countedAt || null,
+      variance,
+      varianceValue: counted ? roundToTwo(variance * item.unitCost) : null
+    };
+  });
+
+  const counted = lines.filter((line) => line.variance !== null);
+  const sum = (values) => roundToTwo(values.reduce((total, value) => total + value, 0));
+
+  return {
+    lines,
+    summary: {
+      totalLines: lines.length,
+      countedLines: counted.length,
+      uncountedLines: lines.length - counted.length,
+      linesWithVariance: counted.filter((line) => line.variance !== 0).length,
+      shortageValue: sum(counted.filter((line) => line.variance < 0).map((line) => -line.varianceValue)),
+      excessValue: sum(counted.filter((line) => line.variance > 0).map((line) => line.varianceValue)),
+      netVarianceValue: sum(counted.map((line) => line.varianceValue))
+    }
+  };
+};
+
+module.exports = mongoose.model('StockTake', stockTakeSchema);
@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+const mongoosePaginate = require('mongoose-paginate-v2');
+const Counter = require('./Counter');
+
+const stockTransferItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  productName: {
+    type: String,
+    required: true
+  },
+  batch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ProductBatch',
+    required: true
+  },
+  batchNumber: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  }
+});
+
+// Moves batch stock from one location to another in two steps. Dispatch takes
+// the quantities out of the source location and holds them in transit on the
+// batch; receipt puts them into the destination location.
+const stockTransferSchema = new mongoose.Schema({
+  transferNumber: {
+    type: String,
+    unique: true
+  },
+  fromLocation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    required: true
+  },
+  toLocation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    required: true
+  },
+  items: {
+    type: [stockTransferItemSchema],
+    validate: [(items) => items.length > 0, 'A transfer needs at least one line']
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'dispatched', 'received', 'cancelled'],
+    default: 'draft'
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  dispatchedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  dispatchedAt: {
+    type: Date
+  },
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  receivedAt: {
+    type: Date
+  },
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancelledAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+stockTransferSchema.plugin(mongoosePaginate);
+
+stockTransferSchema.index({ status: 1, createdAt: -1 });
+stockTransferSchema.index({ fromLocation: 1, status: 1 });
+stockTransferSchema.index({ toLocation: 1, status: 1 });
+
+stockTransferSchema.pre('validate', async function(next) {
+  if (this.isNew && !this.transferNumber) {
+    try {
+      const seq = await Counter.nextSeq('stock_transfer', this.$session());
+      this.transferNumber = `TRF-${String(seq).padStart(6, '0')}`;
+    } catch (error) {
+      return next(error);
+    }
+  }
+  next();
+});
+
+stockTransferSchema.pre('validate', function(next) {
+  if (this.fromLocation && this.toLocation && String(this.fromLocation) === String(this.toLocation)) {
+    this.invalidate('toLocation', 'Source and destination locations must differ');
+  }
+  next();
+});
+
+module.exports = mongoose.model('StockTransfer', stockTransferSchema);
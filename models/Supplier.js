@@ -44,6 +44,17 @@ const supplierSchema = new mongoose.Schema({
     type: String,
     default: 'Net 30'
   },
+  // Amount owed to the supplier: raised when an inward is stocked, reduced by debit notes
+  payableBalance: {
+    type: Number,
+    default: 0
+  },
+  // Days from order to delivery; replenishment falls back to the inventory setting when unset
+  leadTimeDays: {
+    type: Number,
+    min: 0,
+    max: 365
+  },
   notes: {
     type: String,
     trim: true
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// Money paid to a supplier against a stocked inward (GRN)
+const supplierPaymentSchema = new mongoose.Schema({
+  supplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    required: true,
+    index: true
+  },
+  inward: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Inward',
+    required: true,
+    index: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  method: {
+    type: String,
+    enum: ['cash', 'card', 'upi', 'bank_transfer', 'cheque'],
+    required: true
+  },
+  reference: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  paymentDate: {
+    type: Date,
+    default: Date.now
+  },
+  notes: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+supplierPaymentSchema.index({ supplier: 1, paymentDate: -1 });
+
+module.exports = mongoose.model('SupplierPayment', supplierPaymentSchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+const DIMENSIONS = ['volume', 'mass', 'count'];
+
+// Units every installation understands; the collection only holds extra ones
+const DEFAULT_UNITS = [
+  { code: 'ml', name: 'Millilitre', dimension: 'volume', factor: 1 },
+  { code: 'l', name: 'Litre', dimension: 'volume', factor: 1000 },
+  { code: 'g', name: 'Gram', dimension: 'mass', factor: 1 },
+  { code: 'kg', name: 'Kilogram', dimension: 'mass', factor: 1000 },
+  { code: 'pcs', name: 'Piece', dimension: 'count', factor: 1 }
+];
+
+// A unit of measure. `factor` is how many base units (ml, g or pcs) one of
+// this unit holds.
+const unitSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  dimension: {
+    type: String,
+    enum: DIMENSIONS,
+    required: true
+  },
+  factor: {
+    type: Number,
+    required: true,
+    min: [0.000001, 'Conversion factor must be greater than 0']
+  }
+}, {
+  timestamps: true
+});
+
+unitSchema.statics.DIMENSIONS = DIMENSIONS;
+unitSchema.statics.DEFAULT_UNITS = DEFAULT_UNITS;
+
+module.exports = mongoose.model('Unit', unitSchema);
@@ -26,6 +26,12 @@ const userSchema = new mongoose.Schema({
     enum: ["active", "inactive", "suspended"],
     default: "active"
   },
+  // Counter or store the user bills from; stock for their bills is taken here
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    default: null
+  },
   failedLoginAttempts: {
     type: Number,
     default: 0
@@ -7,11 +7,17 @@ const {
   createBill,
   updateBill,
   deleteBill,
+  cancelBill,
+  recordBillPayment,
+  getBillPayments,
+  createBillReturn,
+  getBillReturns,
   getBillsStats,
   generateInvoice,
   getSellingReport,
   getProductSellingDetails,
-  getMonthlySellingReport
+  getMonthlySellingReport,
+  getProfitReport
 } = require('../controllers/billController');
 const { protect, allowRoles } = require('../middlewares/authMiddlewares');
 
@@ -26,6 +32,9 @@ router.get('/selling-report', allowRoles('superadmin', 'billcounter','stockmanag
 // GET /api/bills/monthly-selling-report - Get monthly selling report
 router.get('/monthly-selling-report', allowRoles('superadmin', 'billcounter','stockmanager'), getMonthlySellingReport);
 
+// GET /api/bills/profit-report - Get revenue, COGS and gross margin
+router.get('/profit-report', allowRoles('superadmin', 'stockmanager'), getProfitReport);
+
 // GET /api/bills/product-selling/:productId - Get detailed selling data for a specific product
 router.get('/product-selling/:productId', allowRoles('superadmin', 'billcounter','stockmanager'), getProductSellingDetails);
 
@@ -38,13 +47,28 @@ router.get('/:id', allowRoles('superadmin', 'billcounter','stockmanager'), getBi
 // GET /api/bills/:id/invoice - Generate invoice PDF
 router.get('/:id/invoice', allowRoles('superadmin', 'billcounter','stockmanager'), generateInvoice);
 
+// GET /api/bills/:id/payments - List payments recorded against a bill
+router.get('/:id/payments', allowRoles('superadmin', 'billcounter','stockmanager'), getBillPayments);
+
+// POST /api/bills/:id/payments - Record a (partial) payment against a bill
+router.post('/:id/payments', allowRoles('superadmin', 'billcounter','stockmanager'), recordBillPayment);
+
+// GET /api/bills/:id/returns - List credit notes issued against a bill
+router.get('/:id/returns', allowRoles('superadmin', 'billcounter','stockmanager'), getBillReturns);
+
+// POST /api/bills/:id/returns - Return goods and issue a credit note
+router.post('/:id/returns', allowRoles('superadmin', 'billcounter','stockmanager'), createBillReturn);
+
 // POST /api/bills - Create new bill
 router.post('/', allowRoles('superadmin', 'billcounter','stockmanager'), createBill);
 
 // PUT /api/bills/:id - Update bill (superadmin only)
 router.put('/:id', allowRoles('superadmin'), updateBill);
 
-// DELETE /api/bills/:id - Delete bill
+// POST /api/bills/:id/cancel - Cancel bill and restore its stock (superadmin only)
+router.post('/:id/cancel', allowRoles('superadmin'), cancelBill);
+
+// DELETE /api/bills/:id - Rejected; bills are cancelled, not deleted
 router.delete('/:id', allowRoles('superadmin',), deleteBill);
 
 module.exports = router;
\ No newline at end of file
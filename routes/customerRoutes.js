@@ -7,7 +7,10 @@ const {
   createCustomer,
   updateCustomer,
   deleteCustomer,
-  getCustomersStats
+  getCustomersStats,
+  getCustomerPayments,
+  getCustomerStatement,
+  getCustomersAgeing
 } = require('../controllers/customerController');
 const { protect, allowRoles } = require('../middlewares/authMiddlewares');
 
@@ -16,12 +19,21 @@ router.use(protect);
 // GET /api/customers/stats - Get customer statistics
 router.get('/stats', allowRoles('superadmin', 'billcounter',"stockmanager"), getCustomersStats);
 
+// GET /api/customers/ageing - Get outstanding dues bucketed by age
+router.get('/ageing', allowRoles('superadmin', 'billcounter',"stockmanager"), getCustomersAgeing);
+
 // GET /api/customers - Get all customers
 router.get('/', allowRoles('superadmin', 'billcounter',"stockmanager"), getAllCustomers);
 
 // GET /api/customers/:id - Get customer by ID
 router.get('/:id', allowRoles('superadmin', 'billcounter',"stockmanager"), getCustomerById);
 
+// GET /api/customers/:id/statement - Get a customer's account statement
+router.get('/:id/statement', allowRoles('superadmin', 'billcounter',"stockmanager"), getCustomerStatement);
+
+// GET /api/customers/:id/payments - Get a customer's payment history
+router.get('/:id/payments', allowRoles('superadmin', 'billcounter',"stockmanager"), getCustomerPayments);
+
 // POST /api/customers - Create new customer
 router.post('/', allowRoles('superadmin', 'billcounter',"stockmanager"), createCustomer);
 
@@ -0,0 +1,19 @@
+const express = require('express');
+const {
+  getHsnCodes,
+  createHsnCode,
+  updateHsnCode,
+  deleteHsnCode,
+} = require('../controllers/hsnController');
+const { protect, allowRoles } = require('../middlewares/authMiddlewares');
+
+const router = express.Router();
+
+router.get('/', protect, getHsnCodes);
+
+// Protected routes (Admin only)
+router.post('/', protect, allowRoles("superadmin"), createHsnCode);
+router.put('/:id', protect, allowRoles("superadmin"), updateHsnCode);
+router.delete('/:id', protect, allowRoles("superadmin"), deleteHsnCode);
+
+module.exports = router;
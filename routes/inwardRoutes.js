@@ -10,7 +10,10 @@ const {
   rejectInward,
   completeInward,
   getInwardStats,
-  addInwardToInventory
+  addInwardToInventory,
+  recordInwardInvoice,
+  recordInwardPayment,
+  getInwardPayments
 } = require('../controllers/inwardController');
 const { protect, allowRoles } = require('../middlewares/authMiddlewares');
 
@@ -35,6 +38,13 @@ router.route('/:id/complete')
 router.route('/:id/add-to-inventory')
   .put(protect, allowRoles('superadmin', 'stockmanager'), addInwardToInventory);
 
+router.route('/:id/invoice')
+  .put(protect, allowRoles('superadmin', 'stockmanager'), recordInwardInvoice);
+
+router.route('/:id/payments')
+  .get(protect, getInwardPayments)
+  .post(protect, allowRoles('superadmin', 'stockmanager'), recordInwardPayment);
+
 router.route('/stats/overview')
   .get(protect, getInwardStats);
 
@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createLocation,
+  getLocations,
+  getLocation,
+  updateLocation,
+  getLocationStock,
+  setLocationReorderLevels,
+  getLocationLowStock
+} = require('../controllers/locationController');
+const { protect, allowRoles } = require('../middlewares/authMiddlewares');
+
+router.route('/')
+  .post(protect, allowRoles('superadmin'), createLocation)
+  .get(protect, allowRoles('superadmin', 'stockmanager', 'billcounter'), getLocations);
+
+router.route('/:id')
+  .get(protect, allowRoles('superadmin', 'stockmanager', 'billcounter'), getLocation)
+  .put(protect, allowRoles('superadmin'), updateLocation);
+
+router.route('/:id/stock')
+  .get(protect, allowRoles('superadmin', 'stockmanager', 'billcounter'), getLocationStock);
+
+router.route('/:id/reorder-levels')
+  .put(protect, allowRoles('superadmin', 'stockmanager'), setLocationReorderLevels);
+
+router.route('/:id/low-stock')
+  .get(protect, allowRoles('superadmin', 'stockmanager'), getLocationLowStock);
+
+module.exports = router;
@@ -2,19 +2,73 @@ const express = require('express');
 const router = express.Router();
 const ProductBatch = require('../models/ProductBatch');
 const { protect } = require('../middlewares/authMiddlewares');
+const { startOfDay, daysUntilExpiry, unexpiredBatchFilter } = require('../utils/batchExpiry');
+
+// Get batches in stock that expire within `days` (default 30), soonest first.
+// Already-expired batches are included unless includeExpired=false.
+router.get('/expiring', protect, async (req, res) => {
+  try {
+    const days = req.query.days === undefined ? 30 : Number(req.query.days);
+    if (!Number.isInteger(days) || days < 0 || days > 3650) {
+      return res.status(400).json({ message: 'days must be a whole number between 0 and 3650' });
+    }
+    const includeExpired = String(req.query.includeExpired) !== 'false';
+
+    const horizon = startOfDay();
+    horizon.setDate(horizon.getDate() + days + 1);
+
+    const filter = {
+      quantity: { $gt: 0 },
+      expiryDate: { $ne: null, $lt: horizon }
+    };
+    if (!includeExpired) {
+      Object.assign(filter, unexpiredBatchFilter());
+    }
+
+    const batches = await ProductBatch.find(filter)
+      .sort({ expiryDate: 1 })
+      .populate('product', 'name productId unit')
+      .populate('supplier', 'name')
+      .select('product supplier batchNumber quantity unitCost sellingPrice mrp manufacturingDate expiryDate receivedDate')
+      .lean();
+
+    const data = batches.map((batch) => {
+      const daysToExpiry = daysUntilExpiry(batch.expiryDate);
+      return {
+        ...batch,
+        daysToExpiry,
+        status: daysToExpiry < 0 ? 'expired' : 'near-expiry',
+        stockValue: Math.round(batch.quantity * (batch.unitCost || 0) * 100) / 100
+      };
+    });
+
+    res.status(200).json({
+      batches: data,
+      count: data.length,
+      days
+    });
+  } catch (error) {
+    console.error('Error fetching expiring batches:', error);
+    res.status(500).json({
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
 
 // Get oldest batch for a product (FIFO)
 router.get('/product/:productId/oldest', protect, async (req, res) => {
   try {
     const { productId } = req.params;
 
-    // Find the oldest batch with available quantity (FIFO order)
+    // Find the oldest unexpired batch with available quantity (FIFO order)
     const batch = await ProductBatch.findOne({
       product: productId,
-      quantity: { $gt: 0 }
+      quantity: { $gt: 0 },
+      ...unexpiredBatchFilter()
     })
       .sort({ receivedDate: 1, manufacturingDate: 1, createdAt: 1 })
-      .select('unitCost quantity batchNumber');
+      .select('unitCost sellingPrice mrp quantity batchNumber');
 
     if (!batch) {
       return res.status(404).json({
@@ -42,7 +96,7 @@ router.get('/product/:productId', protect, async (req, res) => {
       quantity: { $gt: 0 }
     })
       .sort({ receivedDate: 1, manufacturingDate: 1, createdAt: 1 })
-      .select('unitCost quantity batchNumber receivedDate expiryDate');
+      .select('unitCost sellingPrice mrp quantity batchNumber receivedDate expiryDate');
 
     res.status(200).json({
       batches,
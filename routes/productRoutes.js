@@ -1,15 +1,21 @@
 // routes/productRoutes.js
 const express = require('express');
+const multer = require('multer');
 const { 
   getProducts, 
   getProductById, 
   createProduct, 
   updateProduct, 
   updateProductQuantity,
+  getProductMovements,
+  getProductLabels,
+  lookupProductByCode,
   deleteProduct,
   getCategories,
   getLowStockProducts,
   bulkUpdateProducts,
+  importProducts,
+  exportProducts,
   getProductReport,
   getProductStats
 } = require('../controllers/productController');
@@ -17,15 +23,35 @@ const { protect, allowRoles } = require('../middlewares/authMiddlewares');
 
 const router = express.Router();
 
+// Import sheets are read from memory
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+  },
+  fileFilter: function (req, file, cb) {
+    if (/\.(csv|xlsx)$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only .csv and .xlsx files can be imported!'), false);
+    }
+  },
+});
+
 // Public routes
 router.get('/categories', protect, getCategories); // Must be before /:id route
 router.get('/stats', protect, getProductStats); // Must be before /:id route
 router.get('/report', protect, allowRoles("superadmin", "stockmanager"), getProductReport);
+router.get('/lookup', protect, lookupProductByCode); // Must be before /:id route
+router.get('/export', protect, allowRoles("superadmin", "stockmanager"), exportProducts); // Must be before /:id route
 router.get('/', protect, getProducts);
 router.get('/:id', protect, getProductById);
+router.get('/:id/movements', protect, allowRoles("superadmin", "stockmanager"), getProductMovements);
+router.get('/:id/labels', protect, allowRoles("superadmin", "stockmanager"), getProductLabels);
 
 // Protected routes (Admin/Stock Manager only)
 router.post('/', protect, allowRoles("superadmin", "stockmanager"), createProduct);
+router.post('/import', protect, allowRoles("superadmin", "stockmanager"), importUpload.single('file'), importProducts);
 router.put('/:id', protect, allowRoles("superadmin", "stockmanager"), updateProduct);
 router.patch('/:id/quantity', protect, allowRoles("superadmin", "stockmanager"), updateProductQuantity);
 router.delete('/:id', protect, allowRoles("superadmin", "stockmanager"), deleteProduct);
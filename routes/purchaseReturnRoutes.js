@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createPurchaseReturn,
+  getPurchaseReturns,
+  getPurchaseReturn
+} = require('../controllers/purchaseReturnController');
+const { protect, allowRoles } = require('../middlewares/authMiddlewares');
+
+router.route('/')
+  .post(protect, allowRoles('superadmin', 'stockmanager'), createPurchaseReturn)
+  .get(protect, getPurchaseReturns);
+
+router.route('/:id')
+  .get(protect, getPurchaseReturn);
+
+module.exports = router;
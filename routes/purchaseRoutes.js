@@ -9,6 +9,7 @@ const {
   approvePurchase,
   rejectPurchase,
   receivePurchase,
+  createInwardFromPurchase,
   getPurchaseStats
 } = require('../controllers/purchaseController');
 const { protect, allowRoles } = require('../middlewares/authMiddlewares');
@@ -29,7 +30,10 @@ router.route('/:id/reject')
   .put(protect, allowRoles('superadmin', 'stockmanager'), rejectPurchase);
 
 router.route('/:id/receive')
-  .put(protect, receivePurchase);
+  .put(protect, allowRoles('superadmin', 'stockmanager'), receivePurchase);
+
+router.route('/:id/create-inward')
+  .post(protect, allowRoles('superadmin', 'stockmanager'), createInwardFromPurchase);
 
 router.route('/stats/overview')
   .get(protect, getPurchaseStats);
@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getReplenishmentSuggestions,
+  createReplenishmentOrders,
+  getInventorySettings,
+  updateInventorySettings
+} = require('../controllers/replenishmentController');
+const { protect, allowRoles } = require('../middlewares/authMiddlewares');
+
+router.route('/suggestions')
+  .get(protect, allowRoles('superadmin', 'stockmanager'), getReplenishmentSuggestions);
+
+router.route('/purchase-orders')
+  .post(protect, allowRoles('superadmin', 'stockmanager'), createReplenishmentOrders);
+
+router.route('/settings')
+  .get(protect, allowRoles('superadmin', 'stockmanager'), getInventorySettings)
+  .put(protect, allowRoles('superadmin'), updateInventorySettings);
+
+module.exports = router;
@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createStockAdjustment,
+  getStockAdjustments,
+  getStockAdjustment,
+  approveStockAdjustment,
+  rejectStockAdjustment
+} = require('../controllers/stockAdjustmentController');
+const { protect, allowRoles } = require('../middlewares/authMiddlewares');
+
+router.route('/')
+  .post(protect, allowRoles('superadmin', 'stockmanager'), createStockAdjustment)
+  .get(protect, allowRoles('superadmin', 'stockmanager'), getStockAdjustments);
+
+router.route('/:id')
+  .get(protect, allowRoles('superadmin', 'stockmanager'), getStockAdjustment);
+
+router.route('/:id/approve')
+  .put(protect, allowRoles('superadmin'), approveStockAdjustment);
+
+router.route('/:id/reject')
+  .put(protect, allowRoles('superadmin'), rejectStockAdjustment);
+
+module.exports = router;
@@ -0,0 +1,33 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createStockTake,
+  getStockTakes,
+  getStockTake,
+  submitStockTakeCounts,
+  getStockTakeVariance,
+  postStockTake,
+  cancelStockTake
+} = require('../controllers/stockTakeController');
+const { protect, allowRoles } = require('../middlewares/authMiddlewares');
+
+router.route('/')
+  .post(protect, allowRoles('superadmin', 'stockmanager'), createStockTake)
+  .get(protect, allowRoles('superadmin', 'stockmanager'), getStockTakes);
+
+router.route('/:id')
+  .get(protect, allowRoles('superadmin', 'stockmanager'), getStockTake);
+
+router.route('/:id/counts')
+  .put(protect, allowRoles('superadmin', 'stockmanager'), submitStockTakeCounts);
+
+router.route('/:id/variance')
+  .get(protect, allowRoles('superadmin', 'stockmanager'), getStockTakeVariance);
+
+router.route('/:id/post')
+  .put(protect, allowRoles('superadmin', 'stockmanager'), postStockTake);
+
+router.route('/:id/cancel')
+  .put(protect, allowRoles('superadmin', 'stockmanager'), cancelStockTake);
+
+module.exports = router;
@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createStockTransfer,
+  getStockTransfers,
+  getStockTransfer,
+  dispatchTransfer,
+  receiveTransfer,
+  cancelTransfer
+} = require('../controllers/stockTransferController');
+const { protect, allowRoles } = require('../middlewares/authMiddlewares');
+
+router.route('/')
+  .post(protect, allowRoles('superadmin', 'stockmanager'), createStockTransfer)
+  .get(protect, allowRoles('superadmin', 'stockmanager'), getStockTransfers);
+
+router.route('/:id')
+  .get(protect, allowRoles('superadmin', 'stockmanager'), getStockTransfer);
+
+router.route('/:id/dispatch')
+  .put(protect, allowRoles('superadmin', 'stockmanager'), dispatchTransfer);
+
+router.route('/:id/receive')
+  .put(protect, allowRoles('superadmin', 'stockmanager'), receiveTransfer);
+
+router.route('/:id/cancel')
+  .put(protect, allowRoles('superadmin', 'stockmanager'), cancelTransfer);
+
+module.exports = router;
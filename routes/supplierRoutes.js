@@ -8,7 +8,9 @@ const {
   updateSupplier,
   deleteSupplier,
   getSuppliersStats,
-  getSupplierProducts
+  getSupplierProducts,
+  getSupplierLedger,
+  getPayablesAgeing
 } = require('../controllers/supplierController');
 const { protect, allowRoles } = require('../middlewares/authMiddlewares');
 
@@ -18,6 +20,12 @@ router.use(protect);
 // GET /api/suppliers/stats - Get supplier statistics
 router.get('/stats', getSuppliersStats);
 
+// GET /api/suppliers/ageing - Get amounts owed to suppliers bucketed by age
+router.get('/ageing', allowRoles('superadmin', 'stockmanager'), getPayablesAgeing);
+
+// GET /api/suppliers/:id/ledger - Get a supplier's payables ledger
+router.get('/:id/ledger', allowRoles('superadmin', 'stockmanager'), getSupplierLedger);
+
 // GET /api/suppliers/:id/products - Get products for a supplier
 router.get('/:id/products', allowRoles('superadmin', 'stockmanager'), getSupplierProducts);
 
@@ -0,0 +1,10 @@
+const express = require('express');
+const router = express.Router();
+const { getUnits, createUnit } = require('../controllers/unitController');
+const { protect, allowRoles } = require('../middlewares/authMiddlewares');
+
+router.route('/')
+  .get(protect, allowRoles('superadmin', 'stockmanager', 'billcounter'), getUnits)
+  .post(protect, allowRoles('superadmin'), createUnit);
+
+module.exports = router;
@@ -0,0 +1,82 @@
+const Category = require('../models/Category');
+
+const ALLOCATION_STRATEGIES = ['fifo', 'fefo'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A batch can be sold up to and including its expiry date
+function startOfDay(date = new Date()) {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+}
+
+function isBatchExpired(batch, asOf = new Date()) {
+  return Boolean(batch?.expiryDate) && new Date(batch.expiryDate) < startOfDay(asOf);
+}
+
+// Query fragment matching batches that have not expired (or carry no expiry date)
+function unexpiredBatchFilter(asOf = new Date()) {
+  return {
+    $or: [
+      { expiryDate: null },
+      { expiryDate: { $gte: startOfDay(asOf) } }
+    ]
+  };
+}
+
+// Whole days from today until the batch expires; negative once it has expired
+function daysUntilExpiry(expiryDate, asOf = new Date()) {
+  if (!expiryDate) return null;
+  return Math.round((startOfDay(expiryDate) - startOfDay(asOf)) / DAY_MS);
+}
+
+// Product setting first, then its category; FIFO when neither is set
+async function resolveAllocationStrategy(product, session = null) {
+  if (ALLOCATION_STRATEGIES.includes(product?.allocationStrategy)) {
+    return product.allocationStrategy;
+  }
+
+  if (product?.category) {
+    const categoryId = product.category._id || product.category;
+    const category = await Category.findById(categoryId).select('allocationStrategy').session(session);
+    if (category && ALLOCATION_STRATEGIES.includes(category.allocationStrategy)) {
+      return category.allocationStrategy;
+    }
+  }
+
+  return 'fifo';
+}
+
+const receivedOrder = (a, b) =>
+  (new Date(a.receivedDate || 0) - new Date(b.receivedDate || 0)) ||
+  (new Date(a.manufacturingDate || 0) - new Date(b.manufacturingDate || 0)) ||
+  (new Date(a.createdAt || 0) - new Date(b.createdAt || 0));
+
+// Orders batches for allocation. FEFO takes the soonest expiry first and
+// leaves batches without an expiry date for last; ties fall back to FIFO.
+function sortBatchesForAllocation(batches, strategy = 'fifo') {
+  const sorted = [...batches];
+  if (strategy !== 'fefo') {
+    return sorted.sort(receivedOrder);
+  }
+
+  return sorted.sort((a, b) => {
+    if (a.expiryDate && b.expiryDate) {
+      return (new Date(a.expiryDate) - new Date(b.expiryDate)) || receivedOrder(a, b);
+    }
+    if (a.expiryDate) return -1;
+    if (b.expiryDate) return 1;
+    return receivedOrder(a, b);
+  });
+}
+
+module.exports = {
+  ALLOCATION_STRATEGIES,
+  startOfDay,
+  isBatchExpired,
+  unexpiredBatchFilter,
+  daysUntilExpiry,
+  resolveAllocationStrategy,
+  sortBatchesForAllocation
+};
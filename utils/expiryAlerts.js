@@ -0,0 +1,109 @@
+const cron = require('node-cron');
+const Notification = require('../models/Notification');
+const NotificationSetting = require('../models/NotificationSetting');
+const ProductBatch = require('../models/ProductBatch');
+const { startOfDay, daysUntilExpiry } = require('./batchExpiry');
+
+const EXPIRY_TYPES = ['near-expiry', 'expired'];
+
+let expiryTask = null;
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+// Raises one notification per batch in stock that has expired or expires
+// within `nearExpiryDays`; a batch is not re-alerted once its notification
+// has been read. Unread alerts for batches that no longer qualify (sold out,
+// returned or re-dated) are cleared.
+async function raiseExpiryNotifications(asOf = new Date()) {
+  const settings = await NotificationSetting.getSingleton();
+  const horizon = startOfDay(asOf);
+  horizon.setDate(horizon.getDate() + settings.nearExpiryDays);
+
+  const batches = await ProductBatch.find({
+    quantity: { $gt: 0 },
+    expiryDate: { $ne: null, $lt: horizon }
+  })
+    .populate('product', 'name')
+    .lean();
+
+  const alerted = [];
+  let raised = 0;
+
+  for (const batch of batches) {
+    if (!batch.product) continue;
+
+    const days = daysUntilExpiry(batch.expiryDate, asOf);
+    const type = days < 0 ? 'expired' : 'near-expiry';
+    const message = type === 'expired'
+      ? `${batch.product.name} batch ${batch.batchNumber} expired on ${formatDate(batch.expiryDate)} (${batch.quantity} in stock)`
+      : `${batch.product.name} batch ${batch.batchNumber} expires on ${formatDate(batch.expiryDate)} (${batch.quantity} in stock)`;
+
+    const existing = await Notification.findOne({ batchId: batch._id, type });
+    if (!existing) {
+      await Notification.create({
+        message,
+        productId: batch.product._id,
+        batchId: batch._id,
+        type
+      });
+      raised += 1;
+    } else if (!existing.isRead && existing.message !== message) {
+      existing.message = message;
+      await existing.save();
+    }
+
+    // An expired batch no longer needs its near-expiry warning
+    if (type === 'expired') {
+      await Notification.deleteMany({ batchId: batch._id, type: 'near-expiry', isRead: false });
+    }
+    alerted.push(batch._id);
+  }
+
+  const cleared = await Notification.deleteMany({
+    type: { $in: EXPIRY_TYPES },
+    isRead: false,
+    batchId: { $nin: alerted }
+  });
+
+  return { raised, cleared: cleared.deletedCount || 0 };
+}
+
+function scheduleExpiryAlerts() {
+  if (expiryTask) {
+    expiryTask.stop();
+  }
+
+  // Run daily at 01:00 AM server time, ahead of the notification cleanup
+  expiryTask = cron.schedule('0 1 * * *', async () => {
+    try {
+      const result = await raiseExpiryNotifications();
+      if (result.raised > 0) {
+        console.log(`Expiry alert job raised ${result.raised} notifications.`);
+      }
+    } catch (error) {
+      console.error('Expiry alert job failed:', error.message || error);
+    }
+  }, {
+    scheduled: true,
+    timezone: 'UTC'
+  });
+
+  expiryTask.start();
+  console.log('Expiry alert cron job scheduled for 01:00 AM daily.');
+
+  // Run once at startup (non-blocking)
+  raiseExpiryNotifications()
+    .then((result) => {
+      if (result.raised > 0) {
+        console.log(`Startup expiry check raised ${result.raised} notifications.`);
+      }
+    })
+    .catch((error) => {
+      console.error('Startup expiry check failed:', error.message || error);
+    });
+}
+
+module.exports = {
+  raiseExpiryNotifications,
+  scheduleExpiryAlerts
+};
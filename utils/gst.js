@@ -0,0 +1,209 @@
+const HsnCode = require('../models/HsnCode');
+const Category = require('../models/Category');
+
+const roundToTwo = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+// GST state codes, as used in the first two digits of a GSTIN
+const GST_STATE_CODES = {
+  '01': 'Jammu and Kashmir',
+  '02': 'Himachal Pradesh',
+  '03': 'Punjab',
+  '04': 'Chandigarh',
+  '05': 'Uttarakhand',
+  '06': 'Haryana',
+  '07': 'Delhi',
+  '08': 'Rajasthan',
+  '09': 'Uttar Pradesh',
+  '10': 'Bihar',
+  '11': 'Sikkim',
+  '12': 'Arunachal Pradesh',
+  '13': 'Nagaland',
+  '14': 'Manipur',
+  '15': 'Mizoram',
+  '16': 'Tripura',
+  '17': 'Meghalaya',
+  '18': 'Assam',
+  '19': 'West Bengal',
+  '20': 'Jharkhand',
+  '21': 'Odisha',
+  '22': 'Chhattisgarh',
+  '23': 'Madhya Pradesh',
+  '24': 'Gujarat',
+  '26': 'Dadra and Nagar Haveli and Daman and Diu',
+  '27': 'Maharashtra',
+  '29': 'Karnataka',
+  '30': 'Goa',
+  '31': 'Lakshadweep',
+  '32': 'Kerala',
+  '33': 'Tamil Nadu',
+  '34': 'Puducherry',
+  '35': 'Andaman and Nicobar Islands',
+  '36': 'Telangana',
+  '37': 'Andhra Pradesh',
+  '38': 'Ladakh',
+  '97': 'Other Territory'
+};
+
+const normalizeName = (value) => String(value || '').toLowerCase().replace(/[^a-z]/g, '');
+
+const STATE_CODES_BY_NAME = Object.entries(GST_STATE_CODES).reduce((acc, [code, name]) => {
+  acc[normalizeName(name)] = code;
+  return acc;
+}, {});
+
+// Resolves a two-digit state code from a GSTIN, falling back to the state name
+function resolveStateCode({ gstNumber, state } = {}) {
+  const gstin = String(gstNumber || '').trim();
+  if (/^\d{2}/.test(gstin) && GST_STATE_CODES[gstin.slice(0, 2)]) {
+    return gstin.slice(0, 2);
+  }
+
+  const value = String(state || '').trim();
+  if (/^\d{1,2}$/.test(value)) {
+    const code = value.padStart(2, '0');
+    return GST_STATE_CODES[code] ? code : null;
+  }
+
+  return STATE_CODES_BY_NAME[normalizeName(value)] || null;
+}
+
+// Inter-state only when both states are known and differ; an unknown
+// customer state is treated as a local (intra-state) sale
+function determineSupplyType(business, customer) {
+  const businessState = resolveStateCode({ gstNumber: business?.gstNumber, state: business?.state });
+  const customerState = resolveStateCode({
+    gstNumber: customer?.gstNumber,
+    state: customer?.address?.state
+  });
+
+  return {
+    supplyType: businessState && customerState && businessState !== customerState ? 'inter' : 'intra',
+    placeOfSupply: customerState
+      ? `${customerState}-${GST_STATE_CODES[customerState]}`
+      : customer?.address?.state || ''
+  };
+}
+
+// Product rate first, then the HSN table, then the product's category.
+// Returns null when no rate is configured anywhere.
+async function resolveGstRate(product, session = null) {
+  if (Number.isFinite(product?.gstRate)) {
+    return product.gstRate;
+  }
+
+  if (product?.hsnNumber) {
+    const hsn = await HsnCode.findOne({ code: product.hsnNumber.trim() }).session(session);
+    if (hsn) {
+      return hsn.gstRate;
+    }
+  }
+
+  if (product?.category) {
+    const categoryId = product.category._id || product.category;
+    const category = await Category.findById(categoryId).select('gstRate').session(session);
+    if (category && Number.isFinite(category.gstRate)) {
+      return category.gstRate;
+    }
+  }
+
+  return null;
+}
+
+// Splits a line's tax into CGST+SGST (intra-state) or IGST (inter-state)
+function splitTax(taxableValue, gstRate, supplyType) {
+  const taxAmount = roundToTwo((taxableValue * gstRate) / 100);
+  if (supplyType === 'inter') {
+    return { cgstAmount: 0, sgstAmount: 0, igstAmount: taxAmount, taxAmount };
+  }
+  const cgstAmount = roundToTwo(taxAmount / 2);
+  return {
+    cgstAmount,
+    sgstAmount: roundToTwo(taxAmount - cgstAmount),
+    igstAmount: 0,
+    taxAmount
+  };
+}
+
+// Spreads the bill discount over the lines, computes each line's taxable
+// value and tax, and returns the taxed lines with bill-level totals.
+// Lines without a gstRate are taxed at `fallbackRate`.
+function applyGst({ items, subtotal, discountAmount, supplyType, fallbackRate = 0 }) {
+  let discountLeft = roundToTwo(discountAmount);
+
+  const taxedItems = items.map((item, index) => {
+    const lineTotal = roundToTwo(item.total);
+    const isLast = index === items.length - 1;
+    const lineDiscount = isLast
+      ? discountLeft
+      : roundToTwo(subtotal > 0 ? (lineTotal * discountAmount) / subtotal : 0);
+    discountLeft = roundToTwo(discountLeft - lineDiscount);
+
+    const taxableValue = roundToTwo(Math.max(lineTotal - lineDiscount, 0));
+    const gstRate = Number.isFinite(item.gstRate) ? item.gstRate : fallbackRate;
+
+    return {
+      ...item,
+      gstRate,
+      taxableValue,
+      ...splitTax(taxableValue, gstRate, supplyType)
+    };
+  });
+
+  const totals = taxedItems.reduce(
+    (acc, item) => ({
+      taxableValue: acc.taxableValue + item.taxableValue,
+      cgstAmount: acc.cgstAmount + item.cgstAmount,
+      sgstAmount: acc.sgstAmount + item.sgstAmount,
+      igstAmount: acc.igstAmount + item.igstAmount,
+      taxAmount: acc.taxAmount + item.taxAmount
+    }),
+    { taxableValue: 0, cgstAmount: 0, sgstAmount: 0, igstAmount: 0, taxAmount: 0 }
+  );
+
+  Object.keys(totals).forEach((key) => {
+    totals[key] = roundToTwo(totals[key]);
+  });
+
+  return {
+    items: taxedItems,
+    ...totals,
+    taxSummary: buildTaxSummary(taxedItems)
+  };
+}
+
+// HSN-wise summary of taxable value and tax, one row per HSN and rate
+function buildTaxSummary(items) {
+  const rows = new Map();
+
+  items.forEach((item) => {
+    const hsnNumber = item.hsnNumber || '';
+    const key = `${hsnNumber}|${item.gstRate}`;
+    const row = rows.get(key) || {
+      hsnNumber,
+      gstRate: item.gstRate,
+      taxableValue: 0,
+      cgstAmount: 0,
+      sgstAmount: 0,
+      igstAmount: 0,
+      taxAmount: 0
+    };
+    row.taxableValue = roundToTwo(row.taxableValue + item.taxableValue);
+    row.cgstAmount = roundToTwo(row.cgstAmount + item.cgstAmount);
+    row.sgstAmount = roundToTwo(row.sgstAmount + item.sgstAmount);
+    row.igstAmount = roundToTwo(row.igstAmount + item.igstAmount);
+    row.taxAmount = roundToTwo(row.taxAmount + item.taxAmount);
+    rows.set(key, row);
+  });
+
+  return [...rows.values()].sort((a, b) => a.hsnNumber.localeCompare(b.hsnNumber) || a.gstRate - b.gstRate);
+}
+
+module.exports = {
+  GST_STATE_CODES,
+  resolveStateCode,
+  determineSupplyType,
+  resolveGstRate,
+  splitTax,
+  applyGst,
+  buildTaxSummary
+};
@@ -0,0 +1,319 @@
+const PDFDocument = require('pdfkit');
+const { amountInWords } = require('./amountInWords');
+
+const INVOICE_LAYOUTS = ['a4', 'thermal'];
+
+// 80mm roll; the height is sized to the bill so the receipt is one page
+const THERMAL_WIDTH = 226;
+
+const money = (value) =>
+  (Number(value) || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString('en-IN') : '');
+
+const formatAddress = (address) => {
+  if (!address) return '';
+  if (typeof address === 'string') return address;
+  return [address.street, address.city, address.state, address.zipCode, address.country]
+    .filter(Boolean)
+    .join(', ');
+};
+
+const PAYMENT_STATUS_LABELS = {
+  paid: 'PAID',
+  partial: 'PARTIALLY PAID',
+  pending: 'UNPAID'
+};
+
+// Bills created before per-line GST have no taxable value on their lines
+const lineTaxable = (item) => (item.taxableValue !== undefined && item.taxableValue !== null ? item.taxableValue : item.total);
+const lineTax = (item) => Number(item.taxAmount) || 0;
+// Lines sold in a pack or larger unit print in that unit
+const lineQuantity = (item) => (item.unit && item.unitQuantity !== undefined && item.unitQuantity !== null
+  ? `${item.unitQuantity} ${item.unit}`
+  : String(item.quantity));
+const lineRate = (item) => (item.unitPrice !== undefined && item.unitPrice !== null ? item.unitPrice : item.price);
+
+function customerDetails(bill) {
+  const customer = bill.customerId && typeof bill.customerId === 'object' ? bill.customerId : {};
+  return {
+    name: bill.customerName || customer.name || '',
+    phone: bill.customerPhone || customer.phone || '',
+    email: bill.customerEmail || customer.email || '',
+    address: formatAddress(customer.address),
+    gstNumber: customer.gstNumber || ''
+  };
+}
+
+function totalsRows(bill) {
+  const rows = [['Subtotal', money(bill.subtotal)]];
+  if (bill.discount > 0) {
+    rows.push([`Discount${bill.discountPercent ? ` (${bill.discountPercent}%)` : ''}`, `-${money(bill.discount)}`]);
+  }
+  if (bill.supplyType === 'inter') {
+    rows.push(['IGST', money(bill.igstAmount)]);
+  } else if (bill.cgstAmount || bill.sgstAmount) {
+    rows.push(['CGST', money(bill.cgstAmount)]);
+    rows.push(['SGST', money(bill.sgstAmount)]);
+  } else {
+    rows.push(['Tax', money(bill.taxAmount)]);
+  }
+  rows.push(['Total', money(bill.totalAmount)]);
+  rows.push(['Paid', money(bill.paidAmount)]);
+  rows.push(['Balance Due', money(bill.dueAmount)]);
+  return rows;
+}
+
+function drawA4(doc, bill, business) {
+  const left = doc.page.margins.left;
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const bottom = doc.page.height - doc.page.margins.bottom;
+  const customer = customerDetails(bill);
+
+  // Company header
+  doc.font('Helvetica-Bold').fontSize(16).text(business.name || 'Tax Invoice', left, doc.y, { width });
+  doc.font('Helvetica').fontSize(9);
+  if (business.address) doc.text(business.address, { width });
+  const contact = [business.phone && `Phone: ${business.phone}`, business.email && `Email: ${business.email}`]
+    .filter(Boolean)
+    .join('   ');
+  if (contact) doc.text(contact, { width });
+  if (business.gstNumber) doc.text(`GSTIN: ${business.gstNumber}`, { width });
+
+  doc.moveDown(0.5);
+  doc.font('Helvetica-Bold').fontSize(13).text('TAX INVOICE', left, doc.y, { width, align: 'center' });
+  if (bill.status === 'cancelled') {
+    doc.fillColor('red').fontSize(11).text('CANCELLED', { width, align: 'center' }).fillColor('black');
+  }
+  doc.moveDown(0.5);
+
+  // Invoice and customer details, side by side
+  const blockTop = doc.y;
+  const half = width / 2;
+  doc.font('Helvetica-Bold').fontSize(9).text('Bill To', left, blockTop, { width: half - 10 });
+  doc.font('Helvetica');
+  doc.text(customer.name, { width: half - 10 });
+  if (customer.address) doc.text(customer.address, { width: half - 10 });
+  if (customer.phone) doc.text(`Phone: ${customer.phone}`, { width: half - 10 });
+  if (customer.gstNumber) doc.text(`GSTIN: ${customer.gstNumber}`, { width: half - 10 });
+  const customerBottom = doc.y;
+
+  const info = [
+    ['Invoice No', bill.billNumber],
+    ['Invoice Date', formatDate(bill.billDate)],
+    ['Due Date', formatDate(bill.dueDate)],
+    ['Place of Supply', bill.placeOfSupply],
+    ['Supply Type', bill.supplyType === 'inter' ? 'Inter-state (IGST)' : 'Intra-state (CGST + SGST)']
+  ].filter(([, value]) => value);
+  doc.y = blockTop;
+  info.forEach(([label, value]) => {
+    const y = doc.y;
+    doc.font('Helvetica-Bold').text(`${label}:`, left + half, y, { width: 90 });
+    doc.font('Helvetica').text(String(value), left + half + 90, y, { width: half - 90 });
+  });
+  doc.y = Math.max(customerBottom, doc.y) + 10;
+
+  // Line items
+  const columns = [
+    { label: '#', width: 20, align: 'left', value: (item, i) => String(i + 1) },
+    { label: 'Item', width: 125, align: 'left', value: (item) => item.name },
+    { label: 'Batch', width: 55, align: 'left', value: (item) => item.batchNumber || '' },
+    { label: 'HSN', width: 45, align: 'left', value: (item) => item.hsnNumber || '' },
+    { label: 'Qty', width: 30, align: 'right', value: (item) => lineQuantity(item) },
+    { label: 'Rate', width: 50, align: 'right', value: (item) => money(lineRate(item)) },
+    { label: 'Taxable', width: 60, align: 'right', value: (item) => money(lineTaxable(item)) },
+    { label: 'GST%', width: 35, align: 'right', value: (item) => `${item.gstRate || 0}` },
+    { label: 'Tax', width: 45, align: 'right', value: (item) => money(lineTax(item)) },
+    { label: 'Amount', width: 50, align: 'right', value: (item) => money(lineTaxable(item) + lineTax(item)) }
+  ];
+
+  const drawRow = (cells, font) => {
+    doc.font(font).fontSize(8);
+    const y = doc.y;
+    const height = Math.max(
+      ...cells.map((text, i) => doc.heightOfString(text, { width: columns[i].width - 4 }))
+    );
+    let x = left;
+    cells.forEach((text, i) => {
+      doc.text(text, x + 2, y, { width: columns[i].width - 4, align: columns[i].align });
+      x += columns[i].width;
+    });
+    doc.y = y + height + 4;
+    doc.moveTo(left, doc.y - 2).lineTo(left + width, doc.y - 2).lineWidth(0.5).strokeColor('#cccccc').stroke();
+    doc.strokeColor('black');
+  };
+
+  const drawHeader = () => drawRow(columns.map((column) => column.label), 'Helvetica-Bold');
+
+  drawHeader();
+  bill.items.forEach((item, index) => {
+    if (doc.y + 30 > bottom) {
+      doc.addPage();
+      drawHeader();
+    }
+    drawRow(columns.map((column) => column.value(item, index)), 'Helvetica');
+  });
+
+  // Totals
+  const rows = totalsRows(bill);
+  if (doc.y + rows.length * 14 + 10 > bottom) doc.addPage();
+  doc.moveDown(0.5);
+  rows.forEach(([label, value]) => {
+    const y = doc.y;
+    const bold = label === 'Total';
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(bold ? 10 : 9);
+    doc.text(label, left + width - 220, y, { width: 120 });
+    doc.text(value, left + width - 100, y, { width: 100, align: 'right' });
+  });
+
+  doc.moveDown(0.5);
+  doc.font('Helvetica-Bold').fontSize(9).text('Amount in words: ', left, doc.y, { continued: true, width });
+  doc.font('Helvetica').text(amountInWords(bill.totalAmount));
+
+  // HSN-wise tax summary
+  if (bill.taxSummary && bill.taxSummary.length > 0) {
+    if (doc.y + (bill.taxSummary.length + 2) * 14 > bottom) doc.addPage();
+    doc.moveDown(0.5);
+    doc.font('Helvetica-Bold').fontSize(9).text('Tax Summary', left, doc.y);
+    const inter = bill.supplyType === 'inter';
+    const summaryColumns = inter
+      ? ['HSN', 'GST%', 'Taxable', 'IGST', 'Total Tax']
+      : ['HSN', 'GST%', 'Taxable', 'CGST', 'SGST', 'Total Tax'];
+    const colWidth = width / summaryColumns.length;
+    const drawSummaryRow = (cells, font) => {
+      const y = doc.y;
+      doc.font(font).fontSize(8);
+      cells.forEach((text, i) => {
+        doc.text(text, left + i * colWidth, y, { width: colWidth - 4, align: i < 2 ? 'left' : 'right' });
+      });
+      doc.y = y + 12;
+    };
+    drawSummaryRow(summaryColumns, 'Helvetica-Bold');
+    bill.taxSummary.forEach((row) => {
+      drawSummaryRow(
+        inter
+          ? [row.hsnNumber || '-', `${row.gstRate}`, money(row.taxableValue), money(row.igstAmount), money(row.taxAmount)]
+          : [row.hsnNumber || '-', `${row.gstRate}`, money(row.taxableValue), money(row.cgstAmount), money(row.sgstAmount), money(row.taxAmount)],
+        'Helvetica'
+      );
+    });
+  }
+
+  // Payment status
+  doc.moveDown(1);
+  doc.font('Helvetica-Bold').fontSize(10).text(
+    `Payment Status: ${PAYMENT_STATUS_LABELS[bill.paymentStatus] || bill.paymentStatus}`,
+    left,
+    doc.y,
+    { width }
+  );
+  doc.font('Helvetica').fontSize(9).text(`Payment Method: ${bill.paymentMethod || ''}`, { width });
+  if (bill.notes) {
+    doc.moveDown(0.5).text(`Notes: ${bill.notes}`, { width });
+  }
+
+  doc.moveDown(2);
+  doc.fontSize(8).text('This is a computer generated invoice.', left, doc.y, { width, align: 'center' });
+}
+
+function drawThermal(doc, bill, business) {
+  const left = doc.page.margins.left;
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const customer = customerDetails(bill);
+
+  const center = (text, font = 'Helvetica', size = 8) => {
+    doc.font(font).fontSize(size).text(text, left, doc.y, { width, align: 'center' });
+  };
+  const pair = (label, value, font = 'Helvetica') => {
+    const y = doc.y;
+    doc.font(font).fontSize(8).text(label, left, y, { width: width * 0.6 });
+    const labelBottom = doc.y;
+    doc.text(value, left + width * 0.4, y, { width: width * 0.6, align: 'right' });
+    doc.y = Math.max(labelBottom, doc.y);
+  };
+  const rule = () => {
+    doc.moveDown(0.2);
+    doc.moveTo(left, doc.y).lineTo(left + width, doc.y).dash(2, { space: 2 }).lineWidth(0.5).stroke().undash();
+    doc.moveDown(0.3);
+  };
+
+  if (business.name) center(business.name, 'Helvetica-Bold', 11);
+  if (business.address) center(business.address);
+  if (business.phone) center(`Phone: ${business.phone}`);
+  if (business.gstNumber) center(`GSTIN: ${business.gstNumber}`);
+  doc.moveDown(0.3);
+  center('TAX INVOICE', 'Helvetica-Bold', 9);
+  if (bill.status === 'cancelled') center('*** CANCELLED ***', 'Helvetica-Bold', 9);
+  rule();
+
+  pair('Bill No', bill.billNumber);
+  pair('Date', formatDate(bill.billDate));
+  pair('Customer', customer.name);
+  if (customer.phone) pair('Phone', customer.phone);
+  if (customer.gstNumber) pair('GSTIN', customer.gstNumber);
+  if (bill.placeOfSupply) pair('Place of Supply', bill.placeOfSupply);
+  rule();
+
+  bill.items.forEach((item) => {
+    doc.font('Helvetica-Bold').fontSize(8).text(item.name, left, doc.y, { width });
+    const meta = [
+      item.batchNumber && `Batch: ${item.batchNumber}`,
+      item.hsnNumber && `HSN: ${item.hsnNumber}`,
+      `GST ${item.gstRate || 0}%`
+    ].filter(Boolean).join('  ');
+    doc.font('Helvetica').fontSize(7).text(meta, left, doc.y, { width });
+    pair(`${lineQuantity(item)} x ${money(lineRate(item))}`, money(lineTaxable(item) + lineTax(item)));
+    doc.moveDown(0.2);
+  });
+  rule();
+
+  totalsRows(bill).forEach(([label, value]) => pair(label, value, label === 'Total' ? 'Helvetica-Bold' : 'Helvetica'));
+  rule();
+
+  if (bill.taxSummary && bill.taxSummary.length > 0) {
+    bill.taxSummary.forEach((row) => {
+      pair(
+        `${row.hsnNumber || 'GST'} @ ${row.gstRate}% on ${money(row.taxableValue)}`,
+        money(row.taxAmount)
+      );
+    });
+    rule();
+  }
+
+  doc.font('Helvetica').fontSize(7).text(amountInWords(bill.totalAmount), left, doc.y, { width });
+  doc.moveDown(0.3);
+  center(`Payment: ${PAYMENT_STATUS_LABELS[bill.paymentStatus] || bill.paymentStatus} (${bill.paymentMethod || ''})`, 'Helvetica-Bold');
+  doc.moveDown(0.5);
+  center('Thank you!');
+}
+
+/**
+ * Builds a tax invoice PDF for a bill. The caller pipes the returned
+ * document to its destination and then calls `doc.end()`.
+ *
+ * @param {Object} bill - Bill document, with `customerId` populated if available
+ * @param {Object} options
+ * @param {'a4'|'thermal'} [options.layout='a4']
+ * @param {Object} [options.business] - Issuer details (see config/business)
+ * @returns {PDFDocument}
+ */
+function renderInvoicePdf(bill, { layout = 'a4', business = {} } = {}) {
+  const info = { Title: `Invoice ${bill.billNumber}`, Author: business.name || '' };
+
+  if (layout === 'thermal') {
+    const items = bill.items || [];
+    const height = 360
+      + items.length * 40
+      + (bill.taxSummary || []).length * 12
+      + (business.address ? 20 : 0);
+    const doc = new PDFDocument({ size: [THERMAL_WIDTH, height], margin: 10, info });
+    drawThermal(doc, bill, business);
+    return doc;
+  }
+
+  const doc = new PDFDocument({ size: 'A4', margin: 40, info });
+  drawA4(doc, bill, business);
+  return doc;
+}
+
+module.exports = { renderInvoicePdf, INVOICE_LAYOUTS };
@@ -0,0 +1,353 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Inward = require('../models/Inward');
+const ProductBatch = require('../models/ProductBatch');
+const Category = require('../models/Category');
+const Purchase = require('../models/Purchase');
+const Supplier = require('../models/Supplier');
+const { computeDueDate } = require('./paymentTerms');
+const { stockEntry, recordStockMovements } = require('./stockLedger');
+const { resolveLocation, adjustBatchStock } = require('./locationStock');
+const { findUnit, productUnitFor, roundQuantity, toBaseQuantity } = require('./uom');
+const { assertStockable } = require('./productStructure');
+
+// Posting a GRN (Inward) to inventory is the only way stock is received:
+// it adds product and batch quantities at the receiving location, advances
+// the linked purchase order and raises the supplier payable. Callers run it
+// inside a transaction.
+
+const httpError = (status, message) => {
+  const error = new Error(message);
+  error.statusCode = status;
+  return error;
+};
+
+// Inward and purchase items hold either a product id or, for products not
+// created yet, the product name
+const productIdOf = (value) => {
+  const id = value && value._id ? value._id : value;
+  return mongoose.Types.ObjectId.isValid(id) && String(id).length === 24 ? String(id) : null;
+};
+
+const sameProduct = (purchaseItem, inwardItem) => {
+  const purchaseProductId = productIdOf(purchaseItem.product);
+  const inwardProductId = productIdOf(inwardItem.product);
+  if (purchaseProductId && inwardProductId) {
+    return purchaseProductId === inwardProductId;
+  }
+  const name = (value) => String(value || '').trim().toLowerCase();
+  return name(purchaseItem.productName) === name(inwardItem.productName);
+};
+
+async function loadPurchaseForReceipt(inward, session) {
+  const purchase = await Purchase.findById(inward.purchaseOrder).session(session);
+  if (!purchase) {
+    throw httpError(404, 'Linked purchase order not found');
+  }
+  if (String(purchase.supplier) !== String(inward.supplier)) {
+    throw httpError(400, `Purchase order ${purchase.purchaseOrderNumber} is for a different supplier`);
+  }
+  if (!purchase.canReceiveItems()) {
+    throw httpError(400, `Cannot receive items for purchase order with status: ${purchase.status}`);
+  }
+  return purchase;
+}
+
+// Pairs each GRN line with the PO line it receives against (by purchaseItemId,
+// else by product) and rejects anything beyond the quantity still on order.
+// `quantity` is the GRN line's quantity in the PO line's unit.
+function matchPurchaseItems(purchase, inward) {
+  const pending = new Map(
+    purchase.items.map((item) => [String(item._id), item.quantity - (item.receivedQuantity || 0)])
+  );
+
+  return inward.items.map((item, index) => {
+    let purchaseItem = null;
+    if (item.purchaseItemId) {
+      purchaseItem = purchase.items.id(item.purchaseItemId);
+    } else {
+      const candidates = purchase.items.filter((candidate) => sameProduct(candidate, item));
+      purchaseItem = candidates.find((candidate) => pending.get(String(candidate._id)) > 0) || candidates[0];
+    }
+
+    if (!purchaseItem) {
+      throw httpError(
+        400,
+        `Item ${index + 1} (${item.productName}) is not on purchase order ${purchase.purchaseOrderNumber}`
+      );
+    }
+
+    const key = String(purchaseItem._id);
+    const outstanding = pending.get(key);
+    const quantity = roundQuantity(
+      item.receivedQuantity * (item.conversionFactor || 1) / (purchaseItem.conversionFactor || 1)
+    );
+    if (quantity > outstanding) {
+      const unit = purchaseItem.unit ? ` ${purchaseItem.unit}` : '';
+      throw httpError(
+        400,
+        `Over-receipt for ${item.productName}: ${outstanding} of ${purchaseItem.quantity}${unit} still to receive, ` +
+        `${quantity}${unit} on this GRN`
+      );
+    }
+    pending.set(key, outstanding - quantity);
+
+    return { item, purchaseItem, quantity };
+  });
+}
+
+// Helper function to create new product from inward item
+async function createNewProductFromInwardItem(item, inward, session) {
+  // Find a default category (first active category)
+  let defaultCategory = await Category.findOne({ status: 'active' }).select('_id').session(session);
+
+  // Try by name, then slug, if none active found
+  if (!defaultCategory) {
+    defaultCategory = await Category.findOne({ name: 'General' }).select('_id').session(session);
+  }
+  if (!defaultCategory) {
+    defaultCategory = await Category.findOne({ slug: 'general' }).select('_id').session(session);
+  }
+
+  // Auto-create a default category if none exists
+  if (!defaultCategory) {
+    console.log('⚠️ No active category found. Creating default "General" category...');
+    const [general] = await Category.create(
+      [{ name: 'General', description: 'Default category', status: 'active' }],
+      { session }
+    );
+    defaultCategory = { _id: general._id };
+  }
+
+  const productData = {
+    name: item.productName || item.product,
+    description: item.notes || `Product from inward ${inward.grnNumber}`,
+    // Fall back to cost only when the inward gave no selling price
+    price: item.sellingPrice || item.unitCost,
+    category: defaultCategory._id,
+    unit: item.productUnit || 'none',
+    quantity: item.receivedQuantity,
+    supplier: inward.supplier,
+    batchNumber: item.batchNumber,
+    manufacturingDate: new Date(item.manufacturingDate),
+    reorderLevel: 10,
+    addedDate: new Date()
+  };
+
+  // Validate required fields
+  if (!productData.name || productData.name.trim() === '') {
+    throw httpError(400, 'Product name is required');
+  }
+  if (!productData.batchNumber || productData.batchNumber.trim() === '') {
+    throw httpError(400, 'Batch number is required');
+  }
+  if (!productData.manufacturingDate || isNaN(productData.manufacturingDate.getTime())) {
+    throw httpError(400, 'Valid manufacturing date is required');
+  }
+
+  if (item.expiryDate) {
+    productData.expiryDate = new Date(item.expiryDate);
+    if (isNaN(productData.expiryDate.getTime())) {
+      throw httpError(400, 'Invalid expiry date');
+    }
+  }
+
+  const [savedProduct] = await Product.create([productData], { session });
+  console.log('✅ Product created successfully:', savedProduct._id);
+
+  // Update the inward item to reference the new product
+  item.product = savedProduct._id;
+
+  return savedProduct;
+}
+
+// Adds the received quantity to an existing product and refreshes its batch fields
+async function receiveIntoProduct(productId, item, session) {
+  const product = await Product.findById(productId).session(session);
+  if (!product) {
+    throw httpError(404, `Product with ID ${productId} not found`);
+  }
+  assertStockable(product);
+
+  const oldQuantity = product.quantity;
+  product.quantity += item.receivedQuantity;
+  if (item.batchNumber && String(item.batchNumber).trim() !== '') {
+    product.batchNumber = item.batchNumber;
+  }
+  if (item.manufacturingDate) {
+    const mfg = new Date(item.manufacturingDate);
+    if (!isNaN(mfg.getTime())) {
+      product.manufacturingDate = mfg;
+    }
+  }
+  if (item.expiryDate) {
+    const exp = new Date(item.expiryDate);
+    if (!isNaN(exp.getTime())) {
+      product.expiryDate = exp;
+    }
+  }
+  await product.save({ session });
+  console.log(`✅ Product ${product.name} updated: ${oldQuantity} → ${product.quantity}`);
+
+  return product;
+}
+
+// Helper to upsert product batch for batch-level pricing
+async function upsertProductBatch(productId, item, supplierId, session) {
+  if (!productId || !item?.batchNumber) {
+    return; // nothing to do
+  }
+
+  const filter = { product: productId, batchNumber: item.batchNumber };
+  const existing = await ProductBatch.findOne(filter).session(session);
+  if (existing) {
+    // Keep the original unitCost for the batch, only bump quantity and update dates if provided
+    existing.quantity += item.receivedQuantity || 0;
+    if (item.manufacturingDate) {
+      const mfg = new Date(item.manufacturingDate);
+      if (!isNaN(mfg.getTime())) existing.manufacturingDate = mfg;
+    }
+    if (item.expiryDate) {
+      const exp = new Date(item.expiryDate);
+      if (!isNaN(exp.getTime())) existing.expiryDate = exp;
+    }
+    if (supplierId) existing.supplier = supplierId;
+    if (item.sellingPrice) existing.sellingPrice = item.sellingPrice;
+    if (item.mrp) existing.mrp = item.mrp;
+    return existing.save({ session });
+  }
+
+  const [doc] = await ProductBatch.create([{
+    product: productId,
+    batchNumber: item.batchNumber,
+    unitCost: item.unitCost,
+    sellingPrice: item.sellingPrice || undefined,
+    mrp: item.mrp || undefined,
+    quantity: item.receivedQuantity || 0,
+    manufacturingDate: item.manufacturingDate ? new Date(item.manufacturingDate) : undefined,
+    expiryDate: item.expiryDate ? new Date(item.expiryDate) : undefined,
+    supplier: supplierId
+  }], { session });
+  return doc;
+}
+
+// Inward lines are in the unit they were received in (a pack, litres, ...);
+// stock is held in base units, so quantities and per-unit prices are scaled
+async function toStockItem(item, session) {
+  const factor = Number(item.conversionFactor) || 1;
+  const perBase = (value) => (value ? value / factor : value);
+  const stockItem = {
+    ...(typeof item.toObject === 'function' ? item.toObject() : item),
+    receivedQuantity: toBaseQuantity(item.receivedQuantity, factor),
+    unitCost: perBase(item.unitCost),
+    sellingPrice: perBase(item.sellingPrice),
+    mrp: perBase(item.mrp)
+  };
+
+  // A product created by this GRN is measured by the unit it arrived in
+  if (item.unit && !productIdOf(item.product)) {
+    const unit = await findUnit(item.unit, session);
+    stockItem.productUnit = unit ? productUnitFor(unit.dimension) : undefined;
+  }
+  return stockItem;
+}
+
+/**
+ * Posts an approved inward to inventory. Validates the whole GRN against its
+ * purchase order before any stock moves, so an over-receipt changes nothing.
+ *
+ * @returns {Promise<{ productIds: Set<string>, purchase: Object|null }>}
+ */
+async function postInwardToInventory(inward, { session = null, user = null } = {}) {
+  // Claim the inward atomically: of two posts running at once only one
+  // matches, and the other (or its retry) stops here
+  const claimed = await Inward.updateOne(
+    { _id: inward._id, inventoryAdded: { $ne: true } },
+    { $set: { inventoryAdded: true } },
+    { session }
+  );
+  if (inward.inventoryAdded || claimed.matchedCount === 0) {
+    throw httpError(400, 'Inventory already added for this inward');
+  }
+
+  const purchase = inward.purchaseOrder ? await loadPurchaseForReceipt(inward, session) : null;
+  const matches = purchase ? matchPurchaseItems(purchase, inward) : [];
+  const location = await resolveLocation(inward.location, 'receiving', session);
+  inward.location = location._id;
+
+  const productIds = new Set();
+  const movements = [];
+  for (let i = 0; i < inward.items.length; i++) {
+    const item = inward.items[i];
+    const existingId = productIdOf(item.product);
+
+    try {
+      const stockItem = await toStockItem(item, session);
+      const product = existingId
+        ? await receiveIntoProduct(existingId, stockItem, session)
+        : await createNewProductFromInwardItem(stockItem, inward, session);
+      if (!existingId) {
+        item.product = product._id;
+      }
+      const batch = await upsertProductBatch(product._id, stockItem, inward.supplier, session);
+      if (batch) {
+        await adjustBatchStock({ batch, product, location, quantity: stockItem.receivedQuantity, session });
+      }
+      movements.push(stockEntry(product, stockItem.receivedQuantity, batch, undefined, location));
+      productIds.add(String(product._id));
+    } catch (error) {
+      throw httpError(
+        error.statusCode || 400,
+        `Failed to process inventory item: ${item.productName || item.product} - ${error.message}`
+      );
+    }
+  }
+
+  if (purchase) {
+    matches.forEach(({ item, purchaseItem, quantity }) => {
+      purchaseItem.receivedQuantity = roundQuantity((purchaseItem.receivedQuantity || 0) + quantity);
+      item.purchaseItemId = purchaseItem._id;
+      // A PO line ordered by name now points at the product the GRN created
+      if (!productIdOf(purchaseItem.product) && productIdOf(item.product)) {
+        purchaseItem.product = item.product;
+      }
+    });
+    purchase.markModified('items');
+    purchase.receivedDate = new Date();
+    if (!purchase.actualDeliveryDate) {
+      purchase.actualDeliveryDate = new Date();
+    }
+    await purchase.save({ session });
+  }
+
+  // Stocked goods are now owed to the supplier
+  const supplier = await Supplier.findByIdAndUpdate(
+    inward.supplier,
+    { $inc: { payableBalance: inward.totalAmount } },
+    { new: true, session }
+  );
+  if (!inward.paymentDueDate) {
+    inward.paymentDueDate = computeDueDate(inward.invoiceDate || inward.receivedDate, supplier?.paymentTerms);
+  }
+  inward.refreshPaymentStatus();
+
+  // Mark inward as added to inventory (already claimed above)
+  inward.inventoryAdded = true;
+  inward.markModified('items');
+  await inward.save({ session });
+
+  await recordStockMovements(movements, {
+    type: 'grn',
+    sourceType: 'Inward',
+    sourceId: inward._id,
+    reference: inward.grnNumber,
+    user,
+    session
+  });
+
+  return { productIds, purchase };
+}
+
+module.exports = {
+  postInwardToInventory
+};
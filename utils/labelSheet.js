@@ -0,0 +1,219 @@
+const PDFDocument = require('pdfkit');
+const bwipjs = require('bwip-js');
+
+const LABEL_FORMATS = ['pdf', 'svg'];
+const BARCODE_TYPES = ['code128', 'ean13'];
+
+// A4 sheet of 3 x 8 labels, about 70 x 37 mm each
+const SHEET_WIDTH = 595.28;
+const SHEET_HEIGHT = 841.89;
+const COLUMNS = 3;
+const ROWS = 8;
+const LABEL_WIDTH = SHEET_WIDTH / COLUMNS;
+const LABEL_HEIGHT = SHEET_HEIGHT / ROWS;
+const PADDING = 8;
+const QR_SIZE = 56;
+
+// QR codes carry the product and batch so one scan fills a bill line:
+// INV1|<product _id>|<SKU>|<batch number>
+const QR_PREFIX = 'INV1';
+
+const httpError = (status, message) => {
+  const error = new Error(message);
+  error.statusCode = status;
+  return error;
+};
+
+const money = (value) =>
+  (Number(value) || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString('en-IN') : '');
+
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const qrPayload = (label) =>
+  [QR_PREFIX, label.product._id, label.product.productId || '', label.batch?.batchNumber || ''].join('|');
+
+// Reads a scanned QR payload back; null for anything else (plain SKUs, EANs, ...)
+function parseLabelCode(code) {
+  const parts = String(code || '').split('|');
+  if (parts[0] !== QR_PREFIX || parts.length < 4) {
+    return null;
+  }
+  return {
+    product: parts[1],
+    sku: parts[2] || null,
+    batchNumber: parts.slice(3).join('|') || null
+  };
+}
+
+// Text the linear barcode encodes: the manufacturer's barcode if the product
+// has one, else its SKU. EAN-13 only takes 12 or 13 digits.
+function barcodeText(product, symbology) {
+  const text = product.barcode || product.productId || String(product._id);
+  if (symbology === 'ean13' && !/^\d{12,13}$/.test(text)) {
+    throw httpError(400, `${product.name} has no 12 or 13 digit barcode for EAN-13; use code128`);
+  }
+  return text;
+}
+
+const barcodeOptions = (label, symbology) => ({
+  bcid: symbology,
+  text: barcodeText(label.product, symbology),
+  scale: 2,
+  height: 10,
+  includetext: true,
+  textxalign: 'center'
+});
+
+const qrOptions = (label) => ({ bcid: 'qrcode', text: qrPayload(label), scale: 2 });
+
+// bwip-js rejects bad input (e.g. a wrong EAN check digit) by throwing;
+// toBuffer is async and toSVG is not
+async function render(fn, options) {
+  try {
+    return await fn(options);
+  } catch (error) {
+    throw httpError(400, `Cannot encode '${options.text}' as ${options.bcid}: ${error.message || error}`);
+  }
+}
+
+function labelLines(label) {
+  const { product, batch } = label;
+  const mrp = batch?.mrp || product.mrp;
+  return {
+    name: product.name,
+    detail: [
+      product.productId ? `SKU ${product.productId}` : null,
+      batch ? `Batch ${batch.batchNumber}` : null
+    ].filter(Boolean).join('  '),
+    extra: [
+      batch?.expiryDate ? `Exp ${formatDate(batch.expiryDate)}` : null,
+      mrp ? `MRP ${money(mrp)}` : null
+    ].filter(Boolean).join('  ')
+  };
+}
+
+const position = (index) => {
+  const slot = index % (COLUMNS * ROWS);
+  return {
+    x: (slot % COLUMNS) * LABEL_WIDTH,
+    y: Math.floor(slot / COLUMNS) * LABEL_HEIGHT
+  };
+};
+
+/**
+ * Builds an A4 label sheet PDF. The caller pipes the returned document to its
+ * destination and then calls `doc.end()`.
+ *
+ * @param {Array<{ product: Object, batch: Object|null }>} labels One entry per printed label
+ * @param {Object} [options]
+ * @param {'code128'|'ean13'} [options.symbology='code128']
+ * @returns {Promise<PDFDocument>}
+ */
+async function renderLabelsPdf(labels, { symbology = 'code128', title = 'Labels' } = {}) {
+  // Labels for the same product and batch share their images
+  const images = new Map();
+  for (const label of labels) {
+    const key = qrPayload(label);
+    if (!images.has(key)) {
+      images.set(key, {
+        barcode: await render(bwipjs.toBuffer, barcodeOptions(label, symbology)),
+        qr: await render(bwipjs.toBuffer, qrOptions(label))
+      });
+    }
+  }
+
+  const doc = new PDFDocument({ size: 'A4', margin: 0, info: { Title: title } });
+  labels.forEach((label, index) => {
+    if (index > 0 && index % (COLUMNS * ROWS) === 0) {
+      doc.addPage({ size: 'A4', margin: 0 });
+    }
+    const { x, y } = position(index);
+    const { barcode, qr } = images.get(qrPayload(label));
+    const lines = labelLines(label);
+    const textWidth = LABEL_WIDTH - PADDING * 2;
+
+    doc.font('Helvetica-Bold').fontSize(9)
+      .text(lines.name, x + PADDING, y + PADDING, { width: textWidth, height: 11, ellipsis: true, lineBreak: false });
+    doc.font('Helvetica').fontSize(7)
+      .text(lines.detail, x + PADDING, y + PADDING + 12, { width: textWidth, lineBreak: false })
+      .text(lines.extra, x + PADDING, y + PADDING + 21, { width: textWidth, lineBreak: false });
+
+    const imageTop = y + PADDING + 32;
+    const imageHeight = LABEL_HEIGHT - PADDING * 2 - 32;
+    doc.image(barcode, x + PADDING, imageTop, {
+      fit: [LABEL_WIDTH - PADDING * 3 - QR_SIZE, imageHeight],
+      valign: 'center'
+    });
+    doc.image(qr, x + LABEL_WIDTH - PADDING - QR_SIZE, imageTop, { fit: [QR_SIZE, Math.min(QR_SIZE, imageHeight)] });
+  });
+
+  return doc;
+}
+
+// Places a bwip-js SVG inside the sheet at the given box
+function embedSvg(svg, x, y, width, height) {
+  const viewBox = (svg.match(/viewBox="([^"]+)"/) || [])[1];
+  const body = svg.slice(svg.indexOf('>') + 1, svg.lastIndexOf('</svg>'));
+  return `<svg x="${x}" y="${y}" width="${width}" height="${height}" viewBox="${viewBox}" preserveAspectRatio="xMinYMid meet">${body}</svg>`;
+}
+
+/**
+ * Builds the same label sheet as one SVG, as tall as the labels need.
+ *
+ * @returns {Promise<string>}
+ */
+async function renderLabelsSvg(labels, { symbology = 'code128' } = {}) {
+  const images = new Map();
+  for (const label of labels) {
+    const key = qrPayload(label);
+    if (!images.has(key)) {
+      images.set(key, {
+        barcode: await render(bwipjs.toSVG, barcodeOptions(label, symbology)),
+        qr: await render(bwipjs.toSVG, qrOptions(label))
+      });
+    }
+  }
+
+  const rows = Math.max(Math.ceil(labels.length / COLUMNS), 1);
+  const height = rows * LABEL_HEIGHT;
+
+  const cells = labels.map((label, index) => {
+    const { barcode, qr } = images.get(qrPayload(label));
+    const x = (index % COLUMNS) * LABEL_WIDTH;
+    const y = Math.floor(index / COLUMNS) * LABEL_HEIGHT;
+    const lines = labelLines(label);
+    const imageTop = y + PADDING + 32;
+    const imageHeight = LABEL_HEIGHT - PADDING * 2 - 32;
+
+    return [
+      `<g font-family="Helvetica, Arial, sans-serif">`,
+      `<text x="${x + PADDING}" y="${y + PADDING + 9}" font-size="9" font-weight="bold">${escapeXml(lines.name)}</text>`,
+      `<text x="${x + PADDING}" y="${y + PADDING + 19}" font-size="7">${escapeXml(lines.detail)}</text>`,
+      `<text x="${x + PADDING}" y="${y + PADDING + 28}" font-size="7">${escapeXml(lines.extra)}</text>`,
+      embedSvg(barcode, x + PADDING, imageTop, LABEL_WIDTH - PADDING * 3 - QR_SIZE, imageHeight),
+      embedSvg(qr, x + LABEL_WIDTH - PADDING - QR_SIZE, imageTop, QR_SIZE, Math.min(QR_SIZE, imageHeight)),
+      '</g>'
+    ].join('');
+  });
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${SHEET_WIDTH}" height="${height}" viewBox="0 0 ${SHEET_WIDTH} ${height}">`,
+    `<rect width="100%" height="100%" fill="#ffffff"/>`,
+    ...cells,
+    '</svg>'
+  ].join('\n');
+}
+
+module.exports = {
+  LABEL_FORMATS,
+  BARCODE_TYPES,
+  parseLabelCode,
+  renderLabelsPdf,
+  renderLabelsSvg
+};
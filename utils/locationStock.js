@@ -0,0 +1,130 @@
+const mongoose = require('mongoose');
+const Location = require('../models/Location');
+const BatchStock = require('../models/BatchStock');
+const ProductBatch = require('../models/ProductBatch');
+const Bill = require('../models/Bill');
+
+const httpError = (status, message) => {
+  const error = new Error(message);
+  error.statusCode = status;
+  return error;
+};
+
+/**
+ * Returns the active location with the given id, or the default location for
+ * `purpose` ('receiving' or 'sales') when no id is given.
+ */
+async function resolveLocation(locationId, purpose, session = null) {
+  if (!locationId) {
+    return Location.getDefault(purpose, session);
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(locationId)) {
+    throw httpError(400, 'Invalid location ID');
+  }
+
+  const location = await Location.findById(locationId).session(session);
+  if (!location) {
+    throw httpError(404, 'Location not found');
+  }
+  if (location.status !== 'active') {
+    throw httpError(400, `Location ${location.code} is inactive`);
+  }
+  return location;
+}
+
+/**
+ * Moves a batch's quantity at one location by `quantity`. Taking out more
+ * than the location holds fails; putting stock in creates the row if the
+ * batch has never been held there. Callers move ProductBatch and Product
+ * totals themselves.
+ *
+ * @returns {Promise<Object>} the BatchStock row after the change
+ */
+async function adjustBatchStock({ batch, product, location, quantity, session = null }) {
+  const batchId = batch._id || batch;
+  const locationId = location._id || location;
+
+  if (quantity < 0) {
+    const row = await BatchStock.findOneAndUpdate(
+      { batch: batchId, location: locationId, quantity: { $gte: -quantity } },
+      { $inc: { quantity } },
+      { new: true, session }
+    );
+    if (!row) {
+      const label = batch.batchNumber ? `Batch ${batch.batchNumber}` : 'Batch';
+      const place = location.code ? ` at ${location.code}` : ' at this location';
+      throw httpError(400, `${label} does not have ${-quantity} in stock${place}`);
+    }
+    return row;
+  }
+
+  return BatchStock.findOneAndUpdate(
+    { batch: batchId, location: locationId },
+    {
+      $inc: { quantity },
+      $setOnInsert: { product: product._id || product }
+    },
+    { new: true, upsert: true, session }
+  );
+}
+
+/**
+ * Batch rows with stock for a product at a location, keyed by batch id.
+ *
+ * @returns {Promise<Map<string, number>>}
+ */
+async function getLocationBatchQuantities(product, location, session = null) {
+  const rows = await BatchStock.find({
+    product: product._id || product,
+    location: location._id || location,
+    quantity: { $gt: 0 }
+  }).session(session);
+
+  return new Map(rows.map((row) => [String(row.batch), row.quantity]));
+}
+
+/**
+ * Brings data from before stock was held per location into line: batches
+ * with no BatchStock row get one at the default receiving location for their
+ * whole quantity, and bills without a location are marked as sold from the
+ * default sales location. Only touches what is missing, so it is safe to run
+ * at every startup; until it has run, legacy batches cannot be sold.
+ *
+ * @returns {Promise<{ batchStock: number, bills: number }>} rows created and bills updated
+ */
+async function backfillLocationStock() {
+  const held = await BatchStock.distinct('batch');
+  const batches = await ProductBatch.find({ _id: { $nin: held }, quantity: { $gt: 0 } })
+    .select('product quantity')
+    .lean();
+
+  let batchStock = 0;
+  if (batches.length > 0) {
+    const receiving = await Location.getDefault('receiving');
+    for (const batch of batches) {
+      const result = await BatchStock.updateOne(
+        { batch: batch._id, location: receiving._id },
+        { $setOnInsert: { product: batch.product, quantity: batch.quantity } },
+        { upsert: true }
+      );
+      batchStock += result.upsertedCount;
+    }
+  }
+
+  let bills = 0;
+  if (await Bill.exists({ location: { $in: [null] } })) {
+    const sales = await Location.getDefault('sales');
+    const result = await Bill.updateMany({ location: { $in: [null] } }, { $set: { location: sales._id } });
+    bills = result.modifiedCount;
+  }
+
+  return { batchStock, bills };
+}
+
+module.exports = {
+  backfillLocationStock,
+  resolveLocation,
+  adjustBatchStock,
+  getLocationBatchQuantities
+};
@@ -0,0 +1,32 @@
+// Supplier payment terms are free text ('Net 30', '45 days', 'Due on receipt').
+// Terms that can't be read fall back to the supplier default of Net 30.
+const DEFAULT_TERM_DAYS = 30;
+
+const IMMEDIATE_TERMS = /^(due on receipt|on receipt|immediate|cod|cash on delivery|cash|advance|prepaid)$/i;
+
+// Returns the credit period in days, or null when the terms can't be parsed
+function parsePaymentTerms(terms) {
+  const text = String(terms || '').trim();
+  if (!text) return null;
+
+  if (IMMEDIATE_TERMS.test(text)) return 0;
+
+  const match = text.match(/^(?:net\s*)?(\d{1,3})(?:\s*days?)?$/i);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+function computeDueDate(fromDate, terms) {
+  const base = fromDate ? new Date(fromDate) : new Date();
+  if (Number.isNaN(base.getTime())) return null;
+
+  const days = parsePaymentTerms(terms);
+  const due = new Date(base);
+  due.setDate(due.getDate() + (days === null ? DEFAULT_TERM_DAYS : days));
+  return due;
+}
+
+module.exports = {
+  DEFAULT_TERM_DAYS,
+  parsePaymentTerms,
+  computeDueDate
+};
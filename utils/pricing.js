@@ -0,0 +1,41 @@
+// Selling prices are kept apart from purchase cost: ProductBatch.unitCost is
+// what we paid on the inward, never what the customer is charged.
+
+const toPrice = (value) => {
+  const number = Number(value);
+  return Number.isFinite(number) && number >= 0 ? number : null;
+};
+
+// A batch-specific selling price wins over the product's default price
+function resolveSellingPrice(product, batch) {
+  const batchPrice = toPrice(batch?.sellingPrice);
+  if (batchPrice !== null && batchPrice > 0) {
+    return batchPrice;
+  }
+  return toPrice(product?.price) || 0;
+}
+
+function resolveMrp(product, batch) {
+  const batchMrp = toPrice(batch?.mrp);
+  if (batchMrp !== null && batchMrp > 0) {
+    return batchMrp;
+  }
+  const productMrp = toPrice(product?.mrp);
+  return productMrp !== null && productMrp > 0 ? productMrp : null;
+}
+
+// Returns an error message when a selling price is above the MRP, else null
+function validateAgainstMrp(sellingPrice, mrp) {
+  const price = toPrice(sellingPrice);
+  const max = toPrice(mrp);
+  if (price === null || !max) {
+    return null;
+  }
+  return price > max ? `Selling price (${price}) cannot exceed MRP (${max}).` : null;
+}
+
+module.exports = {
+  resolveSellingPrice,
+  resolveMrp,
+  validateAgainstMrp
+};
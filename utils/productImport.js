@@ -0,0 +1,451 @@
+const Product = require('../models/Product');
+const ProductBatch = require('../models/ProductBatch');
+const Category = require('../models/Category');
+const Supplier = require('../models/Supplier');
+const { validateAgainstMrp } = require('./pricing');
+const { ALLOCATION_STRATEGIES } = require('./batchExpiry');
+const { PRODUCT_UNIT_DIMENSIONS } = require('./uom');
+const { adjustBatchStock } = require('./locationStock');
+const { stockEntry, recordStockMovements } = require('./stockLedger');
+const { isBlankRow } = require('./spreadsheet');
+
+// Bulk import and export of standard products as a flat sheet. Categories and
+// suppliers are referred to by name. Import and export share the columns, so
+// an export can be edited and uploaded again; parents and kits are managed one
+// by one through the product endpoints.
+
+const PRODUCT_COLUMNS = [
+  { key: 'productId', header: 'productId' },
+  { key: 'name', header: 'name' },
+  { key: 'description', header: 'description' },
+  { key: 'category', header: 'category' },
+  { key: 'supplier', header: 'supplier' },
+  { key: 'unit', header: 'unit' },
+  { key: 'hsnNumber', header: 'hsnNumber' },
+  { key: 'gstRate', header: 'gstRate' },
+  { key: 'price', header: 'price' },
+  { key: 'mrp', header: 'mrp' },
+  { key: 'reorderLevel', header: 'reorderLevel' },
+  { key: 'allocationStrategy', header: 'allocationStrategy' },
+  { key: 'barcode', header: 'barcode' },
+  { key: 'batchNumber', header: 'batchNumber' },
+  { key: 'manufacturingDate', header: 'manufacturingDate' },
+  { key: 'expiryDate', header: 'expiryDate' },
+  // Opening stock: received into a new batch named by batchNumber
+  { key: 'openingQuantity', header: 'openingQuantity' },
+  { key: 'unitCost', header: 'unitCost' }
+];
+
+// Exports add the stock on hand for reference; imports ignore it
+const EXPORT_COLUMNS = [...PRODUCT_COLUMNS, { key: 'currentStock', header: 'currentStock' }];
+
+const IMPORT_MODES = ['create', 'upsert'];
+const MAX_IMPORT_ROWS = 2000;
+
+const httpError = (status, message) => {
+  const error = new Error(message);
+  error.statusCode = status;
+  return error;
+};
+
+const normalizeHeader = (value) => String(value ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+const normalizeName = (value) => String(value ?? '').trim().toLowerCase();
+
+const formatDate = (value) => (value ? new Date(value).toISOString().slice(0, 10) : '');
+
+// Spreadsheets carry dates as YYYY-MM-DD, DD/MM/YYYY or real date cells
+function parseDate(value) {
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? null : value;
+  }
+  const text = String(value).trim();
+  let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (match) {
+    return new Date(Date.UTC(+match[1], +match[2] - 1, +match[3]));
+  }
+  match = text.match(/^(\d{1,2})[/-](\d{1,2})[/-](\d{4})$/);
+  if (match) {
+    return new Date(Date.UTC(+match[3], +match[2] - 1, +match[1]));
+  }
+  return null;
+}
+
+const parseNumber = (value) => {
+  const number = Number(String(value).replace(/,/g, '').trim());
+  return Number.isFinite(number) ? number : NaN;
+};
+
+// Maps the header row to column keys; unknown columns are ignored
+function mapHeader(header) {
+  const keys = new Map(PRODUCT_COLUMNS.map((column) => [normalizeHeader(column.key), column.key]));
+  return header.map((cell) => keys.get(normalizeHeader(cell)) || null);
+}
+
+async function loadLookups(records) {
+  const productIds = records.map((record) => record.productId).filter(Boolean);
+  const barcodes = records.map((record) => record.barcode).filter(Boolean);
+
+  const [categories, suppliers, products, barcodeOwners] = await Promise.all([
+    Category.find({}).select('name status').lean(),
+    Supplier.find({}).select('name').lean(),
+    Product.find({ productId: { $in: productIds } }),
+    Product.find({ barcode: { $in: barcodes } }).select('productId barcode').lean()
+  ]);
+
+  return {
+    categories: new Map(categories.map((category) => [normalizeName(category.name), category])),
+    suppliers: new Map(suppliers.map((supplier) => [normalizeName(supplier.name), supplier])),
+    products: new Map(products.map((product) => [product.productId, product])),
+    barcodeOwners: new Map(barcodeOwners.map((product) => [product.barcode, product]))
+  };
+}
+
+// Checks one row and works out the product fields and opening stock it sets
+async function planRow(record, existing, lookups, mode) {
+  const errors = [];
+  const fields = {};
+  const has = (key) => record[key] !== undefined && record[key] !== '';
+  const isNew = !existing;
+
+  if (existing && mode !== 'upsert') {
+    errors.push(`productId ${record.productId} already exists; import in upsert mode to update it`);
+  }
+  if (existing && existing.productType && existing.productType !== 'standard') {
+    errors.push(`${existing.name} is a ${existing.productType} product and cannot be imported`);
+  }
+
+  ['name', 'description', 'hsnNumber', 'barcode'].forEach((key) => {
+    if (has(key)) fields[key] = String(record[key]).trim();
+  });
+  if (isNew && !fields.name) {
+    errors.push('name is required');
+  }
+
+  if (has('category')) {
+    const category = lookups.categories.get(normalizeName(record.category));
+    if (!category || category.status !== 'active') {
+      errors.push(`category '${record.category}' was not found or is inactive`);
+    } else {
+      fields.category = category._id;
+    }
+  } else if (isNew) {
+    errors.push('category is required');
+  }
+
+  if (has('supplier')) {
+    const supplier = lookups.suppliers.get(normalizeName(record.supplier));
+    if (!supplier) {
+      errors.push(`supplier '${record.supplier}' was not found`);
+    } else {
+      fields.supplier = supplier._id;
+    }
+  } else if (isNew) {
+    errors.push('supplier is required');
+  }
+
+  if (has('unit')) {
+    const unit = normalizeName(record.unit);
+    if (!PRODUCT_UNIT_DIMENSIONS[unit]) {
+      errors.push(`unit must be one of: ${Object.keys(PRODUCT_UNIT_DIMENSIONS).join(', ')}`);
+    } else if (existing && unit !== existing.unit && await ProductBatch.exists({ product: existing._id })) {
+      errors.push('the unit of a product that has stock batches cannot be changed');
+    } else {
+      fields.unit = unit;
+    }
+  }
+
+  [['price', 0], ['mrp', 0], ['gstRate', 0]].forEach(([key, min]) => {
+    if (!has(key)) return;
+    const value = parseNumber(record[key]);
+    if (isNaN(value) || value < min || (key === 'gstRate' && value > 100)) {
+      errors.push(key === 'gstRate' ? 'gstRate must be a number between 0 and 100' : `${key} must be a non-negative number`);
+    } else {
+      fields[key] = value;
+    }
+  });
+  if (isNew && fields.price === undefined && !errors.some((error) => error.startsWith('price'))) {
+    errors.push('price is required');
+  }
+  const mrpError = validateAgainstMrp(
+    fields.price !== undefined ? fields.price : existing?.price,
+    fields.mrp !== undefined ? fields.mrp : existing?.mrp
+  );
+  if (mrpError) {
+    errors.push(mrpError);
+  }
+
+  if (has('reorderLevel')) {
+    const value = parseNumber(record.reorderLevel);
+    if (!Number.isInteger(value) || value < 1) {
+      errors.push('reorderLevel must be a whole number of at least 1');
+    } else {
+      fields.reorderLevel = value;
+    }
+  }
+
+  if (has('allocationStrategy')) {
+    const strategy = normalizeName(record.allocationStrategy);
+    if (!ALLOCATION_STRATEGIES.includes(strategy)) {
+      errors.push(`allocationStrategy must be one of: ${ALLOCATION_STRATEGIES.join(', ')}`);
+    } else {
+      fields.allocationStrategy = strategy;
+    }
+  }
+
+  if (fields.barcode) {
+    const owner = lookups.barcodeOwners.get(fields.barcode);
+    if (owner && (!existing || String(owner._id) !== String(existing._id))) {
+      errors.push(`barcode ${fields.barcode} already belongs to ${owner.productId || owner._id}`);
+    }
+  }
+
+  if (has('batchNumber')) {
+    fields.batchNumber = String(record.batchNumber).trim();
+  } else if (isNew) {
+    errors.push('batchNumber is required');
+  }
+
+  ['manufacturingDate', 'expiryDate'].forEach((key) => {
+    if (!has(key)) return;
+    const date = parseDate(record[key]);
+    if (!date) {
+      errors.push(`${key} must be a date (YYYY-MM-DD or DD/MM/YYYY)`);
+    } else {
+      fields[key] = date;
+    }
+  });
+  if (isNew && !fields.manufacturingDate && !errors.some((error) => error.startsWith('manufacturingDate'))) {
+    errors.push('manufacturingDate is required');
+  }
+  if (fields.manufacturingDate && fields.manufacturingDate > new Date()) {
+    errors.push('manufacturingDate cannot be in the future');
+  }
+
+  let opening = null;
+  if (has('openingQuantity')) {
+    const quantity = parseNumber(record.openingQuantity);
+    const unitCost = has('unitCost') ? parseNumber(record.unitCost) : 0;
+    if (isNaN(quantity) || quantity < 0) {
+      errors.push('openingQuantity must be a non-negative number');
+    } else if (isNaN(unitCost) || unitCost < 0) {
+      errors.push('unitCost must be a non-negative number');
+    } else if (quantity > 0) {
+      if (!fields.batchNumber) {
+        errors.push('batchNumber is required for opening stock');
+      } else if (existing && await ProductBatch.exists({ product: existing._id, batchNumber: fields.batchNumber })) {
+        errors.push(`batch ${fields.batchNumber} already exists; opening stock needs a new batch`);
+      } else {
+        opening = { quantity, unitCost };
+      }
+    }
+  }
+
+  return { errors, fields, opening };
+}
+
+/**
+ * Reads the sheet rows and checks every row without writing anything.
+ *
+ * @param {Array<Array<*>>} rows Sheet rows as readSheet returns them; the first
+ *   non-blank row is the header and blank rows after it are skipped
+ * @param {Object} [options]
+ * @param {'create'|'upsert'} [options.mode='create'] In upsert mode rows whose
+ *   productId exists update that product; otherwise they are errors
+ * @returns {Promise<{ rows: Array<Object>, summary: Object }>}
+ */
+async function planProductImport(rows, { mode = 'create' } = {}) {
+  if (!IMPORT_MODES.includes(mode)) {
+    throw httpError(400, `Import mode must be one of: ${IMPORT_MODES.join(', ')}`);
+  }
+  const headerIndex = rows.findIndex((row) => !isBlankRow(row));
+  // Rows keep their position in the file so errors point at the right line
+  const dataRows = rows
+    .map((row, index) => ({ row, number: index + 1 }))
+    .slice(headerIndex + 1)
+    .filter(({ row }) => !isBlankRow(row));
+
+  if (headerIndex === -1 || dataRows.length === 0) {
+    throw httpError(400, 'The file has no product rows');
+  }
+  if (dataRows.length > MAX_IMPORT_ROWS) {
+    throw httpError(400, `At most ${MAX_IMPORT_ROWS} products can be imported at once`);
+  }
+
+  const keys = mapHeader(rows[headerIndex]);
+  if (!keys.includes('name') && !keys.includes('productId')) {
+    throw httpError(400, `The header row must name the columns: ${PRODUCT_COLUMNS.map((column) => column.header).join(', ')}`);
+  }
+
+  const records = dataRows.map(({ row }) => {
+    const record = {};
+    keys.forEach((key, index) => {
+      if (!key) return;
+      const value = row[index];
+      record[key] = value instanceof Date ? value : String(value ?? '').trim();
+    });
+    return record;
+  });
+
+  const lookups = await loadLookups(records);
+  const seenProductIds = new Set();
+  const seenBarcodes = new Set();
+  const planned = [];
+
+  for (let i = 0; i < records.length; i++) {
+    const record = records[i];
+    const existing = record.productId ? lookups.products.get(record.productId) : null;
+    const { errors, fields, opening } = await planRow(record, existing, lookups, mode);
+
+    if (record.productId) {
+      if (seenProductIds.has(record.productId)) {
+        errors.push(`productId ${record.productId} appears on an earlier row`);
+      }
+      seenProductIds.add(record.productId);
+    }
+    if (fields.barcode) {
+      if (seenBarcodes.has(fields.barcode)) {
+        errors.push(`barcode ${fields.barcode} appears on an earlier row`);
+      }
+      seenBarcodes.add(fields.barcode);
+    }
+
+    planned.push({
+      row: dataRows[i].number,
+      productId: record.productId || null,
+      name: fields.name || existing?.name || null,
+      action: existing ? 'update' : 'create',
+      openingQuantity: opening ? opening.quantity : 0,
+      errors,
+      // Kept for applyProductImport; not part of the response
+      fields,
+      opening,
+      existing
+    });
+  }
+
+  const invalid = planned.filter((row) => row.errors.length > 0).length;
+  return {
+    rows: planned,
+    summary: {
+      rows: planned.length,
+      create: planned.filter((row) => row.action === 'create').length,
+      update: planned.filter((row) => row.action === 'update').length,
+      openingStock: planned.filter((row) => row.opening).length,
+      invalid
+    }
+  };
+}
+
+// Row outcome as reported to the client
+const describeRow = ({ row, productId, name, action, openingQuantity, errors, product }) => ({
+  row,
+  productId,
+  name,
+  action,
+  openingQuantity,
+  errors,
+  ...(product ? { _id: product._id } : {})
+});
+
+/**
+ * Writes a checked plan: creates or updates each product and books any
+ * opening stock as a new batch at `location`. Callers run it inside a
+ * transaction and only with a plan free of errors.
+ *
+ * @returns {Promise<Array<Object>>} The products whose stock changed
+ */
+async function applyProductImport(plan, { location, user, session }) {
+  const stocked = [];
+
+  for (const row of plan.rows) {
+    const { fields, opening } = row;
+    let product;
+
+    if (row.existing) {
+      product = await Product.findById(row.existing._id).session(session);
+      Object.assign(product, fields);
+      if (opening) {
+        product.quantity += opening.quantity;
+      }
+      await product.save({ session });
+    } else {
+      [product] = await Product.create([{
+        ...fields,
+        productId: row.productId || undefined,
+        productType: 'standard',
+        quantity: opening ? opening.quantity : 0,
+        addedDate: new Date()
+      }], { session });
+    }
+    row.product = product;
+
+    if (!opening) continue;
+
+    const [batch] = await ProductBatch.create([{
+      product: product._id,
+      batchNumber: fields.batchNumber,
+      unitCost: opening.unitCost,
+      quantity: opening.quantity,
+      manufacturingDate: fields.manufacturingDate || product.manufacturingDate,
+      expiryDate: fields.expiryDate || product.expiryDate,
+      supplier: product.supplier
+    }], { session });
+    await adjustBatchStock({ batch, product, location, quantity: opening.quantity, session });
+
+    await recordStockMovements([stockEntry(product, opening.quantity, batch, 'Opening stock from import', location)], {
+      type: 'opening',
+      sourceType: 'Product',
+      sourceId: product._id,
+      user: user._id,
+      session
+    });
+    stocked.push(product);
+  }
+
+  return stocked;
+}
+
+/**
+ * Standard products as export rows, in the import column layout.
+ *
+ * @param {Object} [query] Product filter
+ */
+async function buildProductExport(query = {}) {
+  const products = await Product.find({ ...query, productType: { $in: ['standard', null] } })
+    .populate('category', 'name')
+    .populate('supplier', 'name')
+    .sort({ name: 1 })
+    .lean();
+
+  return products.map((product) => ({
+    productId: product.productId || '',
+    name: product.name,
+    description: product.description || '',
+    category: product.category?.name || '',
+    supplier: product.supplier?.name || '',
+    unit: product.unit,
+    hsnNumber: product.hsnNumber || '',
+    gstRate: product.gstRate ?? '',
+    price: product.price,
+    mrp: product.mrp ?? '',
+    reorderLevel: product.reorderLevel ?? '',
+    allocationStrategy: product.allocationStrategy || '',
+    barcode: product.barcode || '',
+    batchNumber: product.batchNumber || '',
+    manufacturingDate: formatDate(product.manufacturingDate),
+    expiryDate: formatDate(product.expiryDate),
+    openingQuantity: '',
+    unitCost: '',
+    currentStock: product.quantity
+  }));
+}
+
+module.exports = {
+  PRODUCT_COLUMNS,
+  EXPORT_COLUMNS,
+  IMPORT_MODES,
+  planProductImport,
+  applyProductImport,
+  describeRow,
+  buildProductExport
+};
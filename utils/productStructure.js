@@ -0,0 +1,198 @@
+const Product = require('../models/Product');
+const BatchStock = require('../models/BatchStock');
+const { resolveConversion, toBaseQuantity } = require('./uom');
+
+// Variants are ordinary stocked products that point at a parent; the parent
+// only carries the shared details and the attributes its variants differ by.
+// Kits hold no stock: selling one takes each component from its own batches.
+
+const httpError = (status, message) => {
+  const error = new Error(message);
+  error.statusCode = status;
+  return error;
+};
+
+const normalizeName = (value) => String(value || '').trim().toLowerCase();
+
+// Parents and kits cannot be received, adjusted or billed from batches
+function assertStockable(product) {
+  if (product && product.productType === 'parent') {
+    throw httpError(400, `${product.name} groups variants; use one of its variants instead`);
+  }
+  if (product && product.productType === 'kit') {
+    throw httpError(400, `${product.name} is a kit; stock its components instead`);
+  }
+}
+
+/**
+ * Validates a parent's attribute definitions.
+ *
+ * @param {Array<Object>} definitions [{ name: 'size', values: ['1 L', '5 L'] }]; an
+ *   empty values list accepts any value
+ */
+function buildVariantAttributes(definitions) {
+  if (!Array.isArray(definitions) || definitions.length === 0) {
+    throw httpError(400, 'variantAttributes must be a non-empty array');
+  }
+
+  const names = new Set();
+  return definitions.map((definition, i) => {
+    const name = normalizeName(definition?.name);
+    if (!name) {
+      throw httpError(400, `Attribute ${i + 1}: a name is required`);
+    }
+    if (names.has(name)) {
+      throw httpError(400, `Attribute ${i + 1}: ${name} is listed twice`);
+    }
+    names.add(name);
+
+    const values = Array.isArray(definition.values)
+      ? [...new Set(definition.values.map((value) => String(value).trim()).filter(Boolean))]
+      : [];
+    return { name, values };
+  });
+}
+
+/**
+ * Checks a variant's attributes against its parent and its siblings.
+ *
+ * @param {string} parentId
+ * @param {Object|Array<Object>} attributes { size: '1 L', shade: 'Clear' } or [{ name, value }]
+ * @param {ObjectId|null} variantId The variant being updated, left out of the sibling check
+ * @returns {Promise<{ parent: Object, attributes: Array<{ name: string, value: string }> }>}
+ */
+async function resolveVariant(parentId, attributes, variantId = null, session = null) {
+  const parent = await Product.findById(parentId).session(session);
+  if (!parent || parent.productType !== 'parent') {
+    throw httpError(400, 'The parent must be an existing parent product');
+  }
+
+  const entries = Array.isArray(attributes)
+    ? attributes.map((attribute) => [attribute?.name, attribute?.value])
+    : Object.entries(attributes || {});
+  const given = new Map(entries.map(([name, value]) => [normalizeName(name), String(value ?? '').trim()]));
+
+  const resolved = parent.variantAttributes.map(({ name, values }) => {
+    const value = given.get(name);
+    if (!value) {
+      throw httpError(400, `A value for ${name} is required`);
+    }
+    if (values.length > 0 && !values.includes(value)) {
+      throw httpError(400, `${value} is not a ${name} of ${parent.name}; expected one of ${values.join(', ')}`);
+    }
+    given.delete(name);
+    return { name, value };
+  });
+
+  if (given.size > 0) {
+    throw httpError(400, `${parent.name} has no attribute ${[...given.keys()].join(', ')}`);
+  }
+
+  const siblings = await Product.find({ parent: parent._id, _id: { $ne: variantId } })
+    .select('name attributes')
+    .session(session)
+    .lean();
+  const key = (list) => list.map(({ name, value }) => `${name}=${value}`).sort().join('|');
+  const duplicate = siblings.find((sibling) => key(sibling.attributes || []) === key(resolved));
+  if (duplicate) {
+    throw httpError(400, `${duplicate.name} already has these attributes`);
+  }
+
+  return { parent, attributes: resolved };
+}
+
+/**
+ * Validates a kit's components; each quantity may be given in a unit or pack
+ * of the component and is stored in the component's base units.
+ *
+ * @param {Array<Object>} components [{ product, quantity, unit? }]
+ * @param {ObjectId|null} kitId The kit itself, which cannot be its own component
+ */
+async function buildKitComponents(components, kitId = null, session = null) {
+  if (!Array.isArray(components) || components.length === 0) {
+    throw httpError(400, 'A kit needs at least one component');
+  }
+
+  const seen = new Set();
+  const result = [];
+  for (let i = 0; i < components.length; i++) {
+    const entry = components[i] || {};
+    const productId = String(entry.product || '');
+    if (kitId && productId === String(kitId)) {
+      throw httpError(400, `Component ${i + 1}: a kit cannot contain itself`);
+    }
+    if (seen.has(productId)) {
+      throw httpError(400, `Component ${i + 1}: the same product is listed twice`);
+    }
+
+    const product = await Product.findById(productId).session(session).catch(() => null);
+    if (!product) {
+      throw httpError(400, `Component ${i + 1}: product not found`);
+    }
+    try {
+      assertStockable(product);
+    } catch (error) {
+      throw httpError(400, `Component ${i + 1}: ${error.message}`);
+    }
+
+    const quantity = Number(entry.quantity);
+    if (!(quantity > 0)) {
+      throw httpError(400, `Component ${i + 1}: quantity must be greater than 0`);
+    }
+    const conversion = await resolveConversion(product, entry.unit, session);
+
+    seen.add(productId);
+    result.push({ product: product._id, quantity: toBaseQuantity(quantity, conversion.factor) });
+  }
+  return result;
+}
+
+/**
+ * Whole kits the components' stock makes up, overall or at one location.
+ *
+ * @returns {Promise<{ quantity: number, components: Array<Object> }>}
+ */
+async function getKitAvailability(kit, location = null, session = null) {
+  const productIds = kit.components.map((component) => component.product._id || component.product);
+  const products = await Product.find({ _id: { $in: productIds } })
+    .select('name productId unit quantity')
+    .session(session)
+    .lean();
+  const productsById = new Map(products.map((product) => [String(product._id), product]));
+
+  let held = null;
+  if (location) {
+    const rows = await BatchStock.aggregate([
+      { $match: { location: location._id || location, product: { $in: productIds } } },
+      { $group: { _id: '$product', quantity: { $sum: '$quantity' } } }
+    ]).session(session);
+    held = new Map(rows.map((row) => [String(row._id), row.quantity]));
+  }
+
+  const components = kit.components.map((component) => {
+    const key = String(component.product._id || component.product);
+    const product = productsById.get(key);
+    const available = held ? held.get(key) || 0 : product?.quantity || 0;
+    return {
+      product: key,
+      name: product?.name || null,
+      productId: product?.productId || null,
+      perKit: component.quantity,
+      available,
+      kits: Math.floor(available / component.quantity)
+    };
+  });
+
+  return {
+    quantity: components.length ? Math.min(...components.map((component) => component.kits)) : 0,
+    components
+  };
+}
+
+module.exports = {
+  assertStockable,
+  buildVariantAttributes,
+  resolveVariant,
+  buildKitComponents,
+  getKitAvailability
+};
@@ -0,0 +1,200 @@
+const Bill = require('../models/Bill');
+const Product = require('../models/Product');
+const ProductBatch = require('../models/ProductBatch');
+const Purchase = require('../models/Purchase');
+const Supplier = require('../models/Supplier');
+const InventorySetting = require('../models/InventorySetting');
+const { getReorderLevel } = require('./stockNotifications');
+
+// Purchase orders whose unreceived quantity is still expected to arrive
+const OPEN_PURCHASE_STATUSES = ['draft', 'pending', 'approved', 'partially_received'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const roundToTwo = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+// Net units sold per product (after returns) over the sales window; units
+// that went out as kit components count towards the component
+async function getUnitsSold(since) {
+  const match = { $match: { status: { $ne: 'cancelled' }, billDate: { $gte: since } } };
+  const [lines, components] = await Promise.all([
+    Bill.aggregate([
+      match,
+      { $unwind: '$items' },
+      {
+        $group: {
+          _id: '$items.productId',
+          unitsSold: {
+            $sum: { $subtract: ['$items.quantity', { $ifNull: ['$items.returnedQuantity', 0] }] }
+          }
+        }
+      }
+    ]),
+    Bill.aggregate([
+      match,
+      { $unwind: '$items' },
+      { $unwind: '$items.components' },
+      {
+        $group: {
+          _id: '$items.components.productId',
+          unitsSold: {
+            $sum: {
+              $subtract: ['$items.components.quantity', { $ifNull: ['$items.components.returnedQuantity', 0] }]
+            }
+          }
+        }
+      }
+    ])
+  ]);
+
+  const unitsSold = new Map();
+  [...lines, ...components].forEach((row) => {
+    const key = String(row._id);
+    unitsSold.set(key, (unitsSold.get(key) || 0) + row.unitsSold);
+  });
+  unitsSold.forEach((units, key) => unitsSold.set(key, Math.max(units, 0)));
+  return unitsSold;
+}
+
+// Quantity already ordered from suppliers but not yet received, per product,
+// in base units (order lines may be in packs, litres, ...)
+async function getQuantityOnOrder() {
+  const rows = await Purchase.aggregate([
+    { $match: { status: { $in: OPEN_PURCHASE_STATUSES } } },
+    { $unwind: '$items' },
+    {
+      $group: {
+        _id: '$items.product',
+        onOrder: {
+          $sum: {
+            $multiply: [
+              { $subtract: ['$items.quantity', { $ifNull: ['$items.receivedQuantity', 0] }] },
+              { $ifNull: ['$items.conversionFactor', 1] }
+            ]
+          }
+        }
+      }
+    }
+  ]);
+  return new Map(rows.map((row) => [String(row._id), Math.max(row.onOrder, 0)]));
+}
+
+// Cost of the most recently received batch, used to price the suggested order
+async function getLatestUnitCosts(productIds) {
+  const rows = await ProductBatch.aggregate([
+    { $match: { product: { $in: productIds } } },
+    { $sort: { createdAt: -1 } },
+    { $group: { _id: '$product', unitCost: { $first: '$unitCost' } } }
+  ]);
+  return new Map(rows.map((row) => [String(row._id), row.unitCost]));
+}
+
+/**
+ * Works out what to reorder, grouped by supplier.
+ *
+ * Daily velocity is net units sold over `salesWindowDays`. A product is due
+ * when stock plus quantity on order falls to its reorder point, the larger
+ * of its reorderLevel and the sales expected during the supplier's lead time.
+ * The suggestion tops it back up to the reorder point plus
+ * `targetDaysOfCover` days of sales.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.supplier] Only suggest for this supplier
+ * @returns {Promise<{ settings: Object, generatedAt: Date, suppliers: Array }>}
+ */
+async function buildReplenishmentSuggestions({ supplier } = {}) {
+  const settings = await InventorySetting.getSingleton();
+  const generatedAt = new Date();
+  const since = new Date(generatedAt.getTime() - settings.salesWindowDays * DAY_MS);
+
+  // Parents and kits are never ordered; their variants and components are
+  const productQuery = { productType: { $nin: ['parent', 'kit'] }, ...(supplier ? { supplier } : {}) };
+  const [products, unitsSold, onOrder] = await Promise.all([
+    Product.find(productQuery).select('name productId unit quantity reorderLevel supplier').lean(),
+    getUnitsSold(since),
+    getQuantityOnOrder()
+  ]);
+
+  const supplierIds = [...new Set(products.map((product) => String(product.supplier)))];
+  const suppliers = await Supplier.find({ _id: { $in: supplierIds } })
+    .select('name email phone status leadTimeDays')
+    .lean();
+  const supplierById = new Map(suppliers.map((doc) => [String(doc._id), doc]));
+
+  const groups = new Map();
+  const suggested = [];
+
+  for (const product of products) {
+    const productKey = String(product._id);
+    const supplierDoc = supplierById.get(String(product.supplier));
+    if (!supplierDoc || supplierDoc.status === 'inactive') {
+      continue;
+    }
+
+    const leadTimeDays = Number.isFinite(supplierDoc.leadTimeDays)
+      ? supplierDoc.leadTimeDays
+      : settings.defaultLeadTimeDays;
+    const sold = unitsSold.get(productKey) || 0;
+    const dailyVelocity = sold / settings.salesWindowDays;
+    const quantityOnOrder = onOrder.get(productKey) || 0;
+    const projectedStock = product.quantity + quantityOnOrder;
+
+    const reorderPoint = Math.max(getReorderLevel(product), Math.ceil(dailyVelocity * leadTimeDays));
+    if (projectedStock > reorderPoint) {
+      continue;
+    }
+
+    const orderUpTo = reorderPoint + Math.ceil(dailyVelocity * settings.targetDaysOfCover);
+    const suggestedQuantity = orderUpTo - projectedStock;
+    if (suggestedQuantity <= 0) {
+      continue;
+    }
+
+    suggested.push(product._id);
+    const key = String(supplierDoc._id);
+    if (!groups.has(key)) {
+      groups.set(key, {
+        supplier: supplierDoc,
+        leadTimeDays,
+        items: [],
+        estimatedTotal: 0
+      });
+    }
+    groups.get(key).items.push({
+      product: product._id,
+      productName: product.name,
+      productCode: product.productId,
+      unit: product.unit,
+      currentStock: product.quantity,
+      quantityOnOrder,
+      unitsSold: sold,
+      dailyVelocity: roundToTwo(dailyVelocity),
+      reorderPoint,
+      suggestedQuantity
+    });
+  }
+
+  const unitCosts = await getLatestUnitCosts(suggested);
+  for (const group of groups.values()) {
+    group.items.forEach((item) => {
+      item.unitCost = unitCosts.get(String(item.product)) || 0;
+      item.estimatedCost = roundToTwo(item.unitCost * item.suggestedQuantity);
+    });
+    group.items.sort((a, b) => a.productName.localeCompare(b.productName));
+    group.estimatedTotal = roundToTwo(group.items.reduce((sum, item) => sum + item.estimatedCost, 0));
+  }
+
+  return {
+    settings: {
+      salesWindowDays: settings.salesWindowDays,
+      targetDaysOfCover: settings.targetDaysOfCover,
+      defaultLeadTimeDays: settings.defaultLeadTimeDays
+    },
+    generatedAt,
+    suppliers: [...groups.values()].sort((a, b) => a.supplier.name.localeCompare(b.supplier.name))
+  };
+}
+
+module.exports = {
+  buildReplenishmentSuggestions
+};
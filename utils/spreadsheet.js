@@ -0,0 +1,145 @@
+const ExcelJS = require('exceljs');
+
+// Reading and writing simple one-sheet tables: a header row followed by data
+// rows. CSV is parsed here so values such as SKUs with leading zeros are kept
+// as text; XLSX goes through exceljs.
+
+const SHEET_FORMATS = ['csv', 'xlsx'];
+
+const httpError = (status, message) => {
+  const error = new Error(message);
+  error.statusCode = status;
+  return error;
+};
+
+// RFC 4180: quoted fields may hold commas, quotes ("") and line breaks
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+// exceljs cells may hold rich text, formulas or hyperlinks rather than plain values
+function cellValue(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value;
+  if (typeof value === 'object') {
+    if (Array.isArray(value.richText)) return value.richText.map((part) => part.text).join('');
+    if ('result' in value) return cellValue(value.result);
+    if ('text' in value) return cellValue(value.text);
+    return '';
+  }
+  return value;
+}
+
+/**
+ * Reads the first sheet of an uploaded CSV or XLSX file.
+ *
+ * @param {Buffer} buffer File contents
+ * @param {'csv'|'xlsx'} format
+ * @returns {Promise<Array<Array<*>>>} Rows of cell values in sheet order, blank rows
+ *   included, so a row's index + 1 is its row number in the file
+ */
+async function readSheet(buffer, format) {
+  let rows;
+  if (format === 'csv') {
+    rows = parseCsv(buffer.toString('utf8'));
+  } else if (format === 'xlsx') {
+    const workbook = new ExcelJS.Workbook();
+    try {
+      await workbook.xlsx.load(buffer);
+    } catch (error) {
+      throw httpError(400, 'The file is not a readable XLSX workbook');
+    }
+    const sheet = workbook.worksheets[0];
+    rows = [];
+    if (sheet) {
+      sheet.eachRow({ includeEmpty: false }, (row) => {
+        // row.values is 1-based and sparse where cells are empty
+        rows[row.number - 1] = Array.from(row.values.slice(1), cellValue);
+      });
+    }
+    // Fill the holes eachRow leaves for empty rows
+    rows = Array.from(rows, (row) => row || []);
+  } else {
+    throw httpError(400, `File format must be one of: ${SHEET_FORMATS.join(', ')}`);
+  }
+
+  return rows;
+}
+
+const isBlankRow = (row) => !row.some((value) => String(value ?? '').trim() !== '');
+
+const csvField = (value) => {
+  const text = value instanceof Date ? value.toISOString().slice(0, 10) : String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Writes a table as CSV or XLSX.
+ *
+ * @param {Array<{ key: string, header: string }>} columns
+ * @param {Array<Object>} records Values keyed by column key
+ * @returns {Promise<Buffer>}
+ */
+async function writeSheet(columns, records, format, { sheetName = 'Sheet1' } = {}) {
+  if (format === 'csv') {
+    const lines = [
+      columns.map((column) => csvField(column.header)).join(','),
+      ...records.map((record) => columns.map((column) => csvField(record[column.key])).join(','))
+    ];
+    return Buffer.from(`${lines.join('\r\n')}\r\n`, 'utf8');
+  }
+
+  if (format === 'xlsx') {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet(sheetName);
+    sheet.columns = columns.map((column) => ({ header: column.header, key: column.key, width: Math.max(column.header.length + 2, 12) }));
+    sheet.getRow(1).font = { bold: true };
+    records.forEach((record) => sheet.addRow(record));
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+  }
+
+  throw httpError(400, `File format must be one of: ${SHEET_FORMATS.join(', ')}`);
+}
+
+module.exports = {
+  SHEET_FORMATS,
+  isBlankRow,
+  readSheet,
+  writeSheet
+};
@@ -0,0 +1,173 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const ProductBatch = require('../models/ProductBatch');
+const StockAdjustment = require('../models/StockAdjustment');
+const InventorySetting = require('../models/InventorySetting');
+const { stockEntry, recordStockMovements } = require('./stockLedger');
+const { resolveLocation, adjustBatchStock } = require('./locationStock');
+
+const roundToTwo = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const httpError = (status, message) => {
+  const error = new Error(message);
+  error.statusCode = status;
+  return error;
+};
+
+// Resolves requested lines ({ product, batchNumber | batch, quantity }) to
+// batches and prices them at the batch's unit cost
+async function buildAdjustmentLines(items, session) {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw httpError(400, 'At least one adjustment line is required');
+  }
+
+  const lines = [];
+  for (let i = 0; i < items.length; i++) {
+    const item = items[i] || {};
+    const quantity = Number(item.quantity);
+
+    if (!item.product || !mongoose.Types.ObjectId.isValid(item.product)) {
+      throw httpError(400, `Line ${i + 1}: a valid product is required`);
+    }
+    if (!Number.isInteger(quantity) || quantity === 0) {
+      throw httpError(400, `Line ${i + 1}: quantity must be a non-zero whole number`);
+    }
+
+    const product = await Product.findById(item.product).select('name').session(session);
+    if (!product) {
+      throw httpError(404, `Line ${i + 1}: product not found`);
+    }
+
+    const batchFilter = item.batch
+      ? { _id: item.batch, product: product._id }
+      : { product: product._id, batchNumber: String(item.batchNumber || '').trim() };
+    if (!item.batch && !batchFilter.batchNumber) {
+      throw httpError(400, `Line ${i + 1}: a batch is required`);
+    }
+    const batch = await ProductBatch.findOne(batchFilter).session(session);
+    if (!batch) {
+      throw httpError(404, `Line ${i + 1}: batch not found for ${product.name}`);
+    }
+
+    lines.push({
+      product: product._id,
+      productName: product.name,
+      batch: batch._id,
+      batchNumber: batch.batchNumber,
+      quantity,
+      unitCost: batch.unitCost || 0,
+      value: roundToTwo(quantity * (batch.unitCost || 0))
+    });
+  }
+  return lines;
+}
+
+/**
+ * Applies a pending adjustment to batches, products and the stock held at the
+ * adjustment's location, and records the stock movements. A write-off larger
+ * than what the location, batch or product holds fails the whole adjustment,
+ * so the totals never drift apart.
+ *
+ * @returns {Promise<Set<string>>} ids of the products whose stock changed
+ */
+async function postStockAdjustment(adjustment, { session = null, user = null } = {}) {
+  if (adjustment.status !== 'pending') {
+    throw httpError(400, `Cannot post adjustment with status: ${adjustment.status}`);
+  }
+
+  const productIds = new Set();
+  const movements = [];
+  const location = await resolveLocation(adjustment.location, 'receiving', session);
+  adjustment.location = location._id;
+
+  for (const line of adjustment.items) {
+    const guard = line.quantity < 0 ? { quantity: { $gte: -line.quantity } } : {};
+
+    await adjustBatchStock({
+      batch: { _id: line.batch, batchNumber: line.batchNumber },
+      product: line.product,
+      location,
+      quantity: line.quantity,
+      session
+    });
+
+    const batch = await ProductBatch.findOneAndUpdate(
+      { _id: line.batch, ...guard },
+      { $inc: { quantity: line.quantity } },
+      { new: true, session }
+    );
+    if (!batch) {
+      throw httpError(400, `Batch ${line.batchNumber} of ${line.productName} does not have ${-line.quantity} in stock`);
+    }
+
+    const product = await Product.findOneAndUpdate(
+      { _id: line.product, ...guard },
+      { $inc: { quantity: line.quantity } },
+      { new: true, session }
+    );
+    if (!product) {
+      throw httpError(400, `${line.productName} does not have ${-line.quantity} in stock`);
+    }
+
+    movements.push(stockEntry(product, line.quantity, batch, adjustment.reason, location));
+    productIds.add(String(product._id));
+  }
+
+  adjustment.status = 'posted';
+  adjustment.postedAt = new Date();
+  await adjustment.save({ session });
+
+  await recordStockMovements(movements, {
+    type: 'adjustment',
+    sourceType: 'StockAdjustment',
+    sourceId: adjustment._id,
+    reference: adjustment.adjustmentNumber,
+    user,
+    session
+  });
+
+  return productIds;
+}
+
+/**
+ * Creates an adjustment and posts it straight away unless its value is over
+ * the approval threshold and the user is not a superadmin.
+ *
+ * @returns {Promise<{ adjustment: Object, productIds: Set<string> }>}
+ */
+async function createStockAdjustment({ items, reason, notes, stockTake, location, user, session = null }) {
+  if (!StockAdjustment.ADJUSTMENT_REASONS.includes(reason)) {
+    throw httpError(400, `Reason must be one of: ${StockAdjustment.ADJUSTMENT_REASONS.join(', ')}`);
+  }
+
+  const adjustmentLocation = await resolveLocation(location, 'receiving', session);
+  const lines = await buildAdjustmentLines(items, session);
+  const totalValue = roundToTwo(lines.reduce((sum, line) => sum + Math.abs(line.value), 0));
+
+  const settings = await InventorySetting.getSingleton();
+  const threshold = settings.adjustmentApprovalThreshold || 0;
+  const needsApproval = threshold > 0 && totalValue > threshold && user.role !== 'superadmin';
+
+  const adjustment = new StockAdjustment({
+    reason,
+    location: adjustmentLocation._id,
+    items: lines,
+    totalValue,
+    notes,
+    stockTake,
+    createdBy: user._id || user.id
+  });
+
+  if (needsApproval) {
+    await adjustment.save({ session });
+    return { adjustment, productIds: new Set() };
+  }
+
+  const productIds = await postStockAdjustment(adjustment, { session, user: user._id || user.id });
+  return { adjustment, productIds };
+}
+
+module.exports = {
+  createStockAdjustment,
+  postStockAdjustment
+};
@@ -0,0 +1,52 @@
+const StockMovement = require('../models/StockMovement');
+
+// Builds a movement entry from the product (and batch) documents as they
+// stand after the change. Entries are collected while stock is moved and
+// written with recordStockMovements once the source document exists.
+function stockEntry(product, delta, batch = null, note, location = null) {
+  return {
+    product: product._id,
+    batch: batch?._id,
+    batchNumber: batch?.batchNumber,
+    location: location?._id || location || undefined,
+    delta,
+    balance: product.quantity,
+    batchBalance: batch ? batch.quantity : undefined,
+    note
+  };
+}
+
+/**
+ * Writes stock movements for one source document.
+ *
+ * @param {Array<Object>} entries From stockEntry; zero deltas are skipped
+ * @param {Object} source
+ * @param {string} source.type One of StockMovement.MOVEMENT_TYPES
+ * @param {string} [source.sourceType] Model name of the source document
+ * @param {*} [source.sourceId]
+ * @param {string} [source.reference] Human-readable number of the source
+ * @param {*} [source.user]
+ * @param {ClientSession} [source.session]
+ */
+async function recordStockMovements(entries, { type, sourceType, sourceId, reference, user, session = null }) {
+  const docs = entries
+    .filter((entry) => entry && entry.delta !== 0)
+    .map((entry) => ({
+      ...entry,
+      type: entry.type || type,
+      sourceType,
+      sourceId,
+      reference,
+      user
+    }));
+
+  if (docs.length === 0) {
+    return [];
+  }
+  return StockMovement.insertMany(docs, { session });
+}
+
+module.exports = {
+  stockEntry,
+  recordStockMovements
+};
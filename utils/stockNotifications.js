@@ -1,4 +1,6 @@
 const Notification = require('../models/Notification');
+const BatchStock = require('../models/BatchStock');
+const Location = require('../models/Location');
 
 const DEFAULT_REORDER_LEVEL = 10;
 
@@ -26,14 +28,62 @@ async function upsertNotification(filter, update) {
   );
 }
 
-async function clearNotifications(productId, types) {
+// Product-wide alerts have no location; location alerts only clear their own
+async function clearNotifications(productId, types, location = null) {
   return Notification.deleteMany({
     productId,
+    location,
     type: { $in: Array.isArray(types) ? types : [types] },
     isRead: false
   });
 }
 
+/**
+ * Quantity of a product held at each location, keyed by location id.
+ *
+ * @returns {Promise<Map<string, number>>}
+ */
+async function getLocationQuantities(productId) {
+  const rows = await BatchStock.aggregate([
+    { $match: { product: productId } },
+    { $group: { _id: '$location', quantity: { $sum: '$quantity' } } }
+  ]);
+  return new Map(rows.map((row) => [String(row._id), row.quantity]));
+}
+
+// Raises or clears a low-stock alert for every location the product has its
+// own threshold at
+async function handleLocationStockNotifications(product) {
+  const thresholds = product.locationReorderLevels || [];
+  if (thresholds.length === 0) {
+    return;
+  }
+
+  const quantities = await getLocationQuantities(product._id);
+  const locations = await Location.find({ _id: { $in: thresholds.map((entry) => entry.location) } })
+    .select('code')
+    .lean();
+  const codeById = new Map(locations.map((location) => [String(location._id), location.code]));
+
+  for (const { location, reorderLevel } of thresholds) {
+    const held = quantities.get(String(location)) || 0;
+    if (held > reorderLevel) {
+      await clearNotifications(product._id, 'low-stock', location);
+      continue;
+    }
+
+    await upsertNotification(
+      { productId: product._id, location, type: 'low-stock', isRead: false },
+      {
+        message: `${product.name} is low at ${codeById.get(String(location)) || 'a location'} (${held} remaining, threshold ${reorderLevel})`,
+        productId: product._id,
+        location,
+        type: 'low-stock'
+      }
+    );
+  }
+}
+
 async function handleStockNotifications(product, newQuantity) {
   if (!product || typeof newQuantity !== 'number') {
     return;
@@ -44,11 +94,18 @@ async function handleStockNotifications(product, newQuantity) {
     return;
   }
 
+  // Parents and kits hold no stock; their variants and components are tracked instead
+  if (product.productType && product.productType !== 'standard') {
+    return;
+  }
+
+  await handleLocationStockNotifications(product);
+
   const reorderLevel = getReorderLevel(product);
 
   if (newQuantity === 0) {
     await upsertNotification(
-      { productId, type: 'out-of-stock', isRead: false },
+      { productId, location: null, type: 'out-of-stock', isRead: false },
       {
         message: `${product.name} is out of stock`,
         productId,
@@ -61,7 +118,7 @@ async function handleStockNotifications(product, newQuantity) {
 
   if (newQuantity <= reorderLevel) {
     await upsertNotification(
-      { productId, type: 'low-stock', isRead: false },
+      { productId, location: null, type: 'low-stock', isRead: false },
       {
         message: `${product.name} has reached its reorder level (${newQuantity} remaining, threshold ${reorderLevel})`,
         productId,
@@ -76,5 +133,7 @@ async function handleStockNotifications(product, newQuantity) {
 }
 
 module.exports = {
+  getReorderLevel,
+  getLocationQuantities,
   handleStockNotifications
 };
@@ -0,0 +1,194 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const ProductBatch = require('../models/ProductBatch');
+const Location = require('../models/Location');
+const { adjustBatchStock } = require('./locationStock');
+const { stockEntry, recordStockMovements } = require('./stockLedger');
+
+const httpError = (status, message) => {
+  const error = new Error(message);
+  error.statusCode = status;
+  return error;
+};
+
+// Resolves requested lines ({ product, batchNumber | batch, quantity }) to batches
+async function buildTransferLines(items, session) {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw httpError(400, 'At least one transfer line is required');
+  }
+
+  const lines = [];
+  for (let i = 0; i < items.length; i++) {
+    const item = items[i] || {};
+    const quantity = Number(item.quantity);
+
+    if (!item.product || !mongoose.Types.ObjectId.isValid(item.product)) {
+      throw httpError(400, `Line ${i + 1}: a valid product is required`);
+    }
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      throw httpError(400, `Line ${i + 1}: quantity must be a positive whole number`);
+    }
+
+    const product = await Product.findById(item.product).select('name').session(session);
+    if (!product) {
+      throw httpError(404, `Line ${i + 1}: product not found`);
+    }
+
+    const batchFilter = item.batch
+      ? { _id: item.batch, product: product._id }
+      : { product: product._id, batchNumber: String(item.batchNumber || '').trim() };
+    if (!item.batch && !batchFilter.batchNumber) {
+      throw httpError(400, `Line ${i + 1}: a batch is required`);
+    }
+    const batch = await ProductBatch.findOne(batchFilter).session(session);
+    if (!batch) {
+      throw httpError(404, `Line ${i + 1}: batch not found for ${product.name}`);
+    }
+
+    lines.push({
+      product: product._id,
+      productName: product.name,
+      batch: batch._id,
+      batchNumber: batch.batchNumber,
+      quantity
+    });
+  }
+  return lines;
+}
+
+// Moves `quantity` between a batch's saleable stock and its in-transit stock,
+// keeping the product total in step with the batch
+async function moveInTransit(line, quantity, session) {
+  const guard = quantity < 0
+    ? { quantity: { $gte: -quantity } }
+    : { inTransitQuantity: { $gte: quantity } };
+
+  const batch = await ProductBatch.findOneAndUpdate(
+    { _id: line.batch, ...guard },
+    { $inc: { quantity, inTransitQuantity: -quantity } },
+    { new: true, session }
+  );
+  if (!batch) {
+    throw httpError(400, quantity < 0
+      ? `Batch ${line.batchNumber} of ${line.productName} does not have ${-quantity} in stock`
+      : `Batch ${line.batchNumber} of ${line.productName} does not have ${quantity} in transit`);
+  }
+
+  const product = await Product.findOneAndUpdate(
+    { _id: line.product, ...(quantity < 0 ? { quantity: { $gte: -quantity } } : {}) },
+    { $inc: { quantity } },
+    { new: true, session }
+  );
+  if (!product) {
+    throw httpError(400, `${line.productName} does not have ${-quantity} in stock`);
+  }
+
+  return { batch, product };
+}
+
+async function loadLocations(transfer, session) {
+  const [from, to] = await Promise.all([
+    Location.findById(transfer.fromLocation).session(session),
+    Location.findById(transfer.toLocation).session(session)
+  ]);
+  if (!from || !to) {
+    throw httpError(404, 'Transfer location not found');
+  }
+  return { from, to };
+}
+
+async function recordTransferMovements(transfer, movements, { user, session }) {
+  await recordStockMovements(movements, {
+    type: 'transfer',
+    sourceType: 'StockTransfer',
+    sourceId: transfer._id,
+    reference: transfer.transferNumber,
+    user,
+    session
+  });
+}
+
+/**
+ * Takes a draft transfer's quantities out of the source location and holds
+ * them in transit until the destination receives them.
+ *
+ * @returns {Promise<Set<string>>} ids of the products whose stock changed
+ */
+async function dispatchStockTransfer(transfer, { session = null, user = null } = {}) {
+  if (transfer.status !== 'draft') {
+    throw httpError(400, `Cannot dispatch transfer with status: ${transfer.status}`);
+  }
+
+  const { from, to } = await loadLocations(transfer, session);
+  if (from.status !== 'active' || to.status !== 'active') {
+    throw httpError(400, 'Both locations must be active to dispatch a transfer');
+  }
+
+  const productIds = new Set();
+  const movements = [];
+  for (const line of transfer.items) {
+    await adjustBatchStock({
+      batch: { _id: line.batch, batchNumber: line.batchNumber },
+      product: line.product,
+      location: from,
+      quantity: -line.quantity,
+      session
+    });
+    const { batch, product } = await moveInTransit(line, -line.quantity, session);
+    movements.push(stockEntry(product, -line.quantity, batch, `Dispatched to ${to.code}`, from));
+    productIds.add(String(product._id));
+  }
+
+  transfer.status = 'dispatched';
+  transfer.dispatchedBy = user;
+  transfer.dispatchedAt = new Date();
+  await transfer.save({ session });
+
+  await recordTransferMovements(transfer, movements, { user, session });
+  return productIds;
+}
+
+/**
+ * Puts a dispatched transfer's in-transit quantities into the destination
+ * location or, when `cancel` is set, back into the source location.
+ *
+ * @returns {Promise<Set<string>>} ids of the products whose stock changed
+ */
+async function receiveStockTransfer(transfer, { session = null, user = null, cancel = false } = {}) {
+  if (transfer.status !== 'dispatched') {
+    throw httpError(400, `Cannot ${cancel ? 'recall' : 'receive'} transfer with status: ${transfer.status}`);
+  }
+
+  const { from, to } = await loadLocations(transfer, session);
+  const location = cancel ? from : to;
+  const note = cancel ? `Transfer cancelled, returned to ${from.code}` : `Received from ${from.code}`;
+
+  const productIds = new Set();
+  const movements = [];
+  for (const line of transfer.items) {
+    const { batch, product } = await moveInTransit(line, line.quantity, session);
+    await adjustBatchStock({ batch, product, location, quantity: line.quantity, session });
+    movements.push(stockEntry(product, line.quantity, batch, note, location));
+    productIds.add(String(product._id));
+  }
+
+  if (cancel) {
+    transfer.status = 'cancelled';
+    transfer.cancelledBy = user;
+    transfer.cancelledAt = new Date();
+  } else {
+    transfer.status = 'received';
+    transfer.receivedBy = user;
+    transfer.receivedAt = new Date();
+  }
+  await transfer.save({ session });
+
+  await recordTransferMovements(transfer, movements, { user, session });
+  return productIds;
+}
+
+module.exports = {
+  buildTransferLines,
+  dispatchStockTransfer,
+  receiveStockTransfer
+};
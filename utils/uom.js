@@ -0,0 +1,154 @@
+const Unit = require('../models/Unit');
+
+// Stock is always held in the base unit of the product's dimension: ml for
+// liquids, g for solids sold by weight and pcs for everything else. Other
+// units (litres, kilograms, a product's cans and drums) are converted at the
+// edges: when goods are received and when they are billed.
+
+// Product.unit names the dimension it is measured in
+const PRODUCT_UNIT_DIMENSIONS = {
+  liter: 'volume',
+  kilogram: 'mass',
+  none: 'count'
+};
+
+const BASE_UNITS = { volume: 'ml', mass: 'g', count: 'pcs' };
+
+// Unit quantities are shown in on reports and stats
+const DISPLAY_UNITS = { volume: 'l', mass: 'kg', count: 'pcs' };
+
+const httpError = (status, message) => {
+  const error = new Error(message);
+  error.statusCode = status;
+  return error;
+};
+
+const roundQuantity = (value) => Math.round((Number(value) || 0) * 1000) / 1000;
+
+const dimensionOf = (product) => PRODUCT_UNIT_DIMENSIONS[product?.unit] || 'count';
+
+const baseUnitOf = (product) => BASE_UNITS[dimensionOf(product)];
+
+const defaultUnit = (code) => Unit.DEFAULT_UNITS.find((unit) => unit.code === code) || null;
+
+// A built-in unit or one added to the units collection
+async function findUnit(code, session = null) {
+  const normalized = String(code || '').trim().toLowerCase();
+  if (!normalized) {
+    return null;
+  }
+  return defaultUnit(normalized) || Unit.findOne({ code: normalized }).session(session).lean();
+}
+
+/**
+ * How many base units one `unitCode` of the product holds. The code may be
+ * one of the product's pack units (e.g. CAN-5L) or a unit of the product's
+ * dimension (l, kg, ...). Without a code the base unit is meant.
+ *
+ * @param {Object|null} product Product doc; null when the product does not exist yet
+ * @returns {Promise<{ unit: string, factor: number, dimension: string, pack: Object|null }>}
+ */
+async function resolveConversion(product, unitCode, session = null) {
+  const dimension = product ? dimensionOf(product) : null;
+  const code = String(unitCode || '').trim();
+
+  if (!code) {
+    const base = BASE_UNITS[dimension || 'count'];
+    return { unit: base, factor: 1, dimension: dimension || 'count', pack: null };
+  }
+
+  const pack = (product?.packUnits || []).find((entry) => entry.code === code.toUpperCase());
+  if (pack) {
+    return { unit: pack.code, factor: pack.conversionFactor, dimension, pack };
+  }
+
+  const unit = await findUnit(code, session);
+  if (!unit) {
+    throw httpError(400, product
+      ? `Unknown unit '${code}' for ${product.name}`
+      : `Unknown unit '${code}'`);
+  }
+  if (dimension && unit.dimension !== dimension) {
+    throw httpError(400, `${product.name} is measured by ${dimension}; '${unit.code}' measures ${unit.dimension}`);
+  }
+  return { unit: unit.code, factor: unit.factor, dimension: unit.dimension, pack: null };
+}
+
+/**
+ * Validates pack units for a product measured in `productUnit` and works out
+ * each pack's conversion factor from its size and unit.
+ *
+ * @param {Array<Object>} packs [{ code, name, unit, size, price?, mrp? }]
+ */
+async function buildPackUnits(productUnit, packs, session = null) {
+  if (!Array.isArray(packs)) {
+    throw httpError(400, 'packUnits must be an array');
+  }
+
+  const dimension = PRODUCT_UNIT_DIMENSIONS[productUnit] || 'count';
+  const codes = new Set();
+  const result = [];
+
+  for (let i = 0; i < packs.length; i++) {
+    const pack = packs[i] || {};
+    const code = String(pack.code || '').trim().toUpperCase();
+    const size = Number(pack.size);
+
+    if (!code) {
+      throw httpError(400, `Pack ${i + 1}: a code is required`);
+    }
+    if (codes.has(code)) {
+      throw httpError(400, `Pack ${i + 1}: code ${code} is used twice`);
+    }
+    if (!(size > 0)) {
+      throw httpError(400, `Pack ${i + 1}: size must be greater than 0`);
+    }
+
+    const unit = await findUnit(pack.unit || BASE_UNITS[dimension], session);
+    if (!unit) {
+      throw httpError(400, `Pack ${i + 1}: unknown unit '${pack.unit}'`);
+    }
+    if (unit.dimension !== dimension) {
+      throw httpError(400, `Pack ${i + 1}: '${unit.code}' measures ${unit.dimension}, not ${dimension}`);
+    }
+
+    codes.add(code);
+    result.push({
+      code,
+      name: String(pack.name || `${size} ${unit.code}`).trim(),
+      unit: unit.code,
+      size,
+      conversionFactor: roundQuantity(size * unit.factor),
+      price: pack.price !== undefined && pack.price !== null && pack.price !== '' ? Number(pack.price) : undefined,
+      mrp: pack.mrp !== undefined && pack.mrp !== null && pack.mrp !== '' ? Number(pack.mrp) : undefined
+    });
+  }
+  return result;
+}
+
+// Product.unit for goods measured in `dimension`
+const productUnitFor = (dimension) =>
+  Object.keys(PRODUCT_UNIT_DIMENSIONS).find((unit) => PRODUCT_UNIT_DIMENSIONS[unit] === dimension) || 'none';
+
+const toBaseQuantity = (quantity, factor = 1) => roundQuantity(Number(quantity) * (Number(factor) || 1));
+
+// Base quantity expressed in the product's display unit (l, kg or pcs)
+const toDisplayQuantity = (product, baseQuantity) => {
+  const display = defaultUnit(DISPLAY_UNITS[dimensionOf(product)]);
+  return roundQuantity((Number(baseQuantity) || 0) / display.factor);
+};
+
+module.exports = {
+  PRODUCT_UNIT_DIMENSIONS,
+  BASE_UNITS,
+  DISPLAY_UNITS,
+  roundQuantity,
+  dimensionOf,
+  baseUnitOf,
+  productUnitFor,
+  findUnit,
+  resolveConversion,
+  buildPackUnits,
+  toBaseQuantity,
+  toDisplayQuantity
+};
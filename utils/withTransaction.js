@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// Runs `work(session)` inside a MongoDB transaction and returns its result.
+// The callback may be retried by the driver on transient errors, so it must
+// read everything it needs through the provided session.
+async function withTransaction(work) {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+}
+
+module.exports = {
+  withTransaction
+};